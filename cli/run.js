@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+/**
+ * Exécution d'une simulation en ligne de commande (sans navigateur)
+ * Réutilise Simulator, Parameters et Society et écrit la série temporelle complète
+ * (même format que l'export de l'interface, donc réimportable)
+ *
+ * Exemple :
+ *   node cli/run.js --agents 200 --tmax 100 --dt 0.01 --params params.json --seed 42 --out run.csv
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { Simulator } from '../js/simulator.js';
+import { INTEGRATORS } from '../js/integrators.js';
+import { EXPORT_SERIES, EXPORT_FORMATS, formatExport } from '../js/export.js';
+import { Scenario } from '../js/scenario.js';
+import { NETWORK_TOPOLOGIES } from '../js/network.js';
+import { AGENT_BACKENDS } from '../js/agentstore.js';
+
+const USAGE = `Usage : node cli/run.js [options]
+
+Options :
+  --agents <n>        Nombre d'agents (défaut : 100)
+  --tmax <t>          Durée simulée (défaut : 100)
+  --dt <dt>           Pas de temps (défaut : 0.01)
+  --integrator <nom>  ${Object.keys(INTEGRATORS).join(', ')} (défaut : euler)
+  --tolerance <tol>   Tolérance de l'intégrateur rk45 (défaut : 0.0001)
+  --backend <mode>    Stockage des agents : ${Object.keys(AGENT_BACKENDS).join(', ')} (défaut : objects ;
+                      typed = tableaux typés, plus rapide pour les grandes populations)
+  --params <fichier>  Fichier JSON de paramètres : champs de Parameters et,
+                      optionnellement, "initialConditions" :
+                      { "institutionalQuality", "gini", "externalThreat" }
+                      et "network" : { "topology", "radius", "meanDegree",
+                      "rewiring", "blocks", "mixing" }
+                      et "population" : { "wealth", "education", "security",
+                      "democraticAdherence" }, chacune { "type", "a", "b",
+                      "mean", "std" } (richesse : lognormal, pareto, beta ou
+                      uniform, calibrée sur le Gini initial), et "groups" :
+                      { "count", "minorityShare", "layout" } (mixed ou
+                      clustered ; count 0 = contacts aléatoires historiques)
+  --scenario <fichier> Fichier JSON d'événements datés (voir README, « Scénarios »)
+  --seed <graine>     Graine du générateur aléatoire (tirée au hasard sinon)
+  --every <k>         Enregistrer un point tous les k pas (défaut : 1) ;
+                      l'état final est toujours enregistré
+  --format <format>   ${Object.keys(EXPORT_FORMATS).join(', ')} (défaut : csv)
+  --out <fichier>     Fichier de sortie (sortie standard sinon)
+  --help              Afficher cette aide`;
+
+/**
+ * Lit les options de la ligne de commande
+ * @param {Array<string>} argv - Arguments (sans node ni le script)
+ * @returns {Object} - Options lues
+ */
+function parseArguments(argv) {
+    const options = {
+        agents: 100,
+        tmax: 100,
+        dt: 0.01,
+        integrator: 'euler',
+        tolerance: 1e-4,
+        backend: 'objects',
+        params: null,
+        scenario: null,
+        seed: null,
+        every: 1,
+        format: 'csv',
+        out: null,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+            continue;
+        }
+
+        if (!arg.startsWith('--') || !(arg.slice(2) in options)) {
+            throw new Error(`Option inconnue : ${arg}`);
+        }
+
+        const key = arg.slice(2);
+        const value = argv[++i];
+        if (value === undefined) {
+            throw new Error(`Valeur manquante pour ${arg}`);
+        }
+
+        if (['params', 'scenario', 'out', 'integrator', 'backend', 'format'].includes(key)) {
+            options[key] = value;
+        } else {
+            const number = Number(value);
+            if (Number.isNaN(number)) {
+                throw new Error(`Valeur numérique attendue pour ${arg} : ${value}`);
+            }
+            options[key] = number;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Lit un fichier de paramètres JSON
+ * @param {string} path - Chemin du fichier JSON
+ * @returns {Object} - {params, initialConditions, network, population}
+ */
+function readParameterFile(path) {
+    const { initialConditions = {}, network = {}, population = {}, ...params } = JSON.parse(readFileSync(path, 'utf8'));
+
+    if (network.topology && !(network.topology in NETWORK_TOPOLOGIES)) {
+        throw new Error(`Topologie inconnue dans ${path} : ${network.topology}`);
+    }
+
+    return { params, initialConditions, network, population, path };
+}
+
+/**
+ * Applique les paramètres et conditions initiales d'un fichier au simulateur
+ * @param {Simulator} simulator - Simulateur à configurer
+ * @param {Object} config - Contenu lu par readParameterFile
+ */
+function applyParameterFile(simulator, { params, initialConditions, path }) {
+    for (const [key, value] of Object.entries(params)) {
+        if (!(key in simulator.parameters)) {
+            throw new Error(`Paramètre inconnu dans ${path} : ${key}`);
+        }
+        simulator.setParameter(key, value);
+    }
+
+    for (const [key, value] of Object.entries(initialConditions)) {
+        if (!['institutionalQuality', 'gini', 'externalThreat'].includes(key)) {
+            throw new Error(`Condition initiale inconnue dans ${path} : ${key}`);
+        }
+        simulator.setInitialCondition(key, value);
+    }
+}
+
+/**
+ * Ajoute l'état courant du simulateur à la série temporelle enregistrée
+ * @param {Object} history - Séries indexées par clé (comme Society.history)
+ * @param {Object} state - État renvoyé par getState()
+ */
+function record(history, state) {
+    history.time.push(state.time);
+    for (const series of EXPORT_SERIES) {
+        history[series.key].push(state[series.key]);
+    }
+}
+
+/**
+ * Lance la simulation et écrit la série temporelle
+ */
+function main() {
+    const options = parseArguments(process.argv.slice(2));
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (!(options.integrator in INTEGRATORS)) {
+        throw new Error(`Intégrateur inconnu : ${options.integrator}`);
+    }
+    if (!(options.backend in AGENT_BACKENDS)) {
+        throw new Error(`Stockage inconnu : ${options.backend}`);
+    }
+
+    // La topologie du réseau et les lois initiales sont connues avant de construire la population
+    const config = options.params ? readParameterFile(options.params) : null;
+
+    const simulator = new Simulator(options.agents, options.seed, {
+        network: config ? config.network : {},
+        population: config ? config.population : {},
+        backend: options.backend
+    });
+    simulator.setTimeStep(options.dt);
+    simulator.setIntegrator(options.integrator, { tolerance: options.tolerance });
+    if (config) {
+        applyParameterFile(simulator, config);
+        // Population reconstruite depuis la graine : les richesses suivent le Gini initial du fichier
+        simulator.reset();
+    }
+    if (options.scenario) {
+        simulator.setScenario(Scenario.fromJSON(readFileSync(options.scenario, 'utf8')));
+    }
+
+    if (!(options.format in EXPORT_FORMATS)) {
+        throw new Error(`Format inconnu : ${options.format}`);
+    }
+
+    // Série à la résolution demandée (--every), indépendante de Society.history (un point tous les 10 pas)
+    const metadata = simulator.getMetadata();
+    const history = { time: [] };
+    for (const series of EXPORT_SERIES) {
+        history[series.key] = [];
+    }
+
+    record(history, simulator.getState());
+    let steps = 0;
+    while (simulator.time < options.tmax - options.dt * 1e-6) {
+        simulator.step(options.tmax - simulator.time);
+        steps++;
+        if (steps % options.every === 0) {
+            record(history, simulator.getState());
+        }
+    }
+    // État final toujours enregistré, même si le nombre de pas n'est pas un multiple de k
+    if (steps % options.every !== 0) {
+        record(history, simulator.getState());
+    }
+
+    // En-tête auto-descriptif : la graine et la configuration permettent de rejouer le run
+    const content = formatExport(history, { ...metadata, time: simulator.time }, EXPORT_SERIES.map(s => s.key), options.format);
+    if (options.out) {
+        writeFileSync(options.out, content);
+        console.error(`${history.time.length} points écrits dans ${options.out} (graine ${simulator.seed})`);
+    } else {
+        process.stdout.write(content);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`Erreur : ${error.message}\n\n${USAGE}`);
+    process.exit(1);
+}
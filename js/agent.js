@@ -7,22 +7,29 @@ export class Agent {
      * @param {number} id - Identifiant unique de l'agent
      * @param {number} x - Position x dans l'espace (pour visualisation)
      * @param {number} y - Position y dans l'espace (pour visualisation)
+     * @param {Object} rng - Générateur aléatoire exposant random() (Math par défaut)
      */
-    constructor(id, x, y) {
+    constructor(id, x, y, rng = Math) {
         this.id = id;
         this.x = x;
         this.y = y;
 
         // Variables d'état individuelles (initialisées aléatoirement dans [0, 1])
-        this.wealth = Math.random();              // w_i - Richesse
-        this.education = Math.random();           // e_i - Éducation
-        this.security = Math.random();            // s_i - Sécurité perçue
-        this.toleranceEconomic = Math.random() * 2 - 1;  // τ^w_i - Tolérance économique [-1, 1]
-        this.tolerancePhysical = Math.random() * 2 - 1;  // τ^p_i - Tolérance physique [-1, 1]
-        this.toleranceCultural = Math.random() * 2 - 1;  // τ^c_i - Tolérance culturelle [-1, 1]
-        this.civicEnergy = Math.random();         // ε_i - Énergie civique
-        this.permeability = Math.random();        // π_i - Perméabilité
-        this.democraticAdherence = Math.random() * 2 - 1; // α_i - Adhésion démocratique [-1, 1]
+        this.wealth = rng.random();              // w_i - Richesse
+        this.education = rng.random();           // e_i - Éducation
+        this.security = rng.random();            // s_i - Sécurité perçue
+        this.toleranceEconomic = rng.random() * 2 - 1;  // τ^w_i - Tolérance économique [-1, 1]
+        this.tolerancePhysical = rng.random() * 2 - 1;  // τ^p_i - Tolérance physique [-1, 1]
+        this.toleranceCultural = rng.random() * 2 - 1;  // τ^c_i - Tolérance culturelle [-1, 1]
+        this.civicEnergy = rng.random();         // ε_i - Énergie civique
+        this.permeability = rng.random();        // π_i - Perméabilité
+        this.democraticAdherence = rng.random() * 2 - 1; // α_i - Adhésion démocratique [-1, 1]
+
+        // Âge (temps écoulé depuis l'entrée dans la population, voir demography.js)
+        this.age = 0;
+
+        // Groupe culturel (indice, attribué par initializePopulation ; inchangé à la réinitialisation)
+        this.group = 0;
 
         // Contacts interculturels (pour l'équation de tolérance)
         this.positiveContacts = 0;  // C_i^+
@@ -70,6 +77,9 @@ export class Agent {
         this.security += derivatives.dSecurity * dt;
         this.permeability += derivatives.dPermeability * dt;
         this.civicEnergy += derivatives.dCivicEnergy * dt;
+        this.wealth += derivatives.dWealth * dt;
+        this.toleranceEconomic += derivatives.dTauW * dt;
+        this.tolerancePhysical += derivatives.dTauP * dt;
 
         // Bornage des valeurs dans leurs domaines respectifs
         this.democraticAdherence = this.clamp(this.democraticAdherence, -1, 1);
@@ -84,18 +94,61 @@ export class Agent {
 
     /**
      * Réinitialise l'agent avec des valeurs aléatoires
+     * @param {Object} rng - Générateur aléatoire exposant random() (Math par défaut)
      */
-    reset() {
-        this.wealth = Math.random();
-        this.education = Math.random();
-        this.security = Math.random();
-        this.toleranceEconomic = Math.random() * 2 - 1;
-        this.tolerancePhysical = Math.random() * 2 - 1;
-        this.toleranceCultural = Math.random() * 2 - 1;
-        this.civicEnergy = Math.random();
-        this.permeability = Math.random();
-        this.democraticAdherence = Math.random() * 2 - 1;
+    reset(rng = Math) {
+        this.wealth = rng.random();
+        this.education = rng.random();
+        this.security = rng.random();
+        this.toleranceEconomic = rng.random() * 2 - 1;
+        this.tolerancePhysical = rng.random() * 2 - 1;
+        this.toleranceCultural = rng.random() * 2 - 1;
+        this.civicEnergy = rng.random();
+        this.permeability = rng.random();
+        this.democraticAdherence = rng.random() * 2 - 1;
         this.positiveContacts = 0;
         this.negativeContacts = 0;
+        this.age = 0;
+    }
+
+    /**
+     * Sérialise l'agent (le voisinage est stocké sous forme d'identifiants)
+     * @returns {Object} - Représentation JSON de l'agent
+     */
+    toJSON() {
+        const data = {};
+        for (const key of Agent.SERIALIZED_PROPERTIES) {
+            data[key] = this[key];
+        }
+        data.neighbors = this.neighbors.map(neighbor => neighbor.id);
+        return data;
+    }
+
+    /**
+     * Recrée un agent à partir de sa représentation JSON
+     * Les voisins restent des identifiants : ils sont résolus une fois tous les agents recréés
+     * @param {Object} data - Représentation JSON produite par toJSON()
+     * @returns {Agent} - Agent restauré
+     */
+    static fromJSON(data) {
+        const agent = new Agent(data.id, data.x, data.y);
+        for (const key of Agent.SERIALIZED_PROPERTIES) {
+            if (key in data) {
+                agent[key] = data[key];
+            }
+        }
+        agent.neighbors = data.neighbors.slice();
+        return agent;
     }
 }
+
+/**
+ * Propriétés sauvegardées dans un instantané
+ */
+Agent.SERIALIZED_PROPERTIES = [
+    'id', 'x', 'y',
+    'wealth', 'education', 'security',
+    'toleranceEconomic', 'tolerancePhysical', 'toleranceCultural',
+    'civicEnergy', 'permeability', 'democraticAdherence',
+    'positiveContacts', 'negativeContacts', 'age', 'group'
+];
@@ -0,0 +1,186 @@
+/**
+ * Inspecteur d'agent
+ * Affiche les variables d'état d'un agent sélectionné, la décomposition de dα_i/dt
+ * (équation 3.1) terme par terme et sa trajectoire enregistrée depuis la sélection
+ */
+
+import { democraticAdherenceTerms } from './equations.js';
+import { CurveChart } from './curvechart.js';
+
+/**
+ * Variables d'état affichées par l'inspecteur
+ */
+export const INSPECTED_VARIABLES = [
+    { key: 'age', symbol: 'a', label: 'Âge' },
+    { key: 'wealth', symbol: 'w', label: 'Richesse' },
+    { key: 'education', symbol: 'e', label: 'Éducation' },
+    { key: 'security', symbol: 's', label: 'Sécurité perçue' },
+    { key: 'toleranceEconomic', symbol: 'τ^w', label: 'Tolérance économique' },
+    { key: 'tolerancePhysical', symbol: 'τ^p', label: 'Tolérance physique' },
+    { key: 'toleranceCultural', symbol: 'τ^c', label: 'Tolérance culturelle' },
+    { key: 'civicEnergy', symbol: 'ε', label: 'Énergie civique' },
+    { key: 'permeability', symbol: 'π', label: 'Perméabilité' },
+    { key: 'democraticAdherence', symbol: 'α', label: 'Adhésion démocratique' },
+    { key: 'positiveContacts', symbol: 'C⁺', label: 'Contacts positifs' },
+    { key: 'negativeContacts', symbol: 'C⁻', label: 'Contacts négatifs' }
+];
+
+/**
+ * Termes de dα_i/dt (voir democraticAdherenceTerms)
+ */
+export const ADHERENCE_TERMS = [
+    { key: 'socialInfluence', formula: 'π_i·⟨α⟩', label: 'Influence sociale' },
+    { key: 'educationEffect', formula: 'β₁·e_i·(1-α_i)', label: 'Éducation' },
+    { key: 'insecurityErosion', formula: '-β₂·(1-s_i)·α_i', label: 'Érosion par l\'insécurité' },
+    { key: 'institutionalEffect', formula: 'β₃·Q', label: 'Institutions' },
+    { key: 'fearEffect', formula: '-β₄·M·π_i', label: 'Peur' },
+    { key: 'toleranceEffect', formula: 'β₅·(τ^w_i+τ^p_i)/2', label: 'Tolérances économique et physique' }
+];
+
+/**
+ * Variables tracées dans la trajectoire de l'agent
+ * @private
+ */
+const TRAJECTORY_VARIABLES = [
+    { key: 'democraticAdherence', label: 'α', color: '#4CAF50' },
+    { key: 'security', label: 's', color: '#2196F3' },
+    { key: 'toleranceCultural', label: 'τ^c', color: '#9C27B0' },
+    { key: 'toleranceEconomic', label: 'τ^w', color: '#009688' },
+    { key: 'tolerancePhysical', label: 'τ^p', color: '#E91E63' },
+    { key: 'civicEnergy', label: 'ε', color: '#FF9800' },
+    { key: 'permeability', label: 'π', color: '#795548' }
+];
+
+/**
+ * Nombre maximal de points de la trajectoire : au-delà, un point sur deux est retiré
+ * (la trajectoire couvre toujours toute la durée depuis la sélection)
+ */
+export const MAX_TRAJECTORY_POINTS = 2000;
+
+export class AgentInspector {
+    /**
+     * @param {HTMLElement} title - Élément recevant le titre (identifiant de l'agent)
+     * @param {HTMLTableSectionElement} stateBody - Corps du tableau des variables d'état
+     * @param {HTMLTableSectionElement} termsBody - Corps du tableau des termes de dα/dt
+     * @param {HTMLCanvasElement} trajectoryCanvas - Canvas de la trajectoire
+     */
+    constructor(title, stateBody, termsBody, trajectoryCanvas) {
+        this.title = title;
+        this.chart = new CurveChart(trajectoryCanvas);
+        this.agent = null;
+        this.trajectory = [];
+
+        // Lignes créées une fois, seules les valeurs sont mises à jour
+        this.stateCells = {};
+        for (const { key, symbol, label } of INSPECTED_VARIABLES) {
+            const row = stateBody.insertRow();
+            row.innerHTML = `<td>${symbol}</td><td>${label}</td><td class="inspector-value"></td>`;
+            this.stateCells[key] = row.cells[2];
+        }
+
+        this.termCells = {};
+        for (const { key, formula, label } of [...ADHERENCE_TERMS, { key: 'total', formula: 'dα_i/dt', label: 'Total' }]) {
+            const row = termsBody.insertRow();
+            row.innerHTML = `<td>${formula}</td><td>${label}</td><td class="inspector-value"></td>` +
+                '<td class="inspector-bar"><div></div></td>';
+            this.termCells[key] = { value: row.cells[2], bar: row.cells[3].firstChild };
+        }
+    }
+
+    /**
+     * Sélectionne un agent : la trajectoire repart de zéro
+     * @param {Agent} agent - Agent à inspecter
+     * @param {number} time - Temps de la simulation
+     */
+    select(agent, time) {
+        this.agent = agent;
+        this.trajectory = [];
+        this.record(time);
+    }
+
+    /**
+     * Désélectionne l'agent
+     */
+    clear() {
+        this.agent = null;
+        this.trajectory = [];
+    }
+
+    /**
+     * Enregistre l'état courant de l'agent dans sa trajectoire
+     * @param {number} time - Temps de la simulation
+     */
+    record(time) {
+        if (!this.agent) return;
+
+        const last = this.trajectory[this.trajectory.length - 1];
+        if (last && last.time === time) return;
+
+        const point = { time };
+        for (const { key } of TRAJECTORY_VARIABLES) {
+            point[key] = this.agent[key];
+        }
+        this.trajectory.push(point);
+
+        if (this.trajectory.length > MAX_TRAJECTORY_POINTS) {
+            this.trajectory = this.trajectory.filter((_, k) => k % 2 === 0 || k === this.trajectory.length - 1);
+        }
+    }
+
+    /**
+     * Affiche l'état de l'agent, les termes de dα/dt et la trajectoire
+     * @param {Society} society - Société (variables macroscopiques)
+     * @param {Parameters} params - Paramètres du modèle
+     */
+    update(society, params) {
+        if (!this.agent) return;
+        const agent = this.agent;
+
+        this.title.textContent = `Agent n°${agent.id} — ${agent.neighbors.length} voisin(s), ` +
+            `⟨α⟩ voisinage = ${agent.getNeighborhoodAverage('democraticAdherence').toFixed(3)}`;
+
+        for (const { key } of INSPECTED_VARIABLES) {
+            this.stateCells[key].textContent = agent[key].toFixed(3);
+        }
+
+        // Termes de l'équation 3.1 évalués dans l'état courant
+        const terms = democraticAdherenceTerms(agent, society, params);
+        const total = ADHERENCE_TERMS.reduce((sum, { key }) => sum + terms[key], 0);
+        const scale = ADHERENCE_TERMS.reduce((max, { key }) => Math.max(max, Math.abs(terms[key])), Math.abs(total)) || 1;
+
+        for (const [key, value] of [...Object.entries(terms), ['total', total]]) {
+            const { value: cell, bar } = this.termCells[key];
+            cell.textContent = (value >= 0 ? '+' : '') + value.toFixed(4);
+            bar.style.width = `${(Math.abs(value) / scale) * 100}%`;
+            bar.style.background = value >= 0 ? '#4CAF50' : '#F44336';
+        }
+
+        this.drawTrajectory();
+    }
+
+    /**
+     * Trace la trajectoire enregistrée depuis la sélection
+     */
+    drawTrajectory() {
+        if (this.trajectory.length < 2) {
+            this.chart.clear('Trajectoire enregistrée à partir de la sélection — lancer la simulation');
+            return;
+        }
+
+        const time = this.trajectory.map(point => point.time);
+        this.chart.draw({
+            xLabel: 't',
+            yLabel: 'État de l\'agent',
+            yMin: -1,
+            yMax: 1,
+            series: TRAJECTORY_VARIABLES.map(({ key, label, color }) => ({
+                label,
+                color,
+                points: false,
+                x: time,
+                y: this.trajectory.map(point => point[key])
+            })),
+            levels: [{ y: 0, label: '' }]
+        });
+    }
+}
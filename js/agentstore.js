@@ -0,0 +1,105 @@
+/**
+ * Stockage des agents en tableaux typés (structure de tableaux)
+ * Chaque variable d'état est un Float64Array indexé par agent ; les objets Agent
+ * deviennent des vues sur ces tableaux et gardent exactement la même API
+ */
+
+import { Agent } from './agent.js';
+
+/**
+ * Propriétés numériques stockées dans les tableaux (variables d'état et contacts)
+ */
+export const STORED_PROPERTIES = Agent.SERIALIZED_PROPERTIES.filter(key => !['id', 'x', 'y'].includes(key));
+
+/**
+ * Modes de stockage disponibles (identifiant → libellé)
+ */
+export const AGENT_BACKENDS = {
+    objects: 'Objets',
+    typed: 'Tableaux typés'
+};
+
+/**
+ * Prototype des agents-vues : accesseurs vers les tableaux du stockage
+ * Les accesseurs sont définis une fois sur le prototype (et non sur chaque agent)
+ * pour que le moteur JavaScript puisse les optimiser
+ * @private
+ */
+const StoredAgentPrototype = Object.create(Agent.prototype);
+
+for (const key of STORED_PROPERTIES) {
+    Object.defineProperty(StoredAgentPrototype, key, {
+        get() {
+            return this.store.arrays[key][this.index];
+        },
+        set(value) {
+            this.store.arrays[key][this.index] = value;
+        },
+        enumerable: true
+    });
+}
+
+/**
+ * Moyenne sur le voisinage lue dans l'index compact des voisins (si disponible)
+ * Même ordre de sommation que Agent.getNeighborhoodAverage : résultats identiques
+ * @param {string} property - Nom de la propriété à moyenner
+ * @returns {number} - Moyenne de la propriété sur le voisinage
+ */
+StoredAgentPrototype.getNeighborhoodAverage = function (property) {
+    const index = this.store.neighborIndex;
+    const values = this.store.arrays[property];
+    if (!index || !values) {
+        return Agent.prototype.getNeighborhoodAverage.call(this, property);
+    }
+
+    const start = index.offsets[this.index];
+    const end = index.offsets[this.index + 1];
+    if (end === start) return values[this.index];
+
+    let sum = 0;
+    for (let n = start; n < end; n++) {
+        sum += values[index.indices[n]];
+    }
+    return sum / (end - start);
+};
+
+export class AgentStore {
+    /**
+     * Copie les agents dans des tableaux typés et crée les agents-vues correspondants
+     * @param {Array<Agent>} agents - Agents à convertir (sans voisinage, ou voisinage par identifiants)
+     */
+    constructor(agents) {
+        this.size = agents.length;
+        this.arrays = {};
+        for (const key of STORED_PROPERTIES) {
+            this.arrays[key] = new Float64Array(this.size);
+        }
+
+        // Index compact des voisins {offsets, indices}, fourni après la construction du réseau
+        this.neighborIndex = null;
+
+        this.agents = agents.map((source, i) => {
+            const agent = Object.create(StoredAgentPrototype);
+            agent.store = this;
+            agent.index = i;
+            agent.id = source.id;
+            agent.x = source.x;
+            agent.y = source.y;
+            agent.neighbors = source.neighbors;
+
+            for (const key of STORED_PROPERTIES) {
+                agent[key] = source[key];
+            }
+            return agent;
+        });
+    }
+
+    /**
+     * Fournit l'index des voisins utilisé par getNeighborhoodAverage
+     * (à rappeler si le réseau est reconstruit)
+     * @param {Object} neighborIndex - {offsets: Int32Array, indices: Int32Array}
+     */
+    setNeighborIndex(neighborIndex) {
+        this.neighborIndex = neighborIndex;
+    }
+}
@@ -0,0 +1,127 @@
+/**
+ * Diagramme en barres horizontales classées
+ * Une ligne par élément (paramètre), une barre par série, triées par valeur décroissante de la première série
+ */
+
+export class BarChart {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas du diagramme
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        this.margin = { top: 45, right: 70, bottom: 40, left: 60 };
+    }
+
+    /**
+     * Efface le canvas et affiche un message
+     * @param {string} message - Texte à afficher
+     */
+    clear(message = '') {
+        const ctx = this.ctx;
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        if (message) {
+            ctx.fillStyle = '#999';
+            ctx.font = '16px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(message, this.canvas.width / 2, this.canvas.height / 2);
+        }
+    }
+
+    /**
+     * Dessine le diagramme
+     * @param {Object} chart - Description du diagramme :
+     *   - series : [{label, color}] séries de barres (la première sert au classement)
+     *   - items : [{label, values}] une valeur par série
+     *   - valueLabel : libellé de l'axe des valeurs
+     */
+    draw(chart) {
+        this.clear();
+
+        const { series, valueLabel = '' } = chart;
+        const items = [...chart.items].sort((a, b) => b.values[0] - a.values[0]);
+
+        const plotWidth = this.canvas.width - this.margin.left - this.margin.right;
+        const plotHeight = this.canvas.height - this.margin.top - this.margin.bottom;
+        const rowHeight = plotHeight / Math.max(1, items.length);
+        const barHeight = Math.max(2, rowHeight * 0.8 / series.length);
+
+        // Échelle : 0 à gauche sauf si des valeurs sont négatives (estimateurs bruités)
+        const allValues = items.flatMap(item => item.values);
+        const minValue = Math.min(0, ...allValues);
+        const maxValue = Math.max(1e-9, ...allValues);
+        const xScale = value => this.margin.left + (value - minValue) / (maxValue - minValue) * plotWidth;
+
+        const ctx = this.ctx;
+        ctx.font = '12px sans-serif';
+        ctx.textBaseline = 'middle';
+
+        items.forEach((item, row) => {
+            const top = this.margin.top + row * rowHeight + rowHeight * 0.1;
+
+            ctx.fillStyle = '#333';
+            ctx.textAlign = 'right';
+            ctx.fillText(item.label, this.margin.left - 8, top + rowHeight * 0.4);
+
+            item.values.forEach((value, s) => {
+                const left = xScale(Math.min(0, value));
+                const width = Math.abs(xScale(value) - xScale(0));
+                ctx.fillStyle = series[s].color;
+                ctx.fillRect(left, top + s * barHeight, Math.max(1, width), barHeight - 1);
+            });
+
+            ctx.fillStyle = '#666';
+            ctx.textAlign = 'left';
+            ctx.fillText(item.values[0].toFixed(3), xScale(Math.max(0, ...item.values)) + 4, top + barHeight / 2);
+        });
+
+        // Axe des valeurs
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(xScale(0), this.margin.top);
+        ctx.lineTo(xScale(0), this.margin.top + plotHeight);
+        ctx.moveTo(this.margin.left, this.margin.top + plotHeight);
+        ctx.lineTo(this.margin.left + plotWidth, this.margin.top + plotHeight);
+        ctx.stroke();
+
+        ctx.fillStyle = '#333';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const ticks = 5;
+        for (let k = 0; k <= ticks; k++) {
+            const value = minValue + (maxValue - minValue) * k / ticks;
+            ctx.fillText(value.toFixed(2), xScale(value), this.margin.top + plotHeight + 6);
+        }
+        ctx.font = 'bold 13px sans-serif';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(valueLabel, this.margin.left + plotWidth / 2, this.canvas.height - 4);
+
+        this.drawLegend(series);
+    }
+
+    /**
+     * Dessine la légende des séries (en haut)
+     * @private
+     */
+    drawLegend(series) {
+        const ctx = this.ctx;
+        let x = this.margin.left;
+        const y = 18;
+
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        for (const { label, color } of series) {
+            ctx.fillStyle = color;
+            ctx.fillRect(x, y - 6, 20, 12);
+            ctx.fillStyle = '#333';
+            ctx.fillText(label, x + 26, y);
+            x += 26 + ctx.measureText(label).width + 25;
+        }
+    }
+}
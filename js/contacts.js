@@ -0,0 +1,123 @@
+/**
+ * Module des contacts interculturels
+ * Diversité D mesurée sur le réseau social à partir des groupes culturels des agents,
+ * et contacts tirés le long des liens entre agents de groupes différents : leur issue
+ * dépend de la tolérance culturelle et de la sécurité des deux agents.
+ * Sans groupes culturels (populations historiques), le modèle probabiliste d'origine s'applique
+ */
+
+/**
+ * Probabilité par pas qu'un agent rencontre l'un de ses voisins
+ */
+export const CONTACT_PROBABILITY = 0.1;
+
+/**
+ * Intensité maximale d'un contact (intensité uniforme dans [0, CONTACT_INTENSITY])
+ */
+export const CONTACT_INTENSITY = 0.5;
+
+/**
+ * Calcule la diversité vécue sur le réseau : part moyenne des voisins d'un agent
+ * qui appartiennent à un autre groupe que le sien
+ * Pour des groupes mélangés au hasard, D vaut l'indice de Blau 1 - Σ_g p_g² ;
+ * des groupes regroupés dans l'espace ou le réseau la réduisent
+ * @param {Array<Agent>} agents - Agents avec leur groupe et leur voisinage
+ * @returns {number} - Diversité D dans [0, 1] (0 pour une population vide)
+ */
+export function computeDiversity(agents) {
+    if (agents.length === 0) return 0;
+
+    let sum = 0;
+    for (const agent of agents) {
+        if (agent.neighbors.length === 0) continue;
+
+        let others = 0;
+        for (const neighbor of agent.neighbors) {
+            if (neighbor.group !== agent.group) others++;
+        }
+        sum += others / agent.neighbors.length;
+    }
+    return sum / agents.length;
+}
+
+/**
+ * Associe à la société son nombre de groupes culturels et calcule sa diversité
+ * À appeler une fois le réseau social construit
+ * @param {Society} society - Société (agents déjà reliés)
+ * @param {number} groupCount - Nombre de groupes (0 = modèle historique, D inchangée)
+ */
+export function setupCulturalGroups(society, groupCount) {
+    society.groupCount = groupCount;
+    if (groupCount > 0) {
+        society.diversity = computeDiversity(society.agents);
+    }
+}
+
+/**
+ * Tire les contacts interculturels du pas (constants pendant l'intégration)
+ * @param {Society} society - Société (agents et diversité)
+ * @param {Object} rng - Générateur aléatoire exposant random()
+ */
+export function simulateInterculturalContacts(society, rng) {
+    if (society.groupCount > 0) {
+        simulateNetworkContacts(society, rng);
+    } else {
+        simulateRandomContacts(society, rng);
+    }
+}
+
+/**
+ * Contacts le long des liens du réseau
+ * Chaque agent rencontre avec la probabilité CONTACT_PROBABILITY un voisin tiré au hasard ;
+ * si ce voisin appartient à un autre groupe, le contact est positif avec la probabilité
+ * p⁺ = (t_i + t_j)/2 · (1 + (s_i + s_j)/2)/2, où t = (1 + τ^c)/2 : deux agents tolérants et
+ * en sécurité se rencontrent bien, l'intolérance ou l'insécurité de l'un ou l'autre fait
+ * tourner le contact mal. Les deux agents vivent le contact (cumulé et borné à 1)
+ * @private
+ */
+function simulateNetworkContacts(society, rng) {
+    for (const agent of society.agents) {
+        agent.positiveContacts = 0;
+        agent.negativeContacts = 0;
+    }
+
+    for (const agent of society.agents) {
+        if (rng.random() >= CONTACT_PROBABILITY || agent.neighbors.length === 0) continue;
+
+        const partner = agent.neighbors[Math.floor(rng.random() * agent.neighbors.length)];
+        if (partner.group === agent.group) continue;
+
+        const tolerance = (2 + agent.toleranceCultural + partner.toleranceCultural) / 4;
+        const security = (agent.security + partner.security) / 2;
+        const positiveProbability = tolerance * (1 + security) / 2;
+        const intensity = rng.random() * CONTACT_INTENSITY;
+
+        const outcome = rng.random() < positiveProbability ? 'positiveContacts' : 'negativeContacts';
+        agent[outcome] = Math.min(1, agent[outcome] + intensity);
+        partner[outcome] = Math.min(1, partner[outcome] + intensity);
+    }
+}
+
+/**
+ * Modèle d'origine, conservé pour les populations sans groupes culturels : contact avec la
+ * probabilité 0.1·D, positif si τ^c > 0, négatif sinon, d'intensité uniforme
+ * @private
+ */
+function simulateRandomContacts(society, rng) {
+    for (let agent of society.agents) {
+        // Contacts positifs/négatifs basés sur la diversité et la tolérance
+        const contactProbability = society.diversity * CONTACT_PROBABILITY;
+
+        agent.positiveContacts = 0;
+        agent.negativeContacts = 0;
+
+        if (rng.random() < contactProbability) {
+            // La qualité du contact dépend de la tolérance de l'agent
+            if (agent.toleranceCultural > 0) {
+                agent.positiveContacts = rng.random() * CONTACT_INTENSITY;
+            } else {
+                agent.negativeContacts = rng.random() * CONTACT_INTENSITY;
+            }
+        }
+    }
+}
@@ -0,0 +1,226 @@
+/**
+ * Analyse de continuation : détection d'hystérésis et de bistabilité
+ * Un paramètre est augmenté pas à pas puis ramené à sa valeur de départ, en conservant
+ * l'état de la société d'une valeur à la suivante. Là où les deux branches de ψ diffèrent,
+ * le système garde la mémoire de son passé : restaurer le paramètre ne suffit pas à revenir en arrière
+ */
+
+import { SeededRandom } from './random.js';
+import { createRealization, advanceRealization } from './sensitivity.js';
+import { PHASE_DIAGRAM_AXES } from './phasediagram.js';
+
+/**
+ * Grandeurs pilotables par la continuation : paramètres du modèle et menace externe
+ * (forçage de la société, cible 'society.externalThreat' comme dans les scénarios).
+ * Les conditions initiales des variables intégrées n'ont pas de sens ici : l'état est conservé
+ */
+export const CONTINUATION_PARAMETERS = [
+    ...PHASE_DIAGRAM_AXES.filter(axis => !axis.key.startsWith('initial.')),
+    { key: 'society.externalThreat', label: 'M_ext (menace externe)', min: 0, max: 1 }
+];
+
+/**
+ * Écart minimal entre branches montante et descendante pour signaler une fenêtre d'hystérésis
+ */
+export const HYSTERESIS_THRESHOLD = 0.1;
+
+/**
+ * Valeurs par défaut des réglages de la continuation
+ * - steps : nombre de valeurs du paramètre sur chaque rampe
+ * - maxSettleTime : durée maximale d'intégration à chaque valeur
+ * - settleWindow, settleTolerance : la valeur est jugée relaxée quand ψ varie de moins
+ *   de settleTolerance sur une fenêtre de durée settleWindow
+ */
+export const DEFAULT_CONTINUATION = {
+    steps: 15,
+    maxSettleTime: 30,
+    settleWindow: 2,
+    settleTolerance: 1e-3,
+    dt: 0.02,
+    numAgents: 75,
+    numRealizations: 5
+};
+
+/**
+ * Valeurs du paramètre sur la rampe montante
+ * @param {number} pMin - Valeur de départ
+ * @param {number} pMax - Valeur d'arrivée
+ * @param {number} steps - Nombre de valeurs
+ * @returns {Array<number>}
+ */
+export function continuationValues(pMin, pMax, steps) {
+    const count = Math.max(2, Math.round(steps));
+    return Array.from({ length: count }, (_, i) => pMin + (pMax - pMin) * i / (count - 1));
+}
+
+/**
+ * Impose la valeur courante du paramètre piloté
+ * @private
+ */
+function setControl(realization, key, value) {
+    if (key.startsWith('society.')) {
+        realization.society[key.slice('society.'.length)] = value;
+    } else {
+        realization.system.params[key] = value;
+    }
+}
+
+/**
+ * Intègre jusqu'à relaxation (ψ stable sur une fenêtre) ou jusqu'à la durée maximale
+ * @private
+ */
+function settle(realization, settings, rng) {
+    const { society } = realization;
+    let elapsed = 0;
+    let previousPsi = society.getOrderParameter();
+
+    while (elapsed < settings.maxSettleTime) {
+        advanceRealization(realization, settings.settleWindow, settings.dt, rng, false);
+        elapsed += settings.settleWindow;
+
+        const psi = society.getOrderParameter();
+        if (Math.abs(psi - previousPsi) < settings.settleTolerance) break;
+        previousPsi = psi;
+    }
+}
+
+/**
+ * Une réalisation de la continuation : rampe montante puis descendante, sans réinitialiser l'état
+ * Exportée pour être exécutée dans les Web Workers du pool de calcul
+ * @param {string} paramName - Grandeur pilotée (voir CONTINUATION_PARAMETERS)
+ * @param {Object} baseParams - Paramètres de base
+ * @param {number} pMin - Valeur de départ (et de retour) du paramètre
+ * @param {number} pMax - Valeur atteinte en fin de rampe montante
+ * @param {SeededRandom} rng - Générateur aléatoire de la réalisation
+ * @param {Object} options - Réglages (voir DEFAULT_CONTINUATION) et options de simulation
+ *                           {integrator, tolerance, network, population, backend, initialConditions}
+ * @returns {Object} - {forward, backward} : ψ et Q en chaque valeur de continuationValues,
+ *                     la branche descendante étant rangée dans le même ordre
+ */
+export function runContinuationRealization(paramName, baseParams, pMin, pMax, rng, options = {}) {
+    const settings = { ...DEFAULT_CONTINUATION, ...options };
+    const values = continuationValues(pMin, pMax, settings.steps);
+
+    const params = Object.assign(Object.create(Object.getPrototypeOf(baseParams)), baseParams);
+    const realization = createRealization(params, settings.numAgents, rng, options);
+
+    const sweep = (ramp) => ramp.map(value => {
+        setControl(realization, paramName, value);
+        // L'intégrateur adaptatif repart d'un pas neuf après le changement de paramètre
+        realization.integrator.reset();
+        settle(realization, settings, rng);
+        return {
+            psi: realization.society.getOrderParameter(),
+            institutionalQuality: realization.society.institutionalQuality
+        };
+    });
+
+    const forward = sweep(values);
+    const backward = sweep(values.slice(0, -1).reverse()).reverse();
+    // Le sommet de la rampe est commun aux deux branches
+    backward.push(forward[forward.length - 1]);
+
+    return { forward, backward };
+}
+
+/**
+ * Analyse de continuation moyennée sur plusieurs réalisations
+ * @param {string} paramName - Grandeur pilotée (voir CONTINUATION_PARAMETERS)
+ * @param {Object} baseParams - Paramètres de base
+ * @param {number} pMin - Valeur de départ du paramètre
+ * @param {number} pMax - Valeur atteinte en fin de rampe montante
+ * @param {Object} options - Réglages (voir DEFAULT_CONTINUATION), options de simulation
+ *                           {seed, rng, integrator, tolerance, network, population, backend, initialConditions},
+ *                           plus runContinuation (pool de Web Workers), signal et
+ *                           onRealization(done, total)
+ * @returns {Promise<Object>} - {paramName, values, forward, backward, windows} où forward et backward
+ *                              valent {psi, psiStd, institutionalQuality} (tableaux alignés sur values)
+ */
+export async function analyzeContinuation(paramName, baseParams, pMin, pMax, options = {}) {
+    const settings = { ...DEFAULT_CONTINUATION, ...options };
+    if (options.signal && options.signal.aborted) {
+        throw new Error('Analyse annulée');
+    }
+
+    // Graines tirées dans le thread principal : même résultat avec ou sans workers
+    const rng = options.rng || new SeededRandom(options.seed);
+    const seeds = Array.from({ length: settings.numRealizations }, () => rng.nextSeed());
+
+    let done = 0;
+    const runs = await Promise.all(seeds.map(async seed => {
+        const run = options.runContinuation
+            ? await options.runContinuation(paramName, baseParams, pMin, pMax, seed, settings)
+            : runContinuationRealization(paramName, baseParams, pMin, pMax, new SeededRandom(seed), settings);
+        done++;
+        if (options.onRealization) {
+            options.onRealization(done, seeds.length);
+        }
+        return run;
+    }));
+
+    const values = continuationValues(pMin, pMax, settings.steps);
+    const forward = summarizeBranch(runs.map(run => run.forward));
+    const backward = summarizeBranch(runs.map(run => run.backward));
+
+    return {
+        paramName,
+        values,
+        forward,
+        backward,
+        windows: findHysteresisWindows(values, forward.psi, backward.psi)
+    };
+}
+
+/**
+ * Moyenne des branches de plusieurs réalisations, valeur par valeur
+ * @private
+ */
+function summarizeBranch(branches) {
+    const count = branches.length;
+    const length = branches[0].length;
+    const psi = [];
+    const psiStd = [];
+    const institutionalQuality = [];
+
+    for (let k = 0; k < length; k++) {
+        const values = branches.map(branch => branch[k].psi);
+        const mean = values.reduce((sum, val) => sum + val, 0) / count;
+        const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / count;
+
+        psi.push(mean);
+        psiStd.push(Math.sqrt(variance));
+        institutionalQuality.push(branches.reduce((sum, branch) => sum + branch[k].institutionalQuality, 0) / count);
+    }
+
+    return { psi, psiStd, institutionalQuality };
+}
+
+/**
+ * Intervalles du paramètre où les branches montante et descendante diffèrent
+ * @param {Array<number>} values - Valeurs du paramètre, dans l'ordre de la rampe montante
+ * @param {Array<number>} forwardPsi - ψ sur la rampe montante
+ * @param {Array<number>} backwardPsi - ψ sur la rampe descendante
+ * @param {number} threshold - Écart minimal |ψ_montant − ψ_descendant|
+ * @returns {Array<Object>} - Fenêtres {min, max, maxGap}
+ */
+export function findHysteresisWindows(values, forwardPsi, backwardPsi, threshold = HYSTERESIS_THRESHOLD) {
+    const windows = [];
+    let current = null;
+
+    values.forEach((value, k) => {
+        const gap = Math.abs(forwardPsi[k] - backwardPsi[k]);
+        if (gap >= threshold) {
+            if (!current) {
+                current = { min: value, max: value, maxGap: gap };
+                windows.push(current);
+            }
+            current.min = Math.min(current.min, value);
+            current.max = Math.max(current.max, value);
+            current.maxGap = Math.max(current.maxGap, gap);
+        } else {
+            current = null;
+        }
+    });
+
+    return windows;
+}
@@ -0,0 +1,260 @@
+/**
+ * Graphique de courbes y(x) réutilisable
+ * Plusieurs séries avec barres d'incertitude ou bandes de dispersion, bandes verticales
+ * (intervalles remarquables), lignes horizontales de référence et repères verticaux
+ */
+
+export class CurveChart {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas du graphique
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        this.margin = { top: 20, right: 20, bottom: 55, left: 65 };
+    }
+
+    /**
+     * Efface le canvas et affiche un message
+     * @param {string} message - Texte à afficher
+     */
+    clear(message = '') {
+        const ctx = this.ctx;
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        if (message) {
+            ctx.fillStyle = '#999';
+            ctx.font = '16px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(message, this.canvas.width / 2, this.canvas.height / 2);
+        }
+    }
+
+    /**
+     * Dessine le graphique
+     * @param {Object} chart - Description du graphique :
+     *   - xLabel, yLabel : libellés des axes
+     *   - xMin, xMax, yMin, yMax : bornes (déduites des données si absentes)
+     *   - series : [{label, color, x, y, error, spread, dashed, points}] ; error (optionnel) = demi-largeur des barres,
+     *     spread (optionnel) = demi-largeur d'une bande remplie autour de la courbe,
+     *     points = false pour une ligne sans points (séries denses)
+     *   - bands : [{min, max, color, label}] intervalles de x à surligner
+     *   - levels : [{y, label}] lignes horizontales de référence
+     *   - markers : [{x, label, color}] lignes verticales de repère (valeur courante, seuils)
+     */
+    draw(chart) {
+        this.clear();
+
+        const { series = [], bands = [], levels = [], markers = [] } = chart;
+        const allX = series.flatMap(s => s.x);
+        const allY = series.flatMap(s => s.y);
+        const xMin = chart.xMin !== undefined ? chart.xMin : Math.min(...allX);
+        const xMax = chart.xMax !== undefined ? chart.xMax : Math.max(...allX);
+        const yMin = chart.yMin !== undefined ? chart.yMin : Math.min(...allY);
+        const yMax = chart.yMax !== undefined ? chart.yMax : Math.max(...allY);
+
+        const plotWidth = this.canvas.width - this.margin.left - this.margin.right;
+        const plotHeight = this.canvas.height - this.margin.top - this.margin.bottom;
+        const xScale = x => this.margin.left + (x - xMin) / ((xMax - xMin) || 1) * plotWidth;
+        const yScale = y => this.margin.top + plotHeight - (y - yMin) / ((yMax - yMin) || 1) * plotHeight;
+
+        const ctx = this.ctx;
+
+        // Bandes verticales (sous les courbes)
+        for (const band of bands) {
+            ctx.fillStyle = band.color || 'rgba(255, 152, 0, 0.2)';
+            const left = xScale(band.min);
+            ctx.fillRect(left, this.margin.top, Math.max(3, xScale(band.max) - left), plotHeight);
+        }
+
+        // Bandes de dispersion autour des courbes
+        for (const s of series.filter(candidate => candidate.spread)) {
+            ctx.fillStyle = s.color;
+            ctx.globalAlpha = 0.2;
+            ctx.beginPath();
+            s.x.forEach((x, k) => {
+                if (k === 0) {
+                    ctx.moveTo(xScale(x), yScale(s.y[k] + s.spread[k]));
+                } else {
+                    ctx.lineTo(xScale(x), yScale(s.y[k] + s.spread[k]));
+                }
+            });
+            for (let k = s.x.length - 1; k >= 0; k--) {
+                ctx.lineTo(xScale(s.x[k]), yScale(s.y[k] - s.spread[k]));
+            }
+            ctx.closePath();
+            ctx.fill();
+            ctx.globalAlpha = 1;
+        }
+
+        // Lignes de référence
+        ctx.strokeStyle = '#999';
+        ctx.fillStyle = '#666';
+        ctx.lineWidth = 1;
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+        ctx.setLineDash([4, 4]);
+        for (const level of levels) {
+            const y = yScale(level.y);
+            ctx.beginPath();
+            ctx.moveTo(this.margin.left, y);
+            ctx.lineTo(this.margin.left + plotWidth, y);
+            ctx.stroke();
+            if (level.label) {
+                ctx.fillText(level.label, this.margin.left + plotWidth - 4, y - 2);
+            }
+        }
+        ctx.setLineDash([]);
+
+        // Séries : barres d'incertitude, ligne, puis points
+        for (const s of series) {
+            ctx.strokeStyle = s.color;
+            ctx.fillStyle = s.color;
+
+            if (s.error) {
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                s.x.forEach((x, k) => {
+                    ctx.moveTo(xScale(x), yScale(s.y[k] - s.error[k]));
+                    ctx.lineTo(xScale(x), yScale(s.y[k] + s.error[k]));
+                });
+                ctx.stroke();
+            }
+
+            ctx.lineWidth = 2;
+            ctx.setLineDash(s.dashed ? [8, 5] : []);
+            ctx.beginPath();
+            s.x.forEach((x, k) => {
+                if (k === 0) {
+                    ctx.moveTo(xScale(x), yScale(s.y[k]));
+                } else {
+                    ctx.lineTo(xScale(x), yScale(s.y[k]));
+                }
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            if (s.points !== false) {
+                s.x.forEach((x, k) => {
+                    ctx.beginPath();
+                    ctx.arc(xScale(x), yScale(s.y[k]), 3, 0, 2 * Math.PI);
+                    ctx.fill();
+                });
+            }
+        }
+
+        // Repères verticaux (au-dessus des courbes), libellés étagés en bas du graphique
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        markers.forEach((marker, k) => {
+            const x = xScale(marker.x);
+            ctx.strokeStyle = marker.color || '#333';
+            ctx.fillStyle = marker.color || '#333';
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            ctx.moveTo(x, this.margin.top);
+            ctx.lineTo(x, this.margin.top + plotHeight);
+            ctx.stroke();
+            if (marker.label) {
+                ctx.fillText(marker.label, x + 3, this.margin.top + plotHeight - 3 - 14 * k);
+            }
+        });
+
+        this.drawAxes(chart, xMin, xMax, yMin, yMax, plotWidth, plotHeight);
+        this.drawLegend(series, bands);
+    }
+
+    /**
+     * Dessine les axes gradués et leurs libellés
+     * @private
+     */
+    drawAxes(chart, xMin, xMax, yMin, yMax, plotWidth, plotHeight) {
+        const ctx = this.ctx;
+        const bottom = this.margin.top + plotHeight;
+
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(this.margin.left, this.margin.top, plotWidth, plotHeight);
+
+        ctx.fillStyle = '#333';
+        ctx.font = '12px sans-serif';
+        const ticks = 5;
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let k = 0; k <= ticks; k++) {
+            const value = xMin + (xMax - xMin) * k / ticks;
+            ctx.fillText(value.toFixed(2), this.margin.left + plotWidth * k / ticks, bottom + 6);
+        }
+
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let k = 0; k <= ticks; k++) {
+            const value = yMin + (yMax - yMin) * k / ticks;
+            ctx.fillText(value.toFixed(2), this.margin.left - 6, bottom - plotHeight * k / ticks);
+        }
+
+        ctx.font = 'bold 13px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(chart.xLabel || '', this.margin.left + plotWidth / 2, this.canvas.height - 8);
+
+        ctx.save();
+        ctx.translate(16, this.margin.top + plotHeight / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textBaseline = 'middle';
+        ctx.fillText(chart.yLabel || '', 0, 0);
+        ctx.restore();
+    }
+
+    /**
+     * Dessine la légende des séries et des bandes (coin supérieur gauche)
+     * @private
+     */
+    drawLegend(series, bands) {
+        const ctx = this.ctx;
+        const entries = [
+            ...series.map(s => ({ label: s.label, color: s.color, dashed: s.dashed })),
+            ...bands.filter(band => band.label).slice(0, 1).map(band => ({
+                label: band.label,
+                color: band.color || 'rgba(255, 152, 0, 0.2)',
+                band: true
+            }))
+        ];
+        if (entries.length === 0) return;
+
+        const x = this.margin.left + 10;
+        let y = this.margin.top + 10;
+
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        const width = Math.max(...entries.map(entry => ctx.measureText(entry.label).width)) + 45;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fillRect(x - 5, y - 5, width, entries.length * 20 + 5);
+
+        for (const entry of entries) {
+            if (entry.band) {
+                ctx.fillStyle = entry.color;
+                ctx.fillRect(x, y + 2, 25, 12);
+            } else {
+                ctx.strokeStyle = entry.color;
+                ctx.lineWidth = 2;
+                ctx.setLineDash(entry.dashed ? [8, 5] : []);
+                ctx.beginPath();
+                ctx.moveTo(x, y + 8);
+                ctx.lineTo(x + 25, y + 8);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+            ctx.fillStyle = '#333';
+            ctx.fillText(entry.label, x + 32, y + 8);
+            y += 20;
+        }
+    }
+}
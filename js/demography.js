@@ -0,0 +1,97 @@
+/**
+ * Module démographique
+ * Vieillissement des agents, décès et remplacement par une nouvelle génération :
+ * l'éducation des nouveaux agents dépend des institutions et du patrimoine familial,
+ * leur adhésion démocratique hérite en partie de leur famille et de leur voisinage.
+ * Comme les chocs économiques, ce processus de sauts est aléatoire et reste hors de l'intégrateur
+ */
+
+import { DEFAULT_POPULATION, sampleAgentTraits } from './population.js';
+
+/**
+ * Amplitude du bruit sur l'éducation d'un nouvel agent (uniforme dans ±EDUCATION_NOISE)
+ */
+export const EDUCATION_NOISE = 0.1;
+
+/**
+ * Tire les âges initiaux dans la loi stationnaire du renouvellement (exponentielle de
+ * moyenne 1/ζ₁) : la population de départ est déjà mélangée entre générations
+ * Sans renouvellement (ζ₁ = 0), les âges restent nuls et aucun nombre aléatoire n'est tiré
+ * @param {Array<Agent>} agents - Agents à initialiser
+ * @param {Parameters} params - Paramètres du modèle (zeta1)
+ * @param {Object} rng - Générateur aléatoire exposant random()
+ */
+export function initializeAges(agents, params, rng) {
+    if (params.zeta1 <= 0) return;
+
+    for (const agent of agents) {
+        agent.age = -Math.log(1 - rng.random()) / params.zeta1;
+    }
+}
+
+/**
+ * Fait vieillir les agents et remplace ceux qui décèdent pendant le pas
+ * Chaque agent décède avec la probabilité ζ₁·dt (durée de vie moyenne 1/ζ₁) ; le nouvel
+ * agent prend sa place dans le réseau social (même foyer) et hérite de sa richesse, mais
+ * reçoit un nouvel identifiant (un événement de scénario ne le confond pas avec le défunt).
+ * Sans renouvellement (ζ₁ = 0), aucun nombre aléatoire n'est tiré
+ * @param {Society} society - Société (agents et variables macroscopiques)
+ * @param {Parameters} params - Paramètres du modèle (zeta1 à zeta3)
+ * @param {number} dt - Durée du pas écoulé
+ * @param {Object} rng - Générateur aléatoire exposant random()
+ * @param {Object} population - Lois des variables initiales (voir DEFAULT_POPULATION), suivies
+ *                              par les nouveaux agents
+ * @returns {number} - Nombre d'agents remplacés pendant le pas
+ */
+export function applyDemography(society, params, dt, rng, population = DEFAULT_POPULATION) {
+    let lastId = -1;
+    for (const agent of society.agents) {
+        agent.age += dt;
+        lastId = Math.max(lastId, agent.id);
+    }
+    if (params.zeta1 <= 0) return 0;
+
+    const probability = params.zeta1 * dt;
+    const avgWealth = society.getAverage('wealth');
+    let births = 0;
+    for (const agent of society.agents) {
+        if (rng.random() < probability) {
+            renewAgent(agent, ++lastId, society, params, population, avgWealth, rng);
+            births++;
+        }
+    }
+
+    if (births > 0) {
+        society.updateDerivedVariables();
+    }
+    return births;
+}
+
+/**
+ * Remplace un agent décédé par un nouvel agent du même foyer
+ * - Éducation : e = ζ₂·Q + (1-ζ₂)·w/(w+⟨w⟩) + bruit, l'école publique dépend des institutions,
+ *   le reste du patrimoine familial (w/(w+⟨w⟩) vaut 1/2 pour une famille de richesse moyenne)
+ * - Adhésion : α = ζ₃·(α_parent + ⟨α⟩_N)/2 + (1-ζ₃)·u, u tiré dans la loi initiale de α
+ * - Richesse : héritée (la richesse totale est conservée)
+ * - Sécurité : tirée dans sa loi initiale
+ * - Autres variables : tirées comme à l'initialisation (Agent.reset), contacts et âge nuls
+ * - Identifiant : id, jamais attribué auparavant
+ * @private
+ */
+function renewAgent(agent, id, society, params, population, avgWealth, rng) {
+    const familyWealth = agent.wealth;
+    const inheritedAlpha = (agent.democraticAdherence + agent.getNeighborhoodAverage('democraticAdherence')) / 2;
+    const wealthShare = familyWealth + avgWealth > 0 ? familyWealth / (familyWealth + avgWealth) : 0.5;
+
+    agent.id = id;
+    agent.reset(rng);
+    sampleAgentTraits(agent, population, ['security', 'democraticAdherence'], rng);
+    agent.wealth = familyWealth;
+
+    const education = params.zeta2 * society.institutionalQuality + (1 - params.zeta2) * wealthShare +
+        EDUCATION_NOISE * (2 * rng.random() - 1);
+    agent.education = Math.max(0, Math.min(1, education));
+
+    // α vient d'être tiré dans sa loi initiale : c'est la part non héritée u
+    agent.democraticAdherence = params.zeta3 * inheritedAlpha + (1 - params.zeta3) * agent.democraticAdherence;
+}
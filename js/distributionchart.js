@@ -0,0 +1,294 @@
+/**
+ * Vues de distribution des variables des agents
+ * Histogramme d'une variable, nuage de points de deux variables et carte
+ * temps × α de la distribution de l'adhésion démocratique enregistrée dans l'historique
+ */
+
+import { ALPHA_DISTRIBUTION_BINS } from './society.js';
+
+/**
+ * Nombre de classes des histogrammes instantanés
+ */
+export const HISTOGRAM_BINS = 25;
+
+export class DistributionChart {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas du graphique
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        this.margin = { top: 30, right: 20, bottom: 45, left: 55 };
+    }
+
+    /**
+     * Efface le canvas et affiche un message
+     * @param {string} message - Texte à afficher
+     */
+    clear(message = '') {
+        const ctx = this.ctx;
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        if (message) {
+            ctx.fillStyle = '#999';
+            ctx.font = '16px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(message, this.canvas.width / 2, this.canvas.height / 2);
+        }
+    }
+
+    /**
+     * Dessine l'histogramme d'une variable des agents
+     * @param {Array<number>} fractions - Fraction des agents par classe (Society.getHistogram)
+     * @param {Object} variable - Variable affichée {label, min, max} (AGENT_DISPLAY_VARIABLES)
+     * @param {Object} stats - {mean, std} de la variable, repérés sur l'histogramme
+     */
+    drawHistogram(fractions, variable, stats) {
+        this.clear();
+
+        const { plotWidth, plotHeight } = this.plotSize();
+        const yMax = Math.max(0.05, ...fractions) * 1.1;
+        const barWidth = plotWidth / fractions.length;
+
+        const ctx = this.ctx;
+        ctx.fillStyle = 'rgba(102, 126, 234, 0.7)';
+        fractions.forEach((fraction, k) => {
+            const barHeight = fraction / yMax * plotHeight;
+            ctx.fillRect(this.margin.left + k * barWidth + 1, this.margin.top + plotHeight - barHeight, barWidth - 2, barHeight);
+        });
+
+        // Moyenne et ± un écart-type : deux distributions de même moyenne se distinguent par leur forme
+        const xScale = x => this.margin.left + (x - variable.min) / (variable.max - variable.min) * plotWidth;
+        ctx.strokeStyle = '#e74c3c';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(xScale(stats.mean), this.margin.top);
+        ctx.lineTo(xScale(stats.mean), this.margin.top + plotHeight);
+        ctx.stroke();
+        ctx.setLineDash([5, 4]);
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (const x of [stats.mean - stats.std, stats.mean + stats.std]) {
+            ctx.moveTo(xScale(x), this.margin.top);
+            ctx.lineTo(xScale(x), this.margin.top + plotHeight);
+        }
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        this.drawAxes(variable.min, variable.max, 0, yMax, variable.label, 'Fraction des agents');
+        this.drawTitle(`moyenne ${stats.mean.toFixed(3)}, écart-type ${stats.std.toFixed(3)}`);
+    }
+
+    /**
+     * Dessine le nuage de points de deux variables des agents
+     * @param {Array<number>} xValues - Valeurs de la variable en abscisse
+     * @param {Array<number>} yValues - Valeurs de la variable en ordonnée
+     * @param {Object} xVariable - Variable en abscisse {label, min, max}
+     * @param {Object} yVariable - Variable en ordonnée {label, min, max}
+     */
+    drawScatter(xValues, yValues, xVariable, yVariable) {
+        this.clear();
+
+        const { plotWidth, plotHeight } = this.plotSize();
+        const xScale = x => this.margin.left + (x - xVariable.min) / (xVariable.max - xVariable.min) * plotWidth;
+        const yScale = y => this.margin.top + plotHeight - (y - yVariable.min) / (yVariable.max - yVariable.min) * plotHeight;
+
+        const ctx = this.ctx;
+        ctx.fillStyle = 'rgba(102, 126, 234, 0.5)';
+        for (let i = 0; i < xValues.length; i++) {
+            ctx.beginPath();
+            ctx.arc(xScale(xValues[i]), yScale(yValues[i]), 2.5, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+
+        this.drawAxes(xVariable.min, xVariable.max, yVariable.min, yVariable.max, xVariable.label, yVariable.label);
+        this.drawTitle(`corrélation r = ${correlation(xValues, yValues).toFixed(3)} (${xValues.length} agents)`);
+    }
+
+    /**
+     * Dessine la distribution de α au cours du temps (carte temps × α)
+     * Au-delà d'un point par pixel, les distributions sont moyennées par colonne ;
+     * les points sans distribution (instantanés anciens) restent gris
+     * @param {Object} history - Historique de la société (time, avgAlpha, alphaDistribution)
+     */
+    drawDistributionHistory(history) {
+        const { time, avgAlpha, alphaDistribution } = history;
+        if (time.length < 2) {
+            this.clear('Distribution de α enregistrée au fil de la simulation');
+            return;
+        }
+        this.clear();
+
+        const { plotWidth, plotHeight } = this.plotSize();
+        const minTime = time[0];
+        const maxTime = time[time.length - 1];
+        const xScale = t => this.margin.left + (t - minTime) / ((maxTime - minTime) || 1) * plotWidth;
+        const yScale = alpha => this.margin.top + plotHeight - (alpha + 1) / 2 * plotHeight;
+
+        // Intensité relative à la classe la plus peuplée de tout l'historique
+        let maxFraction = 0;
+        for (const fractions of alphaDistribution) {
+            if (fractions) maxFraction = Math.max(maxFraction, ...fractions);
+        }
+
+        // Une colonne par pixel au plus : les distributions d'une même colonne sont moyennées
+        const ctx = this.ctx;
+        const binHeight = plotHeight / ALPHA_DISTRIBUTION_BINS;
+        const numColumns = Math.min(time.length, Math.floor(plotWidth));
+        const columnStart = c => Math.floor(c * time.length / numColumns);
+        for (let c = 0; c < numColumns; c++) {
+            const first = columnStart(c);
+            const next = columnStart(c + 1);
+            const left = xScale(time[first]);
+            const right = next < time.length ? xScale(time[next]) : this.margin.left + plotWidth;
+            const fractions = averageDistributions(alphaDistribution, first, next);
+
+            if (!fractions) {
+                ctx.fillStyle = '#e0e0e0';
+                ctx.fillRect(left, this.margin.top, Math.max(1, right - left), plotHeight);
+                continue;
+            }
+            fractions.forEach((fraction, bin) => {
+                ctx.fillStyle = fractionToColor(fraction, maxFraction);
+                ctx.fillRect(left, this.margin.top + plotHeight - (bin + 1) * binHeight, Math.ceil(right - left), Math.ceil(binHeight));
+            });
+        }
+
+        // ⟨α⟩ par-dessus : la moyenne seule ne distingue pas une société polarisée d'une société tiède
+        ctx.strokeStyle = '#e74c3c';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let c = 0; c < numColumns; c++) {
+            const k = columnStart(c);
+            if (c === 0) {
+                ctx.moveTo(xScale(time[k]), yScale(avgAlpha[k]));
+            } else {
+                ctx.lineTo(xScale(time[k]), yScale(avgAlpha[k]));
+            }
+        }
+        ctx.lineTo(xScale(time[time.length - 1]), yScale(avgAlpha[time.length - 1]));
+        ctx.stroke();
+
+        this.drawAxes(minTime, maxTime, -1, 1, 'Temps', 'α');
+        this.drawTitle('Densité de α (foncé = classe peuplée), ⟨α⟩ en rouge');
+    }
+
+    /**
+     * Dimensions de la zone de tracé
+     * @private
+     */
+    plotSize() {
+        return {
+            plotWidth: this.canvas.width - this.margin.left - this.margin.right,
+            plotHeight: this.canvas.height - this.margin.top - this.margin.bottom
+        };
+    }
+
+    /**
+     * Dessine le cadre, cinq graduations par axe et les libellés
+     * @private
+     */
+    drawAxes(xMin, xMax, yMin, yMax, xLabel, yLabel) {
+        const ctx = this.ctx;
+        const { plotWidth, plotHeight } = this.plotSize();
+
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(this.margin.left, this.margin.top, plotWidth, plotHeight);
+
+        ctx.fillStyle = '#333';
+        ctx.font = '11px sans-serif';
+        for (let k = 0; k <= 4; k++) {
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            const x = xMin + (xMax - xMin) * k / 4;
+            ctx.fillText(x.toFixed(xMax - xMin >= 10 ? 0 : 2), this.margin.left + plotWidth * k / 4, this.margin.top + plotHeight + 5);
+
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'middle';
+            const y = yMin + (yMax - yMin) * k / 4;
+            ctx.fillText(y.toFixed(2), this.margin.left - 5, this.margin.top + plotHeight * (1 - k / 4));
+        }
+
+        ctx.font = 'bold 12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(xLabel, this.margin.left + plotWidth / 2, this.canvas.height - 6);
+
+        ctx.save();
+        ctx.translate(14, this.margin.top + plotHeight / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textBaseline = 'middle';
+        ctx.fillText(yLabel, 0, 0);
+        ctx.restore();
+    }
+
+    /**
+     * Écrit une ligne de résumé au-dessus du graphique
+     * @private
+     */
+    drawTitle(text) {
+        const ctx = this.ctx;
+        ctx.fillStyle = '#555';
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(text, this.margin.left, this.margin.top - 8);
+    }
+}
+
+/**
+ * Couleur d'une fraction d'agents : du blanc (classe vide) au violet
+ * @private
+ */
+function fractionToColor(fraction, maxFraction) {
+    const t = maxFraction > 0 ? Math.min(1, fraction / maxFraction) : 0;
+    const red = Math.floor(255 - t * (255 - 118));
+    const green = Math.floor(255 - t * (255 - 75));
+    const blue = Math.floor(255 - t * (255 - 162));
+    return `rgb(${red}, ${green}, ${blue})`;
+}
+
+/**
+ * Moyenne des histogrammes d'indices [first, next), null si aucun n'est disponible
+ * @private
+ */
+function averageDistributions(distributions, first, next) {
+    let sum = null;
+    let count = 0;
+    for (let k = first; k < next; k++) {
+        if (!distributions[k]) continue;
+        sum = sum ? sum.map((value, bin) => value + distributions[k][bin]) : [...distributions[k]];
+        count++;
+    }
+    return sum && sum.map(value => value / count);
+}
+
+/**
+ * Coefficient de corrélation de Pearson (0 si une variable est constante)
+ * @private
+ */
+function correlation(xValues, yValues) {
+    const n = xValues.length;
+    let meanX = 0;
+    let meanY = 0;
+    for (let i = 0; i < n; i++) {
+        meanX += xValues[i] / n;
+        meanY += yValues[i] / n;
+    }
+
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    for (let i = 0; i < n; i++) {
+        const dx = xValues[i] - meanX;
+        const dy = yValues[i] - meanY;
+        covariance += dx * dy;
+        varianceX += dx * dx;
+        varianceY += dy * dy;
+    }
+    return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : 0;
+}
@@ -13,6 +13,7 @@ export class Parameters {
         this.beta2 = 0.3;  // Érosion par insécurité
         this.beta3 = 0.4;  // Effet institutionnel
         this.beta4 = 0.6;  // Effet peur
+        this.beta5 = 0.2;  // Soutien par les tolérances économique et physique
 
         // Paramètres pour la tolérance culturelle (équation 3.2)
         this.gamma1 = 0.3;  // Ouverture par éducation
@@ -53,23 +54,93 @@ export class Parameters {
         this.rho2 = 0.4;  // Amplification
         this.rho3 = 0.3;  // Xénophobie
         this.rho4 = 0.2;  // Résilience collective
+        this.rho5 = 0.1;  // Tolérances économique et physique
+
+        // Paramètres pour la richesse (équation 3.6)
+        this.omega1 = 0.05;  // Croissance (rendement de l'éducation)
+        this.omega2 = 0.1;   // Redistribution institutionnelle
+        this.omega3 = 0.1;   // Capture de rente
+        this.omega4 = 0.1;   // Fréquence des chocs économiques (par agent et par unité de temps)
+        this.omega5 = 0.2;   // Amplitude des chocs économiques
+
+        // Paramètres pour la tolérance économique (équation 3.7)
+        this.kappa1 = 0.3;  // Ouverture par éducation
+        this.kappa2 = 0.4;  // Concurrence de la précarité
+        this.kappa3 = 0.3;  // Repli face à la menace
+
+        // Paramètres pour la tolérance physique (équation 3.8)
+        this.xi1 = 0.2;  // Ouverture par éducation
+        this.xi2 = 0.4;  // Contact positif
+        this.xi3 = 0.5;  // Contact négatif
+        this.xi4 = 0.4;  // Repli face à la menace
+
+        // Paramètres démographiques (demography.js)
+        this.zeta1 = 0.02;  // Taux de renouvellement (durée de vie moyenne 1/ζ₁)
+        this.zeta2 = 0.5;   // Poids des institutions dans l'éducation des nouveaux agents
+        this.zeta3 = 0.5;   // Transmission de l'adhésion (famille et voisinage)
     }
 }
 
+/**
+ * Valeurs qui reproduisent le modèle d'avant l'introduction d'un paramètre : un export ou
+ * un instantané qui ne mentionne pas le paramètre a été produit avec cette valeur
+ * - omega1 à omega4 : richesses constantes (équation 3.6)
+ * - beta5, rho5, kappa, xi : tolérances économique et physique figées et sans effet (équations 3.7 et 3.8)
+ * - zeta1 : population sans renouvellement (demography.js)
+ */
+export const LEGACY_PARAMETERS = {
+    omega1: 0, omega2: 0, omega3: 0, omega4: 0,
+    beta5: 0, rho5: 0,
+    kappa1: 0, kappa2: 0, kappa3: 0,
+    xi1: 0, xi2: 0, xi3: 0, xi4: 0,
+    zeta1: 0
+};
+
+/**
+ * Complète des paramètres lus dans un export ou un instantané avec LEGACY_PARAMETERS,
+ * pour qu'un run antérieur à une extension du modèle se rejoue à l'identique
+ * @param {Object} parameters - Paramètres lus
+ * @returns {Object} - Paramètres complétés (les valeurs présentes sont conservées)
+ */
+export function withLegacyParameters(parameters) {
+    return { ...LEGACY_PARAMETERS, ...parameters };
+}
+
+/**
+ * Richesse moyenne à laquelle plafonne la croissance (deux fois la moyenne initiale, voir MEAN_WEALTH)
+ */
+export const WEALTH_CAPACITY = 1;
+
 /**
  * Calcule la dérivée de l'adhésion démocratique (équation 3.1)
- * dα_i/dt = π_i·⟨α⟩ + β₁·e_i·(1-α_i) - β₂·(1-s_i)·α_i + β₃·Q - β₄·M·π_i
+ * dα_i/dt = π_i·⟨α⟩ + β₁·e_i·(1-α_i) - β₂·(1-s_i)·α_i + β₃·Q - β₄·M·π_i + β₅·(τ^w_i+τ^p_i)/2
  */
 export function computeDemocraticAdherence(agent, society, params) {
-    const avgAlpha = agent.getNeighborhoodAverage('democraticAdherence');
+    const terms = democraticAdherenceTerms(agent, society, params);
 
-    const socialInfluence = agent.permeability * avgAlpha;
-    const educationEffect = params.beta1 * agent.education * (1 - agent.democraticAdherence);
-    const insecurityErosion = -params.beta2 * (1 - agent.security) * agent.democraticAdherence;
-    const institutionalEffect = params.beta3 * society.institutionalQuality;
-    const fearEffect = -params.beta4 * society.perceivedThreat * agent.permeability;
+    return terms.socialInfluence + terms.educationEffect + terms.insecurityErosion +
+        terms.institutionalEffect + terms.fearEffect + terms.toleranceEffect;
+}
 
-    return socialInfluence + educationEffect + insecurityErosion + institutionalEffect + fearEffect;
+/**
+ * Décompose dα_i/dt (équation 3.1) terme par terme
+ * @param {Agent} agent - Agent considéré
+ * @param {Society} society - Société (variables macroscopiques)
+ * @param {Parameters} params - Paramètres du modèle
+ * @returns {Object} - {socialInfluence, educationEffect, insecurityErosion, institutionalEffect,
+ *                     fearEffect, toleranceEffect}
+ */
+export function democraticAdherenceTerms(agent, society, params) {
+    const avgAlpha = agent.getNeighborhoodAverage('democraticAdherence');
+
+    return {
+        socialInfluence: agent.permeability * avgAlpha,
+        educationEffect: params.beta1 * agent.education * (1 - agent.democraticAdherence),
+        insecurityErosion: -params.beta2 * (1 - agent.security) * agent.democraticAdherence,
+        institutionalEffect: params.beta3 * society.institutionalQuality,
+        fearEffect: -params.beta4 * society.perceivedThreat * agent.permeability,
+        toleranceEffect: params.beta5 * (agent.toleranceEconomic + agent.tolerancePhysical) / 2
+    };
 }
 
 /**
@@ -85,6 +156,34 @@ export function computeCulturalTolerance(agent, society, params) {
     return educationOpenness + positiveContact + negativeContact + identityRetreat;
 }
 
+/**
+ * Calcule la dérivée de la tolérance économique (équation 3.7)
+ * dτ^w_i/dt = κ₁·e_i·(1-τ^w_i) - κ₂·P·(1-s_i)·(1+τ^w_i) - κ₃·M·(1+τ^w_i)
+ * La précarité ambiante, ressentie d'autant plus que l'agent est lui-même insécurisé,
+ * fait percevoir les autres comme des concurrents économiques
+ */
+export function computeEconomicTolerance(agent, society, params) {
+    const educationOpenness = params.kappa1 * agent.education * (1 - agent.toleranceEconomic);
+    const precarityCompetition = -params.kappa2 * society.precarity * (1 - agent.security) * (1 + agent.toleranceEconomic);
+    const threatRetreat = -params.kappa3 * society.perceivedThreat * (1 + agent.toleranceEconomic);
+
+    return educationOpenness + precarityCompetition + threatRetreat;
+}
+
+/**
+ * Calcule la dérivée de la tolérance physique (équation 3.8)
+ * dτ^p_i/dt = ξ₁·e_i·(1-τ^p_i) + ξ₂·C_i^+·(1-τ^p_i) - ξ₃·C_i^-·(1+τ^p_i) - ξ₄·M·(1+τ^p_i)
+ * Les contacts interculturels agissent comme pour la tolérance culturelle
+ */
+export function computePhysicalTolerance(agent, society, params) {
+    const educationOpenness = params.xi1 * agent.education * (1 - agent.tolerancePhysical);
+    const positiveContact = params.xi2 * agent.positiveContacts * (1 - agent.tolerancePhysical);
+    const negativeContact = -params.xi3 * agent.negativeContacts * (1 + agent.tolerancePhysical);
+    const threatRetreat = -params.xi4 * society.perceivedThreat * (1 + agent.tolerancePhysical);
+
+    return educationOpenness + positiveContact + negativeContact + threatRetreat;
+}
+
 /**
  * Calcule la dérivée de la sécurité perçue (équation 3.3)
  * ds_i/dt = δ₁·(w_i/⟨w⟩) + δ₂·Q - δ₃·P - δ₄·M - δ₅·π_i·Φ
@@ -129,6 +228,74 @@ export function computeCivicEnergy(agent, society, params) {
     return availability + survivalExhaustion + socialDrive + institutionalDiscouragement;
 }
 
+/**
+ * Calcule la dérivée de la richesse (équation 3.6)
+ * dw_i/dt = ω₁·e_i·w_i·(1-⟨w⟩/W) + ω₂·Q·(⟨w⟩-w_i) + ω₃·(1-Q)·(c_i - w_i·⟨c⟩/⟨w⟩)
+ * avec c_i = w_i·(w_i-⟨w⟩)/(w_i+⟨w⟩)
+ * La croissance est logistique (W = WEALTH_CAPACITY). La redistribution et la capture
+ * transfèrent la richesse sans la créer (sommes nulles sur la population) : la capture
+ * enrichit les agents au-dessus de la moyenne aux dépens des autres, à un taux relatif
+ * borné par ω₃·(1-Q), et un agent sans richesse n'a plus rien à perdre
+ */
+export function computeWealth(agent, society, params) {
+    const avgWealth = society.getAverage('wealth');
+    if (avgWealth <= 0) return 0;
+
+    // ⟨c⟩ : part de la capture reprise à chacun en proportion de sa richesse
+    const avgCapture = society.getAggregate('wealthCapture', () => {
+        const wealths = society.getValues('wealth');
+        let sum = 0;
+        for (let i = 0; i < wealths.length; i++) {
+            sum += captureGain(wealths[i], avgWealth);
+        }
+        return sum / wealths.length;
+    });
+
+    const growth = params.omega1 * agent.education * agent.wealth * (1 - avgWealth / WEALTH_CAPACITY);
+    const redistribution = params.omega2 * society.institutionalQuality * (avgWealth - agent.wealth);
+    const rentCapture = params.omega3 * (1 - society.institutionalQuality) *
+        (captureGain(agent.wealth, avgWealth) - agent.wealth * avgCapture / avgWealth);
+
+    return growth + redistribution + rentCapture;
+}
+
+/**
+ * Gain brut de capture c_i = w_i·(w_i-⟨w⟩)/(w_i+⟨w⟩) d'un agent (équation 3.6)
+ * @private
+ */
+function captureGain(wealth, avgWealth) {
+    return wealth * (wealth - avgWealth) / (wealth + avgWealth);
+}
+
+/**
+ * Applique les chocs économiques individuels survenus pendant un pas de temps
+ * Processus de sauts hors intégrateur : chaque agent subit un choc avec la probabilité ω₄·dt,
+ * qui multiplie sa richesse par 1 + ω₅·u, u uniforme dans [-1, 1]. Sans chocs (ω₄ = 0),
+ * aucun nombre aléatoire n'est tiré
+ * @param {Society} society - Société dont les agents sont frappés
+ * @param {Parameters} params - Paramètres du modèle
+ * @param {number} dt - Durée du pas écoulé
+ * @param {Object} rng - Générateur aléatoire exposant random()
+ * @returns {boolean} - true si au moins un agent a subi un choc
+ */
+export function applyEconomicShocks(society, params, dt, rng) {
+    if (params.omega4 <= 0) return false;
+
+    const probability = params.omega4 * dt;
+    let shocked = false;
+    for (const agent of society.agents) {
+        if (rng.random() < probability) {
+            agent.wealth = Math.max(0, agent.wealth * (1 + params.omega5 * (2 * rng.random() - 1)));
+            shocked = true;
+        }
+    }
+
+    if (shocked) {
+        society.updateDerivedVariables();
+    }
+    return shocked;
+}
+
 /**
  * Calcule la dérivée de la qualité institutionnelle (équation 4.1)
  * dQ/dt = μ₁·⟨α⟩·⟨ε⟩ - μ₂·(1-⟨α⟩)·Φ - μ₃·G
@@ -161,20 +328,46 @@ export function computePolarization(society, params) {
 
 /**
  * Calcule la dérivée de la menace perçue (équation 4.3)
- * dM/dt = ρ₁·M_ext + ρ₂·Φ·(1-Q) + ρ₃·D·(1-⟨τ^c⟩) - ρ₄·⟨s⟩
+ * dM/dt = ρ₁·M_ext + ρ₂·Φ·(1-Q) + ρ₃·D·(1-⟨τ^c⟩) - ρ₄·⟨s⟩ - ρ₅·(⟨τ^w⟩+⟨τ^p⟩)/2
  */
 export function computePerceivedThreat(society, params) {
     const avgTolerance = society.getAverage('toleranceCultural');
     const avgSecurity = society.getAverage('security');
+    const avgOtherTolerance = (society.getAverage('toleranceEconomic') + society.getAverage('tolerancePhysical')) / 2;
 
     const realThreats = params.rho1 * society.externalThreat;
     const amplification = params.rho2 * society.polarization * (1 - society.institutionalQuality);
     const xenophobia = params.rho3 * society.diversity * (1 - avgTolerance);
     const collectiveResilience = -params.rho4 * avgSecurity;
+    const intolerance = -params.rho5 * avgOtherTolerance;
 
-    return realThreats + amplification + xenophobia + collectiveResilience;
+    return realThreats + amplification + xenophobia + collectiveResilience + intolerance;
 }
 
+/**
+ * Variables d'état individuelles intégrées, avec la dérivée associée, la fonction
+ * qui la calcule et leur domaine (ordre utilisé pour construire le vecteur d'état des intégrateurs)
+ */
+export const AGENT_STATE_VARIABLES = [
+    { key: 'democraticAdherence', derivative: 'dAlpha', compute: computeDemocraticAdherence, min: -1, max: 1 },
+    { key: 'toleranceCultural', derivative: 'dTauC', compute: computeCulturalTolerance, min: -1, max: 1 },
+    { key: 'security', derivative: 'dSecurity', compute: computeSecurity, min: 0, max: 1 },
+    { key: 'permeability', derivative: 'dPermeability', compute: computePermeability, min: 0, max: 1 },
+    { key: 'civicEnergy', derivative: 'dCivicEnergy', compute: computeCivicEnergy, min: 0, max: 1 },
+    { key: 'wealth', derivative: 'dWealth', compute: computeWealth, min: 0, max: Infinity },
+    { key: 'toleranceEconomic', derivative: 'dTauW', compute: computeEconomicTolerance, min: -1, max: 1 },
+    { key: 'tolerancePhysical', derivative: 'dTauP', compute: computePhysicalTolerance, min: -1, max: 1 }
+];
+
+/**
+ * Variables d'état macroscopiques intégrées, avec la dérivée associée et leur domaine
+ */
+export const MACRO_STATE_VARIABLES = [
+    { key: 'institutionalQuality', derivative: 'dQ', min: 0, max: 1 },
+    { key: 'polarization', derivative: 'dPhi', min: 0, max: 1 },
+    { key: 'perceivedThreat', derivative: 'dM', min: 0, max: 1 }
+];
+
 /**
  * Calcule toutes les dérivées pour un agent donné
  */
@@ -184,7 +377,10 @@ export function computeAgentDerivatives(agent, society, params) {
         dTauC: computeCulturalTolerance(agent, society, params),
         dSecurity: computeSecurity(agent, society, params),
         dPermeability: computePermeability(agent, society, params),
-        dCivicEnergy: computeCivicEnergy(agent, society, params)
+        dCivicEnergy: computeCivicEnergy(agent, society, params),
+        dWealth: computeWealth(agent, society, params),
+        dTauW: computeEconomicTolerance(agent, society, params),
+        dTauP: computePhysicalTolerance(agent, society, params)
     };
 }
 
@@ -0,0 +1,184 @@
+/**
+ * Module d'export et d'import des séries temporelles
+ * Formats CSV, JSON et JSON Lines, précédés des métadonnées du run
+ * (paramètres, conditions initiales, population, dt, intégrateur, graine)
+ */
+
+/**
+ * Séries exportables (clé de l'historique → nom de colonne)
+ */
+export const EXPORT_SERIES = [
+    { key: 'orderParameter', column: 'psi', label: 'Ψ (paramètre d\'ordre)' },
+    { key: 'avgAlpha', column: 'alpha_moyen', label: '⟨α⟩ (adhésion moyenne)' },
+    { key: 'institutionalQuality', column: 'Q', label: 'Q (qualité institutionnelle)' },
+    { key: 'polarization', column: 'phi', label: 'Φ (polarisation)' },
+    { key: 'perceivedThreat', column: 'M', label: 'M (menace perçue)' },
+    { key: 'gini', column: 'gini', label: 'G (Gini)' },
+    { key: 'precarity', column: 'precarite', label: 'P (précarité)' },
+    { key: 'avgEducation', column: 'education_moyenne', label: '⟨e⟩ (éducation moyenne)' }
+];
+
+/**
+ * Formats d'export disponibles
+ */
+export const EXPORT_FORMATS = {
+    csv: { extension: 'csv', mimeType: 'text/csv;charset=utf-8;' },
+    json: { extension: 'json', mimeType: 'application/json;charset=utf-8;' },
+    jsonl: { extension: 'jsonl', mimeType: 'application/x-ndjson;charset=utf-8;' }
+};
+
+/**
+ * Version du format d'export (incrémentée si la structure change)
+ */
+const EXPORT_VERSION = 1;
+
+/**
+ * Sérialise l'historique d'une simulation
+ * @param {Object} history - Historique de la société (séries indexées par clé)
+ * @param {Object} metadata - Métadonnées du run (voir Simulator.getMetadata)
+ * @param {Array<string>} seriesKeys - Clés des séries à exporter (le temps est toujours inclus)
+ * @param {string} format - 'csv', 'json' ou 'jsonl'
+ * @returns {string} - Contenu du fichier
+ */
+export function formatExport(history, metadata, seriesKeys, format = 'csv') {
+    const series = EXPORT_SERIES.filter(s => seriesKeys.includes(s.key));
+    const header = { format: EXPORT_VERSION, exportedAt: new Date().toISOString(), ...metadata };
+
+    switch (format) {
+        case 'csv':
+            return formatCSV(history, header, series);
+        case 'json':
+            return formatJSON(history, header, series);
+        case 'jsonl':
+            return formatJSONLines(history, header, series);
+        default:
+            throw new Error(`Format d'export inconnu : ${format}`);
+    }
+}
+
+/**
+ * CSV : une ligne de commentaire « # clé: valeur JSON » par métadonnée, puis les données
+ * @private
+ */
+function formatCSV(history, header, series) {
+    let content = '';
+
+    for (const [key, value] of Object.entries(header)) {
+        content += `# ${key}: ${JSON.stringify(value)}\n`;
+    }
+
+    content += ['temps', ...series.map(s => s.column)].join(',') + '\n';
+
+    for (let i = 0; i < history.time.length; i++) {
+        const row = [history.time[i], ...series.map(s => history[s.key][i])];
+        content += row.map(v => v.toFixed(6)).join(',') + '\n';
+    }
+
+    return content;
+}
+
+/**
+ * JSON : un objet {metadata, series} avec une colonne par série
+ * @private
+ */
+function formatJSON(history, header, series) {
+    const data = { temps: history.time };
+    for (const s of series) {
+        data[s.column] = history[s.key];
+    }
+
+    return JSON.stringify({ metadata: header, series: data }, null, 2);
+}
+
+/**
+ * JSON Lines : une ligne de métadonnées, puis un objet par point
+ * @private
+ */
+function formatJSONLines(history, header, series) {
+    const lines = [JSON.stringify({ metadata: header })];
+
+    for (let i = 0; i < history.time.length; i++) {
+        const point = { temps: history.time[i] };
+        for (const s of series) {
+            point[s.column] = history[s.key][i];
+        }
+        lines.push(JSON.stringify(point));
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Relit un fichier produit par formatExport (format détecté automatiquement)
+ * @param {string} content - Contenu du fichier
+ * @returns {Object} - {metadata, series} avec series indexées par clé de l'historique
+ */
+export function parseExport(content) {
+    const text = content.trim();
+    let metadata = {};
+    let columns = {};
+
+    if (text.startsWith('{') && !text.includes('\n{')) {
+        // JSON : un seul objet
+        const data = JSON.parse(text);
+        metadata = data.metadata || {};
+        columns = data.series || {};
+    } else if (text.startsWith('{')) {
+        // JSON Lines
+        const lines = text.split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line));
+        metadata = lines[0].metadata || {};
+        for (const point of lines.slice(1)) {
+            for (const [column, value] of Object.entries(point)) {
+                (columns[column] = columns[column] || []).push(value);
+            }
+        }
+    } else {
+        // CSV avec en-tête de commentaires
+        const lines = text.split('\n');
+        let i = 0;
+        for (; i < lines.length && lines[i].startsWith('#'); i++) {
+            const match = lines[i].match(/^#\s*([^:]+):\s*(.*)$/);
+            if (match) {
+                metadata[match[1].trim()] = JSON.parse(match[2]);
+            }
+        }
+
+        const headers = lines[i].split(',');
+        headers.forEach(h => { columns[h] = []; });
+        for (const line of lines.slice(i + 1)) {
+            if (line.trim() === '') continue;
+            line.split(',').forEach((v, j) => columns[headers[j]].push(parseFloat(v)));
+        }
+    }
+
+    const series = { time: columns.temps || [] };
+    for (const s of EXPORT_SERIES) {
+        if (columns[s.column]) {
+            series[s.key] = columns[s.column];
+        }
+    }
+
+    return { metadata, series };
+}
+
+/**
+ * Déclenche le téléchargement d'un fichier dans le navigateur
+ * @param {string} content - Contenu du fichier
+ * @param {string} filename - Nom du fichier
+ * @param {string} mimeType - Type MIME
+ */
+export function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const link = document.createElement('a');
+
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.style.display = 'none';
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Libérer la mémoire
+    URL.revokeObjectURL(link.href);
+}
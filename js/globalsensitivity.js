@@ -0,0 +1,286 @@
+/**
+ * Analyse de sensibilité globale
+ * Fait varier simultanément tous les paramètres de Parameters et mesure leur influence sur
+ * ψ∞, Q∞ et Φ∞ : criblage de Morris (effets élémentaires μ*, σ) et indices de Sobol
+ * du premier ordre et totaux (plans de Saltelli construits sur des hypercubes latins)
+ */
+
+import { SeededRandom } from './random.js';
+import { estimateSteadyStateOutcome } from './sensitivity.js';
+import { PHASE_DIAGRAM_AXES } from './phasediagram.js';
+
+/**
+ * Sorties analysées (clé de l'état final → libellé)
+ */
+export const GLOBAL_SENSITIVITY_OUTPUTS = {
+    psi: 'ψ∞',
+    institutionalQuality: 'Q∞',
+    polarization: 'Φ∞'
+};
+
+/**
+ * Méthodes disponibles (identifiant → libellé)
+ */
+export const GLOBAL_SENSITIVITY_METHODS = {
+    morris: 'Criblage de Morris',
+    sobol: 'Indices de Sobol'
+};
+
+/**
+ * Intervalles de variation par défaut : tous les paramètres du modèle,
+ * avec les mêmes bornes que le diagramme de phase (β dans [0, 2], les autres dans [0, 1])
+ */
+export const DEFAULT_PARAMETER_RANGES = PHASE_DIAGRAM_AXES
+    .filter(axis => !axis.key.startsWith('initial.'))
+    .map(({ key, label, min, max }) => ({ key, label, min, max }));
+
+/**
+ * Réglages par défaut
+ * - trajectories, levels : nombre de trajectoires et de niveaux de la grille de Morris
+ * - samples : taille N des matrices A et B de Saltelli (N · (k + 2) évaluations)
+ * - tMax, dt, numAgents, numRealizations : simulation de chaque point du plan
+ */
+export const DEFAULT_GLOBAL_SENSITIVITY = {
+    trajectories: 10,
+    levels: 4,
+    samples: 32,
+    tMax: 100,
+    dt: 0.02,
+    numAgents: 50,
+    numRealizations: 2
+};
+
+/**
+ * Nombre de simulations du plan d'expérience (hors réalisations)
+ * @param {string} method - 'morris' ou 'sobol'
+ * @param {Object} settings - Réglages (voir DEFAULT_GLOBAL_SENSITIVITY)
+ * @param {number} numParameters - Nombre de paramètres variés
+ * @returns {number}
+ */
+export function countEvaluations(method, settings, numParameters = DEFAULT_PARAMETER_RANGES.length) {
+    const { trajectories, samples } = { ...DEFAULT_GLOBAL_SENSITIVITY, ...settings };
+    return method === 'sobol' ? samples * (numParameters + 2) : trajectories * (numParameters + 1);
+}
+
+/**
+ * Hypercube latin : n points dans [0, 1]^k, une seule valeur par strate et par dimension
+ * @param {number} n - Nombre de points
+ * @param {number} k - Dimension
+ * @param {SeededRandom} rng - Générateur aléatoire
+ * @returns {Array<Array<number>>} - Points (n lignes de k coordonnées)
+ */
+export function latinHypercube(n, k, rng) {
+    const points = Array.from({ length: n }, () => new Array(k));
+
+    for (let j = 0; j < k; j++) {
+        // Permutation aléatoire des strates (Fisher-Yates)
+        const strata = Array.from({ length: n }, (_, i) => i);
+        for (let i = n - 1; i > 0; i--) {
+            const swap = Math.floor(rng.random() * (i + 1));
+            [strata[i], strata[swap]] = [strata[swap], strata[i]];
+        }
+        for (let i = 0; i < n; i++) {
+            points[i][j] = (strata[i] + rng.random()) / n;
+        }
+    }
+
+    return points;
+}
+
+/**
+ * Trajectoires de Morris dans [0, 1]^k
+ * Chaque trajectoire part d'un point de la grille à p niveaux et modifie un facteur à la fois
+ * (ordre aléatoire) d'un pas Δ = p / (2 (p − 1)), vers le haut ou vers le bas
+ * @param {number} r - Nombre de trajectoires
+ * @param {number} k - Nombre de facteurs
+ * @param {number} levels - Nombre de niveaux p (pair)
+ * @param {SeededRandom} rng - Générateur aléatoire
+ * @returns {Array<Object>} - Trajectoires {points, factors, directions, delta} :
+ *                            points[s + 1] diffère de points[s] par le facteur factors[s]
+ */
+export function morrisTrajectories(r, k, levels, rng) {
+    const delta = levels / (2 * (levels - 1));
+    // Niveaux de départ possibles : ceux dont x + Δ reste dans [0, 1]
+    const startLevels = Math.floor(levels / 2);
+
+    return Array.from({ length: r }, () => {
+        const directions = Array.from({ length: k }, () => (rng.random() < 0.5 ? 1 : -1));
+        const start = directions.map(direction => {
+            const base = Math.floor(rng.random() * startLevels) / (levels - 1);
+            return direction > 0 ? base : base + delta;
+        });
+
+        const factors = Array.from({ length: k }, (_, i) => i);
+        for (let i = k - 1; i > 0; i--) {
+            const swap = Math.floor(rng.random() * (i + 1));
+            [factors[i], factors[swap]] = [factors[swap], factors[i]];
+        }
+
+        const points = [start];
+        for (const factor of factors) {
+            const next = points[points.length - 1].slice();
+            next[factor] += directions[factor] * delta;
+            points.push(next);
+        }
+
+        return { points, factors, directions, delta };
+    });
+}
+
+/**
+ * Paramètres du modèle correspondant à un point de [0, 1]^k
+ * @private
+ */
+function toParameters(point, ranges, baseParams) {
+    const params = Object.assign(Object.create(Object.getPrototypeOf(baseParams)), baseParams);
+    ranges.forEach(({ key, min, max }, j) => {
+        params[key] = min + (max - min) * point[j];
+    });
+    return params;
+}
+
+/**
+ * Évalue l'état final moyen en chaque point du plan (en parallèle si un pool est fourni)
+ * Tous les points partagent les mêmes graines de réalisation : les écarts entre points
+ * ne viennent que des paramètres
+ * @private
+ */
+async function evaluateDesign(points, ranges, baseParams, settings, options) {
+    let done = 0;
+    return Promise.all(points.map(async point => {
+        const outcome = await estimateSteadyStateOutcome(
+            toParameters(point, ranges, baseParams),
+            settings.tMax, settings.dt, settings.numAgents, settings.numRealizations,
+            options
+        );
+        done++;
+        if (options.onProgress) {
+            options.onProgress(done, points.length);
+        }
+        return outcome;
+    }));
+}
+
+/**
+ * Prépare les réglages, le générateur du plan et les options de simulation
+ * @private
+ */
+function prepare(options) {
+    const settings = { ...DEFAULT_GLOBAL_SENSITIVITY, ...options };
+    const ranges = options.ranges || DEFAULT_PARAMETER_RANGES;
+
+    // Le plan d'expérience et la graine commune des réalisations dérivent de la même graine
+    const rng = options.rng || new SeededRandom(options.seed);
+    const simulationOptions = { ...options, rng: null, seed: rng.nextSeed() };
+
+    return { settings, ranges, rng, simulationOptions };
+}
+
+/**
+ * Criblage de Morris : effets élémentaires de chaque paramètre
+ * μ* (moyenne des |EE|) classe l'influence, σ (écart-type des EE) signale
+ * les non-linéarités et les interactions
+ * @param {Object} baseParams - Paramètres de base (ceux qui ne sont pas dans ranges restent fixes)
+ * @param {Object} options - Réglages (voir DEFAULT_GLOBAL_SENSITIVITY), ranges [{key, label, min, max}],
+ *                           options de simulation {seed, rng, integrator, tolerance, network, population, backend,
+ *                           initialConditions, runOutcome, signal} et onProgress(done, total)
+ * @returns {Promise<Object>} - {method, evaluations, parameters, indices} où indices[sortie][j] = {mu, muStar, sigma}
+ */
+export async function runMorrisScreening(baseParams, options = {}) {
+    const { settings, ranges, rng, simulationOptions } = prepare(options);
+    const trajectories = morrisTrajectories(settings.trajectories, ranges.length, settings.levels, rng);
+
+    const points = trajectories.flatMap(trajectory => trajectory.points);
+    const outcomes = await evaluateDesign(points, ranges, baseParams, settings, simulationOptions);
+
+    const indices = {};
+    for (const output of Object.keys(GLOBAL_SENSITIVITY_OUTPUTS)) {
+        const effects = ranges.map(() => []);
+        let offset = 0;
+
+        for (const { factors, directions, delta } of trajectories) {
+            factors.forEach((factor, s) => {
+                const change = outcomes[offset + s + 1][output] - outcomes[offset + s][output];
+                effects[factor].push(directions[factor] * change / delta);
+            });
+            offset += factors.length + 1;
+        }
+
+        indices[output] = effects.map(values => {
+            const count = values.length;
+            const mu = values.reduce((sum, val) => sum + val, 0) / count;
+            const muStar = values.reduce((sum, val) => sum + Math.abs(val), 0) / count;
+            const variance = count > 1
+                ? values.reduce((sum, val) => sum + Math.pow(val - mu, 2), 0) / (count - 1)
+                : 0;
+            return { mu, muStar, sigma: Math.sqrt(variance) };
+        });
+    }
+
+    return {
+        method: 'morris',
+        evaluations: points.length,
+        parameters: ranges.map(({ key, label }) => ({ key, label })),
+        indices
+    };
+}
+
+/**
+ * Indices de Sobol du premier ordre (estimateur de Saltelli 2010)
+ * et totaux (estimateur de Jansen), à partir de deux hypercubes latins A et B
+ * et des k matrices AB_i (A dont la colonne i est prise dans B)
+ * @param {Object} baseParams - Paramètres de base (ceux qui ne sont pas dans ranges restent fixes)
+ * @param {Object} options - Mêmes options que runMorrisScreening
+ * @returns {Promise<Object>} - {method, evaluations, parameters, indices, variance} où
+ *                              indices[sortie][j] = {first, total}
+ */
+export async function runSobolAnalysis(baseParams, options = {}) {
+    const { settings, ranges, rng, simulationOptions } = prepare(options);
+    const n = settings.samples;
+    const k = ranges.length;
+
+    const a = latinHypercube(n, k, rng);
+    const b = latinHypercube(n, k, rng);
+    const ab = ranges.map((_, i) => a.map((row, m) => {
+        const mixed = row.slice();
+        mixed[i] = b[m][i];
+        return mixed;
+    }));
+
+    const outcomes = await evaluateDesign([...a, ...b, ...ab.flat()], ranges, baseParams, settings, simulationOptions);
+
+    const indices = {};
+    const variance = {};
+    for (const output of Object.keys(GLOBAL_SENSITIVITY_OUTPUTS)) {
+        const values = outcomes.map(outcome => outcome[output]);
+        const fA = values.slice(0, n);
+        const fB = values.slice(n, 2 * n);
+
+        const all = fA.concat(fB);
+        const mean = all.reduce((sum, val) => sum + val, 0) / all.length;
+        const total = all.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / all.length;
+        variance[output] = total;
+
+        indices[output] = ranges.map((_, i) => {
+            // Sortie constante sur tout le plan : aucun paramètre n'a d'influence mesurable
+            if (total === 0) return { first: 0, total: 0 };
+
+            const fAB = values.slice((2 + i) * n, (3 + i) * n);
+            let first = 0;
+            let totalEffect = 0;
+            for (let m = 0; m < n; m++) {
+                first += fB[m] * (fAB[m] - fA[m]);
+                totalEffect += Math.pow(fA[m] - fAB[m], 2);
+            }
+            return { first: first / n / total, total: totalEffect / (2 * n) / total };
+        });
+    }
+
+    return {
+        method: 'sobol',
+        evaluations: outcomes.length,
+        parameters: ranges.map(({ key, label }) => ({ key, label })),
+        indices,
+        variance
+    };
+}
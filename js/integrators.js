@@ -0,0 +1,330 @@
+/**
+ * Module d'intégration numérique
+ * Intégrateurs explicites (Euler, Heun, RK4, RK45 adaptatif) opérant sur le
+ * vecteur d'état combiné agents + variables macroscopiques
+ */
+
+import {
+    AGENT_STATE_VARIABLES,
+    MACRO_STATE_VARIABLES,
+    computeMacroDerivatives
+} from './equations.js';
+
+/**
+ * Vue « système différentiel » d'une société : y' = f(y)
+ * Le vecteur d'état contient, variable par variable (ordre de AGENT_STATE_VARIABLES),
+ * les valeurs de tous les agents, suivies des variables de MACRO_STATE_VARIABLES.
+ * Si les agents sont stockés en tableaux typés, chaque bloc est copié d'un seul tenant
+ */
+export class SocietySystem {
+    /**
+     * @param {Society} society - Société à intégrer
+     * @param {Parameters} params - Paramètres du modèle
+     */
+    constructor(society, params) {
+        this.society = society;
+        this.params = params;
+        this.agents = society.agents;
+        this.store = society.store;
+        this.numAgents = this.agents.length;
+        this.macroOffset = this.numAgents * AGENT_STATE_VARIABLES.length;
+        this.size = this.macroOffset + MACRO_STATE_VARIABLES.length;
+    }
+
+    /**
+     * Lit l'état courant de la société
+     * @returns {Float64Array} - Vecteur d'état
+     */
+    getState() {
+        const y = new Float64Array(this.size);
+        const n = this.numAgents;
+
+        for (let j = 0; j < AGENT_STATE_VARIABLES.length; j++) {
+            const key = AGENT_STATE_VARIABLES[j].key;
+            if (this.store) {
+                y.set(this.store.arrays[key], j * n);
+            } else {
+                for (let i = 0; i < n; i++) {
+                    y[j * n + i] = this.agents[i][key];
+                }
+            }
+        }
+
+        for (let j = 0; j < MACRO_STATE_VARIABLES.length; j++) {
+            y[this.macroOffset + j] = this.society[MACRO_STATE_VARIABLES[j].key];
+        }
+
+        return y;
+    }
+
+    /**
+     * Écrit un vecteur d'état dans la société, en bornant chaque variable dans son domaine
+     * @param {Float64Array} y - Vecteur d'état
+     */
+    setState(y) {
+        const n = this.numAgents;
+
+        for (let j = 0; j < AGENT_STATE_VARIABLES.length; j++) {
+            const { key, min, max } = AGENT_STATE_VARIABLES[j];
+            if (this.store) {
+                const values = this.store.arrays[key];
+                for (let i = 0; i < n; i++) {
+                    values[i] = clamp(y[j * n + i], min, max);
+                }
+            } else {
+                for (let i = 0; i < n; i++) {
+                    this.agents[i][key] = clamp(y[j * n + i], min, max);
+                }
+            }
+        }
+
+        for (let j = 0; j < MACRO_STATE_VARIABLES.length; j++) {
+            const variable = MACRO_STATE_VARIABLES[j];
+            this.society[variable.key] = clamp(y[this.macroOffset + j], variable.min, variable.max);
+        }
+
+        this.society.updateDerivedVariables();
+    }
+
+    /**
+     * Évalue les dérivées dans l'état courant de la société
+     * Les agrégats de population (⟨w⟩, ⟨α⟩, σ(α)...) sont calculés une seule fois par évaluation
+     * @returns {Float64Array} - Vecteur des dérivées f(y)
+     */
+    derivatives() {
+        const dy = new Float64Array(this.size);
+        const n = this.numAgents;
+
+        this.society.cacheAggregates();
+        try {
+            for (let j = 0; j < AGENT_STATE_VARIABLES.length; j++) {
+                const compute = AGENT_STATE_VARIABLES[j].compute;
+                for (let i = 0; i < n; i++) {
+                    dy[j * n + i] = compute(this.agents[i], this.society, this.params);
+                }
+            }
+
+            const macroDerivatives = computeMacroDerivatives(this.society, this.params);
+            for (let j = 0; j < MACRO_STATE_VARIABLES.length; j++) {
+                dy[this.macroOffset + j] = macroDerivatives[MACRO_STATE_VARIABLES[j].derivative];
+            }
+        } finally {
+            this.society.clearAggregates();
+        }
+
+        return dy;
+    }
+}
+
+/**
+ * Clamp une valeur dans un intervalle donné
+ * @private
+ */
+function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Calcule y0 + dt · Σ coefficients[j] · k[j]
+ * @private
+ */
+function combine(y0, dt, coefficients, k) {
+    const y = Float64Array.from(y0);
+
+    for (let j = 0; j < coefficients.length; j++) {
+        const c = coefficients[j] * dt;
+        if (c === 0) continue;
+
+        const kj = k[j];
+        for (let n = 0; n < y.length; n++) {
+            y[n] += c * kj[n];
+        }
+    }
+
+    return y;
+}
+
+/**
+ * Évalue les étages d'une méthode de Runge-Kutta explicite
+ * @private
+ * @returns {Array<Float64Array>} - Pentes k_i de chaque étage
+ */
+function computeStages(system, y0, dt, a) {
+    const k = [system.derivatives()];
+
+    for (let i = 1; i < a.length; i++) {
+        system.setState(combine(y0, dt, a[i], k));
+        k.push(system.derivatives());
+    }
+
+    return k;
+}
+
+/**
+ * Intégrateur de Runge-Kutta explicite à pas fixe, défini par son tableau de Butcher
+ */
+export class RungeKuttaIntegrator {
+    /**
+     * @param {string} name - Identifiant de la méthode
+     * @param {Array<Array<number>>} a - Coefficients a_ij (ligne i = étage i)
+     * @param {Array<number>} b - Poids b_j de la combinaison finale
+     */
+    constructor(name, a, b) {
+        this.name = name;
+        this.a = a;
+        this.b = b;
+        this.adaptive = false;
+    }
+
+    /**
+     * Effectue un pas d'intégration et met à jour la société
+     * Le pas est raccourci s'il dépasse maxDuration ; un reste égal au pas aux erreurs d'arrondi
+     * près garde le pas entier (un horizon multiple du pas donne les mêmes trajectoires)
+     * @param {SocietySystem} system - Système à intégrer
+     * @param {number} dt - Pas de temps
+     * @param {number} maxDuration - Durée maximale du pas (reste avant l'horizon, illimitée par défaut)
+     * @returns {number} - Pas de temps effectivement utilisé
+     */
+    step(system, dt, maxDuration = Infinity) {
+        const h = maxDuration < dt * (1 - 1e-6) ? maxDuration : dt;
+        const y0 = system.getState();
+        const k = computeStages(system, y0, h, this.a);
+        system.setState(combine(y0, h, this.b, k));
+        return h;
+    }
+
+    /**
+     * Oublie l'état interne de l'intégrateur (aucun pour un pas fixe)
+     */
+    reset() {}
+}
+
+/**
+ * Intégrateur de Dormand-Prince RK45 à pas adaptatif
+ * Le pas est ajusté à chaque appel pour que l'erreur locale estimée reste
+ * sous la tolérance demandée
+ */
+export class AdaptiveRK45Integrator {
+    /**
+     * @param {Object} options - {tolerance, minStep, maxStep}
+     */
+    constructor(options = {}) {
+        this.name = 'rk45';
+        this.adaptive = true;
+        this.tolerance = options.tolerance || 1e-4;
+        this.minStep = options.minStep || 1e-6;
+        this.maxStep = options.maxStep || 1;
+
+        // Pas proposé pour l'appel suivant (null = utiliser le dt demandé)
+        this.nextStep = null;
+    }
+
+    /**
+     * Effectue un pas accepté et met à jour la société
+     * Le pas est borné par maxDuration pour finir exactement à l'horizon ; le pas proposé
+     * avant cette borne reste proposé pour l'appel suivant
+     * @param {SocietySystem} system - Système à intégrer
+     * @param {number} dt - Pas initial (utilisé au premier appel uniquement)
+     * @param {number} maxDuration - Durée maximale du pas (reste avant l'horizon, illimitée par défaut)
+     * @returns {number} - Pas de temps effectivement utilisé
+     */
+    step(system, dt, maxDuration = Infinity) {
+        const y0 = system.getState();
+        const proposed = Math.min(this.nextStep || dt, this.maxStep);
+        let h = Math.min(proposed, maxDuration);
+        let clipped = h < proposed;
+
+        while (true) {
+            const k = computeStages(system, y0, h, DORMAND_PRINCE.a);
+            const y5 = combine(y0, h, DORMAND_PRINCE.b, k);
+            const error = this.estimateError(y0, y5, combine(new Float64Array(y0.length), h, DORMAND_PRINCE.e, k));
+
+            // Facteur de sécurité classique 0.9, variation du pas bornée à [0.2, 5]
+            const factor = error === 0 ? 5 : Math.min(5, Math.max(0.2, 0.9 * Math.pow(error, -1 / 5)));
+
+            if (error <= 1 || h <= this.minStep) {
+                system.setState(y5);
+                this.nextStep = Math.max(this.minStep, Math.min(this.maxStep, h * factor));
+                if (clipped) {
+                    this.nextStep = Math.max(this.nextStep, proposed);
+                }
+                return h;
+            }
+
+            // Pas rejeté : repartir de y0 (les étages ont laissé le système dans un état intermédiaire)
+            h = Math.max(this.minStep, h * factor);
+            clipped = false;
+            system.setState(y0);
+        }
+    }
+
+    /**
+     * Norme d'erreur relative mixte (max sur les composantes)
+     * @private
+     */
+    estimateError(y0, y5, errorVector) {
+        let maxError = 0;
+        for (let n = 0; n < y0.length; n++) {
+            const scale = this.tolerance * (1 + Math.max(Math.abs(y0[n]), Math.abs(y5[n])));
+            maxError = Math.max(maxError, Math.abs(errorVector[n]) / scale);
+        }
+        return maxError;
+    }
+
+    /**
+     * Oublie le pas proposé (après un changement de dt ou une réinitialisation)
+     */
+    reset() {
+        this.nextStep = null;
+    }
+}
+
+/**
+ * Tableau de Butcher de Dormand-Prince 5(4)
+ * e = b - b* : différence entre les solutions d'ordre 5 et 4 (estimation d'erreur)
+ * @private
+ */
+const DORMAND_PRINCE = {
+    a: [
+        [],
+        [1 / 5],
+        [3 / 40, 9 / 40],
+        [44 / 45, -56 / 15, 32 / 9],
+        [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+        [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+        [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+    ],
+    b: [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0],
+    e: [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40]
+};
+
+/**
+ * Intégrateurs disponibles (identifiant → libellé)
+ */
+export const INTEGRATORS = {
+    euler: 'Euler explicite',
+    heun: 'Heun (RK2)',
+    rk4: 'Runge-Kutta 4',
+    rk45: 'RK45 adaptatif'
+};
+
+/**
+ * Crée un intégrateur à partir de son identifiant
+ * @param {string} name - 'euler', 'heun', 'rk4' ou 'rk45'
+ * @param {Object} options - Options de l'intégrateur adaptatif {tolerance, minStep, maxStep}
+ * @returns {RungeKuttaIntegrator|AdaptiveRK45Integrator} - Intégrateur
+ */
+export function createIntegrator(name = 'euler', options = {}) {
+    switch (name) {
+        case 'euler':
+            return new RungeKuttaIntegrator('euler', [[]], [1]);
+        case 'heun':
+            return new RungeKuttaIntegrator('heun', [[], [1]], [1 / 2, 1 / 2]);
+        case 'rk4':
+            return new RungeKuttaIntegrator('rk4', [[], [1 / 2], [0, 1 / 2], [0, 0, 1]], [1 / 6, 1 / 3, 1 / 3, 1 / 6]);
+        case 'rk45':
+            return new AdaptiveRK45Integrator(options);
+        default:
+            throw new Error(`Intégrateur inconnu : ${name}`);
+    }
+}
@@ -4,9 +4,29 @@
  */
 
 import { Simulator } from './simulator.js';
-import { Visualizer } from './visualization.js';
+import { withLegacyParameters } from './equations.js';
+import { Visualizer, AGENT_DISPLAY_VARIABLES, getAgentDisplayVariable } from './visualization.js';
 import { RadarChart } from './radarchart.js';
-import { analyzeSensitivity } from './sensitivity.js';
+import { analyzeSensitivity, samplePsiCurve, DEFAULT_SENSITIVITY, DEFAULT_SENSITIVITY_PARAMETERS } from './sensitivity.js';
+import { generateSeed } from './random.js';
+import { SimulationWorkerPool } from './workerpool.js';
+import { EXPORT_SERIES, EXPORT_FORMATS, formatExport, parseExport, downloadFile } from './export.js';
+import { serializeSnapshot, deserializeSnapshot, saveAutosave, loadAutosave } from './snapshot.js';
+import { Scenario, EXAMPLE_SCENARIO } from './scenario.js';
+import { NETWORK_TOPOLOGIES, DEFAULT_NETWORK, getNetworkStats, checkNetworkSize, radiusForMeanDegree } from './network.js';
+import { POPULATION_VARIABLES, GROUP_LAYOUTS, resolvePopulation, withLegacyPopulation } from './population.js';
+import { PHASE_DIAGRAM_AXES, getPhaseDiagramAxis, computePhaseDiagram } from './phasediagram.js';
+import { PhaseDiagramChart } from './phasediagramchart.js';
+import { CONTINUATION_PARAMETERS, analyzeContinuation } from './continuation.js';
+import { CurveChart } from './curvechart.js';
+import {
+    GLOBAL_SENSITIVITY_METHODS, GLOBAL_SENSITIVITY_OUTPUTS, DEFAULT_GLOBAL_SENSITIVITY, DEFAULT_PARAMETER_RANGES,
+    countEvaluations, runMorrisScreening, runSobolAnalysis
+} from './globalsensitivity.js';
+import { BarChart } from './barchart.js';
+import { AgentInspector } from './agentinspector.js';
+import { DistributionChart, HISTOGRAM_BINS } from './distributionchart.js';
+import { TIME_SERIES } from './timeserieschart.js';
 
 // État global de l'application
 let simulator;
@@ -14,6 +34,28 @@ let visualizer;
 let radarChart;
 let animationFrameId = null;
 let sensitivityZones = null;
+let workerPool = null;
+let sensitivityController = null;
+let phaseDiagramChart;
+let phaseDiagram = null;
+let phaseDiagramController = null;
+let continuationChart;
+let continuationController = null;
+let globalSensitivityChart;
+let globalSensitivity = null;
+let globalSensitivityController = null;
+let responseCurveChart;
+let responseCurve = null;
+let responseCurveController = null;
+let agentInspector;
+let histogramChart;
+let scatterChart;
+let alphaDistributionChart;
+let hoveredAgent = null;
+let lastAutosave = 0;
+
+// Intervalle de sauvegarde automatique pendant la simulation (ms)
+const AUTOSAVE_INTERVAL = 5000;
 
 /**
  * Initialisation de l'application
@@ -23,31 +65,52 @@ function init() {
     const agentCanvas = document.getElementById('agentCanvas');
     const timeSeriesCanvas = document.getElementById('timeSeriesCanvas');
     const radarCanvas = document.getElementById('radarCanvas');
+    const phaseDiagramCanvas = document.getElementById('phaseDiagramCanvas');
+    const continuationCanvas = document.getElementById('continuationCanvas');
+    const globalSensitivityCanvas = document.getElementById('globalSensitivityCanvas');
+    const responseCurveCanvas = document.getElementById('responseCurveCanvas');
 
     // Créer le simulateur et le visualiseur
     const numAgents = parseInt(document.getElementById('numAgents').value);
-    simulator = new Simulator(numAgents);
+    simulator = new Simulator(numAgents, readSeed());
+    document.getElementById('seed').value = simulator.seed;
     visualizer = new Visualizer(agentCanvas, timeSeriesCanvas);
 
-    // Créer le radar chart avec callback pour les changements de paramètres
+    // Créer le radar chart avec callbacks pour les changements de paramètres
+    // et le clic sur un axe (courbe de réponse ψ∞(p))
     radarChart = new RadarChart(radarCanvas, (paramKey, newValue) => {
         // Mettre à jour le simulateur
         simulator.setParameter(paramKey, newValue);
 
         // Mettre à jour l'affichage du slider correspondant
-        const slider = document.getElementById(paramKey);
-        const valueDisplay = document.getElementById(`${paramKey}Value`);
-        if (slider) {
-            slider.value = newValue;
-            valueDisplay.textContent = newValue.toFixed(2);
-        }
+        updateSliderDisplay(paramKey, newValue);
 
-        // Redessiner le radar
+        // Redessiner le radar et la valeur courante sur la courbe de réponse
         radarChart.draw(simulator.parameters);
-    });
+        drawResponseCurve();
+    }, openResponseCurve);
+
+    phaseDiagramChart = new PhaseDiagramChart(phaseDiagramCanvas);
+    phaseDiagramChart.clear('Choisir deux axes puis « Calculer le diagramme »');
+    continuationChart = new CurveChart(continuationCanvas);
+    continuationChart.clear('Choisir un paramètre puis « Lancer la continuation »');
+    globalSensitivityChart = new BarChart(globalSensitivityCanvas);
+    globalSensitivityChart.clear('Choisir une méthode puis « Lancer l\'analyse globale »');
+    responseCurveChart = new CurveChart(responseCurveCanvas);
+    histogramChart = new DistributionChart(document.getElementById('histogramCanvas'));
+    scatterChart = new DistributionChart(document.getElementById('scatterCanvas'));
+    alphaDistributionChart = new DistributionChart(document.getElementById('alphaDistributionCanvas'));
+    agentInspector = new AgentInspector(
+        document.getElementById('agentInspectorTitle'),
+        document.getElementById('agentInspectorState'),
+        document.getElementById('agentInspectorTerms'),
+        document.getElementById('agentTrajectoryCanvas')
+    );
 
     // Configurer les contrôles
     setupControls();
+    showNetworkStats();
+    showPopulationStats();
 
     // Première visualisation
     render();
@@ -62,30 +125,67 @@ function setupControls() {
     document.getElementById('pauseBtn').addEventListener('click', pauseSimulation);
     document.getElementById('resetBtn').addEventListener('click', resetSimulation);
     document.getElementById('sensitivityBtn').addEventListener('click', runSensitivityAnalysis);
-    document.getElementById('exportPsiBtn').addEventListener('click', exportPsiToCSV);
-
-    // Contrôles de simulation
-    setupSlider('numAgents', (value) => {
-        document.getElementById('numAgentsValue').textContent = value;
+    document.getElementById('cancelSensitivityBtn').addEventListener('click', cancelSensitivityAnalysis);
+    document.getElementById('exportBtn').addEventListener('click', openExportDialog);
+    document.getElementById('exportDialog').addEventListener('close', onExportDialogClose);
+    document.getElementById('importBtn').addEventListener('click', () => {
+        document.getElementById('importFile').click();
+    });
+    document.getElementById('importFile').addEventListener('change', importRun);
+    document.getElementById('saveStateBtn').addEventListener('click', saveState);
+    document.getElementById('loadStateBtn').addEventListener('click', () => {
+        document.getElementById('loadStateFile').click();
+    });
+    document.getElementById('loadStateFile').addEventListener('change', loadState);
+    document.getElementById('restoreAutosaveBtn').addEventListener('click', restoreAutosave);
+    document.getElementById('newSeedBtn').addEventListener('click', () => {
+        document.getElementById('seed').value = generateSeed();
     });
 
+    // Contrôles de simulation
     setupSlider('timeStep', (value) => {
         const dt = parseFloat(value);
         document.getElementById('timeStepValue').textContent = dt.toFixed(3);
         simulator.setTimeStep(dt);
     });
 
+    document.getElementById('integrator').addEventListener('change', applyIntegrator);
+    document.getElementById('integratorTolerance').addEventListener('change', applyIntegrator);
+
     // Paramètres individuels (betas)
     setupParameterSlider('beta1', 'β₁');
     setupParameterSlider('beta2', 'β₂');
     setupParameterSlider('beta3', 'β₃');
     setupParameterSlider('beta4', 'β₄');
+    setupParameterSlider('beta5', 'β₅');
 
     // Paramètres macroscopiques (mus)
     setupParameterSlider('mu1', 'μ₁');
     setupParameterSlider('mu2', 'μ₂');
     setupParameterSlider('mu3', 'μ₃');
 
+    // Dynamique économique (omegas)
+    setupParameterSlider('omega1', 'ω₁');
+    setupParameterSlider('omega2', 'ω₂');
+    setupParameterSlider('omega3', 'ω₃');
+    setupParameterSlider('omega4', 'ω₄');
+    setupParameterSlider('omega5', 'ω₅');
+
+    // Tolérances économique et physique (kappas, xis et couplage à la menace)
+    setupParameterSlider('kappa1', 'κ₁');
+    setupParameterSlider('kappa2', 'κ₂');
+    setupParameterSlider('kappa3', 'κ₃');
+    setupParameterSlider('xi1', 'ξ₁');
+    setupParameterSlider('xi2', 'ξ₂');
+    setupParameterSlider('xi3', 'ξ₃');
+    setupParameterSlider('xi4', 'ξ₄');
+    setupParameterSlider('rho5', 'ρ₅');
+
+    // Démographie (zetas)
+    setupParameterSlider('zeta1', 'ζ₁');
+    setupParameterSlider('zeta2', 'ζ₂');
+    setupParameterSlider('zeta3', 'ζ₃');
+
     // Conditions initiales
     setupSlider('initQ', (value) => {
         const val = parseFloat(value);
@@ -104,228 +204,1724 @@ function setupControls() {
         document.getElementById('externalThreatValue').textContent = val.toFixed(2);
         simulator.setInitialCondition('externalThreat', val);
     });
+
+    // Réseau social (appliqué à la réinitialisation, comme le nombre d'agents)
+    const topologySelect = document.getElementById('networkTopology');
+    for (const [value, label] of Object.entries(NETWORK_TOPOLOGIES)) {
+        topologySelect.add(new Option(label, value));
+    }
+    topologySelect.value = simulator.network.topology;
+    topologySelect.addEventListener('change', updateNetworkControls);
+    updateNetworkControls();
+
+    setupSlider('networkRadius', (value) => updateSliderDisplay('networkRadius', parseFloat(value), 3));
+    setupSlider('networkMeanDegree', (value) => updateSliderDisplay('networkMeanDegree', parseInt(value), 0));
+    setupSlider('networkRewiring', (value) => updateSliderDisplay('networkRewiring', parseFloat(value)));
+    setupSlider('networkBlocks', (value) => updateSliderDisplay('networkBlocks', parseInt(value), 0));
+    setupSlider('networkMixing', (value) => updateSliderDisplay('networkMixing', parseFloat(value)));
+
+    // Population initiale (appliquée à la réinitialisation, comme le réseau)
+    for (const variable of POPULATION_VARIABLES) {
+        const select = document.getElementById(populationControlId(variable.key, 'type'));
+        for (const [value, label] of Object.entries(variable.distributions)) {
+            select.add(new Option(label, value));
+        }
+        select.addEventListener('change', updatePopulationControls);
+    }
+    const layoutSelect = document.getElementById('populationGroupsLayout');
+    for (const [value, label] of Object.entries(GROUP_LAYOUTS)) {
+        layoutSelect.add(new Option(label, value));
+    }
+    showPopulation(simulator.population);
+
+    // Scénario
+    document.getElementById('applyScenarioBtn').addEventListener('click', applyScenario);
+    document.getElementById('exampleScenarioBtn').addEventListener('click', () => {
+        showScenario(EXAMPLE_SCENARIO);
+        applyScenario();
+    });
+    document.getElementById('clearScenarioBtn').addEventListener('click', () => {
+        showScenario([]);
+        applyScenario();
+    });
+
+    // Configuration de l'analyse de sensibilité et courbes de réponse
+    setupSensitivityControls();
+    setupResponseCurveControls();
+    setupAgentInspectorControls();
+    setupAgentDisplayControls();
+    setupDistributionControls();
+    setupTimeSeriesControls();
+
+    // Diagramme de phase
+    setupPhaseDiagramControls();
+
+    // Continuation
+    const continuationSelect = document.getElementById('continuationParam');
+    for (const { key, label } of CONTINUATION_PARAMETERS) {
+        continuationSelect.add(new Option(label, key));
+    }
+    continuationSelect.value = 'society.externalThreat';
+    continuationSelect.addEventListener('change', resetContinuationRange);
+    resetContinuationRange();
+    document.getElementById('continuationBtn').addEventListener('click', runContinuation);
+    document.getElementById('cancelContinuationBtn').addEventListener('click', cancelContinuation);
+
+    // Sensibilité globale
+    const methodSelect = document.getElementById('globalMethod');
+    for (const [value, label] of Object.entries(GLOBAL_SENSITIVITY_METHODS)) {
+        methodSelect.add(new Option(label, value));
+    }
+    methodSelect.addEventListener('change', updateGlobalSensitivityControls);
+    const outputSelect = document.getElementById('globalOutput');
+    for (const [value, label] of Object.entries(GLOBAL_SENSITIVITY_OUTPUTS)) {
+        outputSelect.add(new Option(label, value));
+    }
+    outputSelect.addEventListener('change', drawGlobalSensitivity);
+    document.getElementById('globalSampleSize').addEventListener('change', updateGlobalSensitivityStatus);
+    document.getElementById('globalRealizations').addEventListener('change', updateGlobalSensitivityStatus);
+    updateGlobalSensitivityControls();
+    document.getElementById('globalSensitivityBtn').addEventListener('click', runGlobalSensitivity);
+    document.getElementById('cancelGlobalSensitivityBtn').addEventListener('click', cancelGlobalSensitivity);
 }
 
 /**
- * Configure un slider générique
+ * Remplit la configuration de l'analyse de sensibilité : réglages par défaut
+ * et une ligne par paramètre du modèle (ceux du radar cochés, avec leurs plages)
  */
-function setupSlider(id, callback) {
-    const slider = document.getElementById(id);
-    slider.addEventListener('input', (e) => {
-        callback(e.target.value);
-    });
+function setupSensitivityControls() {
+    const inputs = {
+        sensitivityAutocraticPsi: 'autocraticPsi',
+        sensitivityDemocraticPsi: 'democraticPsi',
+        sensitivityTMax: 'tMax',
+        sensitivityDt: 'dt',
+        sensitivityNumAgents: 'numAgents',
+        sensitivityRealizations: 'numRealizations'
+    };
+    for (const [id, setting] of Object.entries(inputs)) {
+        document.getElementById(id).value = DEFAULT_SENSITIVITY[setting];
+    }
+
+    const tbody = document.getElementById('sensitivityParameters');
+    for (const { key, label, min, max } of DEFAULT_PARAMETER_RANGES) {
+        const preset = DEFAULT_SENSITIVITY_PARAMETERS.find(parameter => parameter.key === key);
+        const row = tbody.insertRow();
+        row.dataset.key = key;
+        row.innerHTML = `<td><input type="checkbox"${preset ? ' checked' : ''}></td>` +
+            `<td>${label}</td>` +
+            `<td><input type="number" class="sensitivity-min" step="0.05" value="${preset ? preset.min : min}"></td>` +
+            `<td><input type="number" class="sensitivity-max" step="0.05" value="${preset ? preset.max : max}"></td>` +
+            '<td class="sensitivity-direction"></td><td class="sensitivity-autocratic"></td><td class="sensitivity-democratic"></td>';
+    }
 }
 
 /**
- * Configure un slider de paramètre du modèle
+ * Lit la configuration de l'analyse de sensibilité
+ * @returns {Object} - Options de analyzeSensitivity {parameters, autocraticPsi, democraticPsi, tMax, dt,
+ *                     numAgents, numRealizations}
  */
-function setupParameterSlider(param, greekLetter) {
-    setupSlider(param, (value) => {
-        const val = parseFloat(value);
-        document.getElementById(`${param}Value`).textContent = val.toFixed(2);
-        simulator.setParameter(param, val);
-        // Mettre à jour le radar chart
-        if (radarChart) {
-            radarChart.draw(simulator.parameters);
+function readSensitivitySettings() {
+    const parameters = [];
+    for (const row of document.getElementById('sensitivityParameters').rows) {
+        if (!row.querySelector('input[type="checkbox"]').checked) continue;
+
+        const min = parseFloat(row.querySelector('.sensitivity-min').value);
+        const max = parseFloat(row.querySelector('.sensitivity-max').value);
+        if (!(min < max)) {
+            throw new Error(`Plage invalide pour ${row.cells[1].textContent} : min doit être inférieur à max`);
         }
-    });
+        parameters.push({ key: row.dataset.key, min, max });
+    }
+    if (parameters.length === 0) {
+        throw new Error('Cocher au moins un paramètre à analyser');
+    }
+
+    // Plafond des réalisations adaptatives : au moins le défaut, et 4 fois le nombre initial
+    const numRealizations = parseInt(document.getElementById('sensitivityRealizations').value);
+    return {
+        parameters,
+        autocraticPsi: parseFloat(document.getElementById('sensitivityAutocraticPsi').value),
+        democraticPsi: parseFloat(document.getElementById('sensitivityDemocraticPsi').value),
+        tMax: parseFloat(document.getElementById('sensitivityTMax').value),
+        dt: parseFloat(document.getElementById('sensitivityDt').value),
+        numAgents: parseInt(document.getElementById('sensitivityNumAgents').value),
+        numRealizations,
+        maxRealizations: Math.max(DEFAULT_SENSITIVITY.maxRealizations, 4 * numRealizations)
+    };
 }
 
 /**
- * Démarre la simulation
+ * Affiche le résultat d'un paramètre dans le tableau de configuration
+ * (vide les résultats précédents si zone est absente)
+ * @param {string} paramName - Paramètre analysé
+ * @param {Object|null} zone - Zone renvoyée par analyzeSensitivity
  */
-function startSimulation() {
-    simulator.start();
-    document.getElementById('startBtn').disabled = true;
-    document.getElementById('pauseBtn').disabled = false;
+function showSensitivityResult(paramName, zone) {
+    const row = [...document.getElementById('sensitivityParameters').rows].find(candidate => candidate.dataset.key === paramName);
+    if (!row) return;
 
-    if (!animationFrameId) {
-        animate();
+    const direction = row.querySelector('.sensitivity-direction');
+    const autocratic = row.querySelector('.sensitivity-autocratic');
+    const democratic = row.querySelector('.sensitivity-democratic');
+
+    if (!zone) {
+        direction.textContent = autocratic.textContent = democratic.textContent = '';
+        direction.title = autocratic.title = democratic.title = '';
+        direction.classList.remove('warning');
+        return;
     }
+
+    direction.textContent = (zone.virtuous ? '↑' : '↓') + (zone.monotonic ? '' : ' ⚠️');
+    direction.title = (zone.monotonic ? '' : 'ψ∞(p) non monotone : ') +
+        zone.curve.psi.map(psi => psi.toFixed(2)).join(' → ');
+    direction.classList.toggle('warning', !zone.monotonic);
+    autocratic.textContent = zone.autocratic.toFixed(2);
+    autocratic.title = `IC 95 % [${zone.autocraticInterval.lower.toFixed(3)}, ${zone.autocraticInterval.upper.toFixed(3)}]`;
+    democratic.textContent = zone.democratic.toFixed(2);
+    democratic.title = `IC 95 % [${zone.democraticInterval.lower.toFixed(3)}, ${zone.democraticInterval.upper.toFixed(3)}]`;
 }
 
 /**
- * Met en pause la simulation
+ * Remplit les listes de variables de couleur et de taille de la carte des agents
  */
-function pauseSimulation() {
-    simulator.pause();
-    document.getElementById('startBtn').disabled = false;
-    document.getElementById('pauseBtn').disabled = true;
+function setupAgentDisplayControls() {
+    const colorSelect = document.getElementById('agentColorBy');
+    const sizeSelect = document.getElementById('agentSizeBy');
+    for (const { key, label } of AGENT_DISPLAY_VARIABLES) {
+        colorSelect.add(new Option(label, key));
+        sizeSelect.add(new Option(label, key));
+    }
+    colorSelect.value = visualizer.display.colorBy;
+
+    colorSelect.addEventListener('change', applyAgentDisplay);
+    sizeSelect.addEventListener('change', applyAgentDisplay);
+    document.getElementById('agentShowEdges').addEventListener('change', applyAgentDisplay);
 }
 
 /**
- * Réinitialise la simulation
+ * Applique les réglages de couleur, de taille et de réseau à la carte des agents
  */
-function resetSimulation() {
-    // Arrêter l'animation
-    if (animationFrameId) {
-        cancelAnimationFrame(animationFrameId);
-        animationFrameId = null;
+function applyAgentDisplay() {
+    const colorBy = document.getElementById('agentColorBy').value;
+    const sizeBy = document.getElementById('agentSizeBy').value || null;
+    visualizer.setDisplay({
+        colorBy,
+        sizeBy,
+        showEdges: document.getElementById('agentShowEdges').checked
+    });
+
+    const colorLabel = getAgentDisplayVariable(colorBy).label;
+    const sizeLabel = sizeBy ? `, taille = ${getAgentDisplayVariable(sizeBy).label}` : '';
+    document.getElementById('agentCanvasLabel').textContent =
+        `Distribution des agents (couleur = ${colorLabel}${sizeLabel}) — cliquez sur un agent pour l'inspecter`;
+
+    drawAgents();
+}
+
+/**
+ * Crée une case à cocher par série temporelle et branche le retour à la vue complète
+ */
+function setupTimeSeriesControls() {
+    const chart = visualizer.timeSeriesChart;
+    const container = document.getElementById('timeSeriesToggles');
+    for (const { key, label, color } of TIME_SERIES) {
+        const toggle = document.createElement('label');
+        toggle.style.color = color;
+        toggle.innerHTML = `<input type="checkbox"${chart.visible.has(key) ? ' checked' : ''}> ${label}`;
+        toggle.firstChild.addEventListener('change', (e) => chart.setSeriesVisible(key, e.target.checked));
+        container.appendChild(toggle);
     }
 
-    // Récupérer le nouveau nombre d'agents
-    const numAgents = parseInt(document.getElementById('numAgents').value);
+    document.getElementById('resetTimeSeriesViewBtn').addEventListener('click', () => chart.resetView());
+}
 
-    // Réinitialiser le simulateur
-    simulator.reset(numAgents);
+/**
+ * Remplit les listes de variables de l'histogramme et du nuage de points
+ */
+function setupDistributionControls() {
+    const selects = {
+        histogramVariable: 'democraticAdherence',
+        scatterX: 'security',
+        scatterY: 'democraticAdherence'
+    };
+    for (const [id, preset] of Object.entries(selects)) {
+        const select = document.getElementById(id);
+        for (const { key, label } of AGENT_DISPLAY_VARIABLES) {
+            select.add(new Option(label, key));
+        }
+        select.value = preset;
+        select.addEventListener('change', drawDistributions);
+    }
+}
 
-    // Mettre à jour les conditions initiales
-    const initQ = parseFloat(document.getElementById('initQ').value);
-    const initGini = parseFloat(document.getElementById('initGini').value);
-    const extThreat = parseFloat(document.getElementById('externalThreat').value);
+/**
+ * Dessine l'histogramme, le nuage de points et la distribution de α au fil du temps
+ */
+function drawDistributions() {
+    const society = simulator.society;
 
-    simulator.setInitialCondition('institutionalQuality', initQ);
-    simulator.setInitialCondition('gini', initGini);
-    simulator.setInitialCondition('externalThreat', extThreat);
+    const histogramVariable = getAgentDisplayVariable(document.getElementById('histogramVariable').value);
+    histogramChart.drawHistogram(
+        society.getHistogram(histogramVariable.key, histogramVariable.min, histogramVariable.max, HISTOGRAM_BINS),
+        histogramVariable,
+        { mean: society.getAverage(histogramVariable.key), std: society.getStdDev(histogramVariable.key) }
+    );
 
-    // Mettre à jour l'interface
-    document.getElementById('startBtn').disabled = false;
-    document.getElementById('pauseBtn').disabled = true;
+    const xVariable = getAgentDisplayVariable(document.getElementById('scatterX').value);
+    const yVariable = getAgentDisplayVariable(document.getElementById('scatterY').value);
+    scatterChart.drawScatter(society.getValues(xVariable.key), society.getValues(yVariable.key), xVariable, yVariable);
 
-    // Rafraîchir l'affichage
-    render();
+    alphaDistributionChart.drawDistributionHistory(society.history);
 }
 
 /**
- * Boucle d'animation principale
+ * Branche le survol et le clic sur le canvas des agents (inspecteur d'agent)
  */
-function animate() {
-    if (simulator.running) {
-        // Effectuer plusieurs pas de simulation par frame pour accélérer
-        const stepsPerFrame = 5;
-        for (let i = 0; i < stepsPerFrame; i++) {
-            simulator.step();
+function setupAgentInspectorControls() {
+    const agentCanvas = document.getElementById('agentCanvas');
+
+    agentCanvas.addEventListener('mousemove', (e) => {
+        const agent = visualizer.agentAt(simulator.agents, e.clientX, e.clientY);
+        if (agent === hoveredAgent) return;
+
+        hoveredAgent = agent;
+        const colorVariable = getAgentDisplayVariable(visualizer.display.colorBy);
+        agentCanvas.title = agent
+            ? `Agent n°${agent.id} — ${colorVariable.label} = ${agent[colorVariable.key].toFixed(3)}`
+            : '';
+        drawAgents();
+    });
+    agentCanvas.addEventListener('mouseleave', () => {
+        hoveredAgent = null;
+        drawAgents();
+    });
+
+    // Clic sur un agent : sélection ; clic dans le vide : désélection
+    agentCanvas.addEventListener('click', (e) => {
+        const agent = visualizer.agentAt(simulator.agents, e.clientX, e.clientY);
+        if (agent) {
+            selectAgent(agent);
+        } else {
+            closeAgentInspector();
         }
+    });
 
-        // Mettre à jour l'affichage
-        render();
-    }
+    document.getElementById('closeAgentInspectorBtn').addEventListener('click', closeAgentInspector);
+}
 
-    animationFrameId = requestAnimationFrame(animate);
+/**
+ * Sélectionne un agent et affiche l'inspecteur
+ * @param {Agent} agent - Agent à inspecter
+ */
+function selectAgent(agent) {
+    agentInspector.select(agent, simulator.time);
+    document.getElementById('agentInspectorPanel').style.display = '';
+    agentInspector.update(simulator.society, simulator.parameters);
+    drawAgents();
 }
 
 /**
- * Rendu de la visualisation
+ * Désélectionne l'agent inspecté et masque l'inspecteur
  */
-function render() {
-    // Dessiner les agents
-    visualizer.drawAgents(simulator.agents);
+function closeAgentInspector() {
+    agentInspector.clear();
+    hoveredAgent = null;
+    document.getElementById('agentInspectorPanel').style.display = 'none';
+    drawAgents();
+}
 
-    // Dessiner les séries temporelles
-    visualizer.drawTimeSeries(simulator.society.history);
+/**
+ * Dessine les agents avec l'agent sélectionné (et ses voisins) et l'agent survolé
+ */
+function drawAgents() {
+    visualizer.drawAgents(simulator.agents, { selected: agentInspector.agent, hovered: hoveredAgent });
+}
 
-    // Dessiner le radar chart des paramètres
-    radarChart.draw(simulator.parameters);
+/**
+ * Remplit la liste des paramètres de la courbe de réponse et branche ses boutons
+ */
+function setupResponseCurveControls() {
+    const select = document.getElementById('responseParam');
+    for (const { key, label } of DEFAULT_PARAMETER_RANGES) {
+        select.add(new Option(label, key));
+    }
+    select.addEventListener('change', resetResponseRange);
+    resetResponseRange();
 
-    // Mettre à jour les métriques
-    const state = simulator.getState();
-    visualizer.updateMetrics(state);
+    document.getElementById('responseCurveBtn').addEventListener('click', runResponseCurve);
+    document.getElementById('cancelResponseCurveBtn').addEventListener('click', cancelResponseCurve);
+    document.getElementById('closeResponseCurveBtn').addEventListener('click', () => {
+        cancelResponseCurve();
+        document.getElementById('responseCurvePanel').style.display = 'none';
+    });
 }
 
 /**
- * Exporte la série temporelle Ψ(t) vers un fichier CSV
+ * Remet les bornes de la courbe de réponse à la plage du paramètre dans la configuration
+ * de l'analyse de sensibilité (celle sur laquelle les seuils sont cherchés)
  */
-function exportPsiToCSV() {
-    const history = simulator.society.history;
+function resetResponseRange() {
+    const key = document.getElementById('responseParam').value;
+    const row = [...document.getElementById('sensitivityParameters').rows].find(candidate => candidate.dataset.key === key);
+    document.getElementById('responseMin').value = row.querySelector('.sensitivity-min').value;
+    document.getElementById('responseMax').value = row.querySelector('.sensitivity-max').value;
+}
 
-    // Vérifier qu'il y a des données à exporter
-    if (history.time.length === 0) {
-        alert('Aucune donnée à exporter. Veuillez d\'abord lancer la simulation.');
-        return;
+/**
+ * Ouvre le panneau de la courbe de réponse d'un paramètre (clic sur un axe du radar)
+ * et lance son calcul si aucune analyse n'est en cours
+ * @param {string} paramKey - Paramètre choisi
+ */
+function openResponseCurve(paramKey) {
+    const panel = document.getElementById('responseCurvePanel');
+    panel.style.display = '';
+    document.getElementById('responseParam').value = paramKey;
+    resetResponseRange();
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    if (!document.getElementById('responseCurveBtn').disabled) {
+        runResponseCurve();
     }
+}
+
+/**
+ * Trace la dernière courbe de réponse calculée, avec la valeur courante du paramètre,
+ * les seuils de régime et la zone de transition de l'analyse de sensibilité si elle existe
+ */
+function drawResponseCurve() {
+    if (!responseCurve) return;
 
-    // Créer le contenu CSV
-    let csvContent = 'temps,psi\n';  // En-tête
+    const { paramName, label, points, pMin, pMax } = responseCurve;
+    const zone = sensitivityZones && sensitivityZones[paramName];
+    const targetPsi = zone ? zone.targetPsi : {
+        autocratic: parseFloat(document.getElementById('sensitivityAutocraticPsi').value),
+        democratic: parseFloat(document.getElementById('sensitivityDemocraticPsi').value)
+    };
 
-    for (let i = 0; i < history.time.length; i++) {
-        const time = history.time[i].toFixed(6);
-        const psi = history.orderParameter[i].toFixed(6);
-        csvContent += `${time},${psi}\n`;
+    const markers = [{ x: simulator.parameters[paramName], label: 'valeur courante', color: '#333' }];
+    const bands = [];
+    if (zone) {
+        bands.push({ min: zone.min, max: zone.max, color: 'rgba(76, 175, 80, 0.2)', label: 'Zone de transition' });
+        markers.push(
+            { x: zone.autocratic, label: `p_auto = ${zone.autocratic.toFixed(2)}`, color: '#F44336' },
+            { x: zone.democratic, label: `p_demo = ${zone.democratic.toFixed(2)}`, color: '#2196F3' }
+        );
     }
 
-    // Créer un blob et déclencher le téléchargement
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
+    responseCurveChart.draw({
+        xLabel: label,
+        yLabel: 'ψ∞',
+        xMin: Math.min(pMin, pMax),
+        xMax: Math.max(pMin, pMax),
+        yMin: -1,
+        yMax: 1,
+        series: [{
+            label: 'ψ∞ moyen ± écart-type',
+            color: '#667eea',
+            x: points.map(point => point.p),
+            y: points.map(point => point.psi),
+            spread: points.map(point => point.std),
+            error: points.map(point => 1.96 * (Number.isFinite(point.stderr) ? point.stderr : 0))
+        }],
+        bands,
+        levels: [
+            { y: targetPsi.autocratic, label: `ψ = ${targetPsi.autocratic} (autocratique)` },
+            { y: targetPsi.democratic, label: `ψ = ${targetPsi.democratic} (démocratique)` }
+        ],
+        markers: markers.filter(marker => marker.x >= Math.min(pMin, pMax) && marker.x <= Math.max(pMin, pMax))
+    });
+}
 
-    // Générer un nom de fichier avec la date et l'heure
-    const now = new Date();
-    const timestamp = now.toISOString().replace(/[:.]/g, '-').slice(0, -5);
-    const filename = `psi_t_${timestamp}.csv`;
+/**
+ * Remplit les listes d'axes du diagramme de phase et branche ses boutons
+ */
+function setupPhaseDiagramControls() {
+    const defaults = { X: 'beta4', Y: 'mu2' };
+
+    for (const [axis, key] of Object.entries(defaults)) {
+        const select = document.getElementById(`phase${axis}Axis`);
+        for (const { key: value, label } of PHASE_DIAGRAM_AXES) {
+            select.add(new Option(label, value));
+        }
+        select.value = key;
+        select.addEventListener('change', () => resetPhaseAxisRange(axis));
+        resetPhaseAxisRange(axis);
+    }
+
+    document.getElementById('phaseDiagramBtn').addEventListener('click', runPhaseDiagram);
+    document.getElementById('cancelPhaseDiagramBtn').addEventListener('click', cancelPhaseDiagram);
+    document.getElementById('phaseDisplay').addEventListener('change', () => {
+        if (phaseDiagram) {
+            phaseDiagramChart.draw(phaseDiagram, document.getElementById('phaseDisplay').value);
+        }
+    });
+}
 
-    link.href = URL.createObjectURL(blob);
-    link.download = filename;
-    link.style.display = 'none';
+/**
+ * Remet les bornes d'un axe du diagramme à l'intervalle par défaut de la variable choisie
+ * @param {string} axis - 'X' ou 'Y'
+ */
+function resetPhaseAxisRange(axis) {
+    const { min, max } = getPhaseDiagramAxis(document.getElementById(`phase${axis}Axis`).value);
+    document.getElementById(`phase${axis}Min`).value = min;
+    document.getElementById(`phase${axis}Max`).value = max;
+}
 
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+/**
+ * Remet les bornes de la continuation à l'intervalle par défaut du paramètre choisi
+ */
+function resetContinuationRange() {
+    const key = document.getElementById('continuationParam').value;
+    const { min, max } = CONTINUATION_PARAMETERS.find(parameter => parameter.key === key);
+    document.getElementById('continuationMin').value = min;
+    document.getElementById('continuationMax').value = max;
+}
 
-    // Libérer la mémoire
-    URL.revokeObjectURL(link.href);
+/**
+ * Adapte la taille du plan d'expérience à la méthode choisie :
+ * nombre de trajectoires (Morris) ou taille des échantillons (Sobol)
+ */
+function updateGlobalSensitivityControls() {
+    const method = document.getElementById('globalMethod').value;
+    const sizeInput = document.getElementById('globalSampleSize');
 
-    console.log(`Exporté ${history.time.length} points de données vers ${filename}`);
+    document.getElementById('globalSampleSizeLabel').textContent =
+        method === 'sobol' ? 'Échantillons (N)' : 'Trajectoires (r)';
+    sizeInput.value = method === 'sobol' ? DEFAULT_GLOBAL_SENSITIVITY.samples : DEFAULT_GLOBAL_SENSITIVITY.trajectories;
+    updateGlobalSensitivityStatus();
 }
 
 /**
- * Lance l'analyse de sensibilité paramétrique
+ * Lit les réglages de l'analyse globale dans les contrôles
+ * @returns {Object} - {method, trajectories | samples, numRealizations}
  */
-async function runSensitivityAnalysis() {
-    const btn = document.getElementById('sensitivityBtn');
-    const statusDiv = document.getElementById('sensitivityStatus');
+function readGlobalSensitivitySettings() {
+    const method = document.getElementById('globalMethod').value;
+    const size = parseInt(document.getElementById('globalSampleSize').value);
+    return {
+        method,
+        [method === 'sobol' ? 'samples' : 'trajectories']: size,
+        numRealizations: parseInt(document.getElementById('globalRealizations').value)
+    };
+}
 
-    // Désactiver le bouton pendant l'analyse
-    btn.disabled = true;
-    btn.textContent = 'Analyse en cours...';
-    statusDiv.textContent = 'Démarrage de l\'analyse...';
-    statusDiv.style.display = 'block';
+/**
+ * Affiche le coût de l'analyse globale avant son lancement
+ */
+function updateGlobalSensitivityStatus() {
+    const settings = readGlobalSensitivitySettings();
+    const evaluations = countEvaluations(settings.method, settings);
+    const statusDiv = document.getElementById('globalSensitivityStatus');
+    statusDiv.textContent = `${evaluations} points × ${settings.numRealizations} réalisation(s) = ` +
+        `${evaluations * settings.numRealizations} simulations`;
+    statusDiv.style.color = '#666';
+}
 
-    // Mettre en pause la simulation si elle tourne
-    const wasRunning = simulator.running;
-    if (wasRunning) {
-        pauseSimulation();
+/**
+ * Trace le classement des paramètres pour la sortie choisie
+ */
+function drawGlobalSensitivity() {
+    if (!globalSensitivity) return;
+
+    const output = document.getElementById('globalOutput').value;
+    const outputLabel = GLOBAL_SENSITIVITY_OUTPUTS[output];
+    const isSobol = globalSensitivity.method === 'sobol';
+
+    globalSensitivityChart.draw({
+        series: isSobol
+            ? [{ label: `Indice total S_T (${outputLabel})`, color: '#667eea' }, { label: 'Premier ordre S₁', color: '#FF9800' }]
+            : [{ label: `μ* (${outputLabel})`, color: '#667eea' }, { label: 'σ', color: '#FF9800' }],
+        items: globalSensitivity.parameters.map((parameter, j) => {
+            const index = globalSensitivity.indices[output][j];
+            return {
+                label: parameter.label,
+                values: isSobol ? [index.total, index.first] : [index.muStar, index.sigma]
+            };
+        }),
+        valueLabel: isSobol
+            ? 'Part de la variance de la sortie'
+            : 'Effet élémentaire (variation de la sortie pour la plage complète du paramètre)'
+    });
+}
+
+/**
+ * Active ou désactive les boutons des analyses longues :
+ * le pool de workers n'exécute qu'une analyse à la fois
+ * @param {boolean} disabled - true pendant une analyse
+ */
+function setAnalysisButtonsDisabled(disabled) {
+    for (const id of ['sensitivityBtn', 'responseCurveBtn', 'phaseDiagramBtn', 'continuationBtn', 'globalSensitivityBtn']) {
+        document.getElementById(id).disabled = disabled;
     }
+}
 
-    // Lancer l'analyse dans un setTimeout pour permettre la mise à jour de l'UI
-    setTimeout(() => {
-        try {
-            sensitivityZones = analyzeSensitivity(
-                simulator.parameters,
-                (paramName, current, total) => {
-                    statusDiv.textContent = `Analyse du paramètre ${paramName} (${current}/${total})...`;
-                }
-            );
-
-            // Mettre à jour le radar avec les zones de sensibilité
-            radarChart.setSensitivityZones(sensitivityZones);
-            radarChart.draw(simulator.parameters);
+/**
+ * Lit un axe du diagramme de phase dans les contrôles
+ * @param {string} axis - 'X' ou 'Y'
+ * @returns {Object} - {key, label, min, max, steps}
+ */
+function readPhaseAxis(axis) {
+    const { key, label } = getPhaseDiagramAxis(document.getElementById(`phase${axis}Axis`).value);
+    return {
+        key,
+        label,
+        min: parseFloat(document.getElementById(`phase${axis}Min`).value),
+        max: parseFloat(document.getElementById(`phase${axis}Max`).value),
+        steps: parseInt(document.getElementById(`phase${axis}Steps`).value)
+    };
+}
+
+/**
+ * Affiche uniquement les réglages utiles à la topologie choisie
+ */
+function updateNetworkControls() {
+    const topology = document.getElementById('networkTopology').value;
+
+    document.querySelectorAll('[data-topologies]').forEach(item => {
+        item.style.display = item.dataset.topologies.split(' ').includes(topology) ? '' : 'none';
+    });
+}
 
-            // Afficher les résultats dans la console
-            console.log('Résultats de l\'analyse de sensibilité:', sensitivityZones);
+/**
+ * Lit la configuration du réseau social dans les contrôles
+ * @returns {Object} - Configuration (voir DEFAULT_NETWORK)
+ */
+function readNetwork() {
+    return {
+        topology: document.getElementById('networkTopology').value,
+        radius: parseFloat(document.getElementById('networkRadius').value),
+        meanDegree: parseInt(document.getElementById('networkMeanDegree').value),
+        rewiring: parseFloat(document.getElementById('networkRewiring').value),
+        blocks: parseInt(document.getElementById('networkBlocks').value),
+        mixing: parseFloat(document.getElementById('networkMixing').value)
+    };
+}
 
-            statusDiv.textContent = 'Analyse terminée ! Les zones de transition sont affichées sur le radar.';
-            statusDiv.style.color = '#4CAF50';
+/**
+ * Identifiant du contrôle d'un champ de la loi initiale d'une variable
+ * @param {string} key - Variable (voir POPULATION_VARIABLES)
+ * @param {string} field - 'type', 'a', 'b', 'mean' ou 'std'
+ * @returns {string} - Identifiant, par exemple populationEducationMean
+ */
+function populationControlId(key, field) {
+    const capitalize = text => text[0].toUpperCase() + text.slice(1);
+    return `population${capitalize(key)}${capitalize(field)}`;
+}
 
-        } catch (error) {
-            console.error('Erreur lors de l\'analyse de sensibilité:', error);
-            statusDiv.textContent = 'Erreur lors de l\'analyse : ' + error.message;
-            statusDiv.style.color = '#F44336';
-        } finally {
-            // Réactiver le bouton
-            btn.disabled = false;
-            btn.textContent = 'Analyser la sensibilité';
-
-            // Cacher le message après 5 secondes
-            setTimeout(() => {
-                statusDiv.style.display = 'none';
-                statusDiv.style.color = '#333';
-            }, 5000);
-
-            // Reprendre la simulation si elle tournait
-            if (wasRunning) {
-                startSimulation();
+/**
+ * Affiche uniquement les paramètres utiles aux lois choisies
+ */
+function updatePopulationControls() {
+    document.querySelectorAll('[data-population]').forEach(item => {
+        const type = document.getElementById(populationControlId(item.dataset.population, 'type')).value;
+        item.style.display = item.dataset.distributions === type ? '' : 'none';
+    });
+}
+
+/**
+ * Reporte une configuration de population dans les contrôles
+ * @param {Object} population - Lois par variable et groupes culturels (voir DEFAULT_POPULATION)
+ */
+function showPopulation(population) {
+    for (const key of [...POPULATION_VARIABLES.map(variable => variable.key), 'groups']) {
+        for (const [field, value] of Object.entries(population[key])) {
+            const control = document.getElementById(populationControlId(key, field));
+            if (control) {
+                control.value = value;
+            }
+        }
+    }
+    updatePopulationControls();
+}
+
+/**
+ * Lit la population initiale dans les contrôles
+ * @returns {Object} - Lois par variable et groupes culturels (voir DEFAULT_POPULATION)
+ */
+function readPopulation() {
+    const population = {};
+    for (const { key } of POPULATION_VARIABLES) {
+        population[key] = { type: document.getElementById(populationControlId(key, 'type')).value };
+        for (const field of ['a', 'b', 'mean', 'std']) {
+            const control = document.getElementById(populationControlId(key, field));
+            if (control) {
+                population[key][field] = parseFloat(control.value);
             }
         }
-    }, 100);
+    }
+    population.groups = {
+        count: parseInt(document.getElementById('populationGroupsCount').value) || 0,
+        minorityShare: parseFloat(document.getElementById('populationGroupsMinorityShare').value),
+        layout: document.getElementById('populationGroupsLayout').value
+    };
+    return resolvePopulation(population);
+}
+
+/**
+ * Affiche le Gini des richesses tirées, à comparer au Gini initial visé,
+ * et la diversité culturelle mesurée sur le réseau
+ */
+function showPopulationStats() {
+    const gini = simulator.society.calculateGini();
+    const target = simulator.initialConditions.gini;
+    let text = simulator.population.wealth.type === 'uniform'
+        ? `Richesse uniforme : G = ${gini.toFixed(3)} (G₀ non imposé)`
+        : `Gini des richesses tirées : ${gini.toFixed(3)} (G₀ = ${target.toFixed(2)})`;
+    text += simulator.society.groupCount > 0
+        ? `, diversité D = ${simulator.society.diversity.toFixed(3)} (${simulator.society.groupCount} groupe(s))`
+        : `, sans groupes : D fixe = ${simulator.society.diversity.toFixed(2)}, contacts aléatoires`;
+    document.getElementById('populationStats').textContent = `${text} — appliqué à la réinitialisation`;
+}
+
+/**
+ * Affiche la topologie courante et ses statistiques
+ */
+function showNetworkStats() {
+    const stats = getNetworkStats(simulator.agents);
+    let text = `${NETWORK_TOPOLOGIES[simulator.network.topology]} : degré moyen ${stats.meanDegree.toFixed(1)}, ` +
+        `max ${stats.maxDegree}, ${stats.isolated} isolé(s) — appliqué à la réinitialisation`;
+
+    // Avec un rayon fixe, le degré croît comme n·πr² : coût mémoire et calcul prohibitifs
+    if (stats.meanDegree > 200) {
+        text += '. Degré très élevé : réduire le rayon pour une grande population';
+    }
+    document.getElementById('networkStats').textContent = text;
+}
+
+/**
+ * Lit le scénario saisi dans l'éditeur et l'applique au simulateur
+ */
+function applyScenario() {
+    const status = document.getElementById('scenarioStatus');
+    const text = document.getElementById('scenarioEditor').value.trim();
+
+    try {
+        const scenario = Scenario.fromJSON(text === '' ? [] : text);
+        simulator.setScenario(scenario);
+
+        status.textContent = scenario.events.length === 0
+            ? 'Aucun événement : dynamique autonome'
+            : `${scenario.events.length} événement(s) programmé(s)`;
+        status.classList.remove('error');
+    } catch (error) {
+        status.textContent = error.message;
+        status.classList.add('error');
+    }
+
+    render();
+}
+
+/**
+ * Affiche une liste d'événements dans l'éditeur de scénario (un événement par ligne)
+ * @param {Array<Object>} events - Événements
+ */
+function showScenario(events) {
+    document.getElementById('scenarioEditor').value = events.length === 0
+        ? ''
+        : '[\n  ' + events.map(event => JSON.stringify(event)).join(',\n  ') + '\n]';
+}
+
+/**
+ * Lit la graine saisie par l'utilisateur
+ * @returns {number|null} - Graine entière, ou null si le champ est vide (nouvelle graine aléatoire)
+ */
+function readSeed() {
+    const value = document.getElementById('seed').value.trim();
+    if (value === '') return null;
+
+    const seed = parseInt(value);
+    return Number.isNaN(seed) ? null : Math.abs(seed);
+}
+
+/**
+ * Applique l'intégrateur numérique choisi dans l'interface
+ */
+function applyIntegrator() {
+    const name = document.getElementById('integrator').value;
+    const toleranceInput = document.getElementById('integratorTolerance');
+
+    // La tolérance ne concerne que l'intégrateur adaptatif
+    toleranceInput.disabled = name !== 'rk45';
+    simulator.setIntegrator(name, { tolerance: parseFloat(toleranceInput.value) });
+}
+
+/**
+ * Met à jour un slider et sa valeur affichée (s'il existe dans l'interface)
+ * @param {string} id - Identifiant du slider
+ * @param {number} value - Nouvelle valeur
+ * @param {number} digits - Nombre de décimales affichées
+ */
+function updateSliderDisplay(id, value, digits = 2) {
+    const slider = document.getElementById(id);
+    const valueDisplay = document.getElementById(`${id}Value`);
+    if (slider) {
+        slider.value = value;
+        valueDisplay.textContent = value.toFixed(digits);
+    }
+}
+
+/**
+ * Configure un slider générique
+ */
+function setupSlider(id, callback) {
+    const slider = document.getElementById(id);
+    slider.addEventListener('input', (e) => {
+        callback(e.target.value);
+    });
+}
+
+/**
+ * Configure un slider de paramètre du modèle
+ */
+function setupParameterSlider(param, greekLetter) {
+    setupSlider(param, (value) => {
+        const val = parseFloat(value);
+        document.getElementById(`${param}Value`).textContent = val.toFixed(2);
+        simulator.setParameter(param, val);
+        // Mettre à jour le radar chart et la courbe de réponse
+        if (radarChart) {
+            radarChart.draw(simulator.parameters);
+        }
+        drawResponseCurve();
+    });
+}
+
+/**
+ * Démarre la simulation
+ */
+function startSimulation() {
+    simulator.start();
+    document.getElementById('startBtn').disabled = true;
+    document.getElementById('pauseBtn').disabled = false;
+
+    if (!animationFrameId) {
+        animate();
+    }
+}
+
+/**
+ * Met en pause la simulation
+ */
+function pauseSimulation() {
+    simulator.pause();
+    saveAutosave(simulator);
+    document.getElementById('startBtn').disabled = false;
+    document.getElementById('pauseBtn').disabled = true;
+}
+
+/**
+ * Vérifie, avant de reconstruire la population, que le réseau demandé tient en mémoire
+ * (voir checkNetworkSize). Un graphe géométrique trop dense peut passer au rayon qui ramène
+ * le degré moyen à sa valeur par défaut ; sinon la réinitialisation est abandonnée
+ * @param {number} numAgents - Nombre d'agents demandé
+ * @returns {boolean} - true si le réseau peut être construit
+ */
+function confirmNetworkSize(numAgents) {
+    const network = readNetwork();
+    try {
+        checkNetworkSize(numAgents, network);
+        return true;
+    } catch (error) {
+        if (network.topology !== 'geometric') {
+            alert(error.message);
+            return false;
+        }
+
+        const radius = Math.max(0.001, Number(radiusForMeanDegree(numAgents, DEFAULT_NETWORK.meanDegree).toFixed(3)));
+        if (!confirm(`${error.message}.\n\nRéinitialiser avec un rayon de ${radius} ?`)) {
+            return false;
+        }
+        updateSliderDisplay('networkRadius', radius, 3);
+        return true;
+    }
+}
+
+/**
+ * Réinitialise la simulation
+ */
+function resetSimulation() {
+    // Récupérer le nouveau nombre d'agents et la graine (vide = nouvelle graine)
+    const numAgents = parseInt(document.getElementById('numAgents').value);
+    const seed = readSeed();
+
+    // Réseau trop dense : rayon réduit ou réinitialisation abandonnée (simulation inchangée)
+    if (!confirmNetworkSize(numAgents)) {
+        return;
+    }
+
+    // Arrêter l'animation
+    if (animationFrameId) {
+        cancelAnimationFrame(animationFrameId);
+        animationFrameId = null;
+    }
+
+    // Conditions initiales lues avant la reconstruction : le Gini initial calibre les richesses tirées
+    const initQ = parseFloat(document.getElementById('initQ').value);
+    const initGini = parseFloat(document.getElementById('initGini').value);
+    const extThreat = parseFloat(document.getElementById('externalThreat').value);
+
+    simulator.setInitialCondition('institutionalQuality', initQ);
+    simulator.setInitialCondition('gini', initGini);
+    simulator.setInitialCondition('externalThreat', extThreat);
+
+    // Réinitialiser le simulateur
+    simulator.setNetwork(readNetwork());
+    simulator.setPopulation(readPopulation());
+    simulator.setBackend(document.getElementById('agentBackend').value);
+    simulator.reset(numAgents, seed === null ? generateSeed() : seed);
+    document.getElementById('seed').value = simulator.seed;
+    closeAgentInspector();
+    visualizer.timeSeriesChart.resetView();
+    showNetworkStats();
+    showPopulationStats();
+
+    // Mettre à jour l'interface
+    document.getElementById('startBtn').disabled = false;
+    document.getElementById('pauseBtn').disabled = true;
+
+    // Rafraîchir l'affichage
+    render();
+}
+
+/**
+ * Boucle d'animation principale
+ */
+function animate() {
+    if (simulator.running) {
+        // Effectuer plusieurs pas de simulation par frame pour accélérer
+        const stepsPerFrame = 5;
+        for (let i = 0; i < stepsPerFrame; i++) {
+            simulator.step();
+        }
+
+        // Mettre à jour l'affichage
+        render();
+
+        // Sauvegarde automatique périodique
+        const now = performance.now();
+        if (now - lastAutosave > AUTOSAVE_INTERVAL) {
+            saveAutosave(simulator);
+            lastAutosave = now;
+        }
+    }
+
+    animationFrameId = requestAnimationFrame(animate);
+}
+
+/**
+ * Rendu de la visualisation
+ */
+function render() {
+    // Dessiner les agents et suivre l'agent inspecté
+    drawAgents();
+    agentInspector.record(simulator.time);
+    agentInspector.update(simulator.society, simulator.parameters);
+
+    // Dessiner les séries temporelles
+    visualizer.drawTimeSeries(simulator.society.history, simulator.scenario.events);
+
+    // Dessiner les distributions des variables des agents
+    drawDistributions();
+
+    // Dessiner le radar chart des paramètres
+    radarChart.draw(simulator.parameters);
+
+    // Mettre à jour les métriques
+    const state = simulator.getState();
+    visualizer.updateMetrics(state);
+}
+
+/**
+ * Ouvre le dialogue d'export des séries temporelles
+ */
+function openExportDialog() {
+    // Vérifier qu'il y a des données à exporter
+    if (simulator.society.history.time.length === 0) {
+        alert('Aucune donnée à exporter. Veuillez d\'abord lancer la simulation.');
+        return;
+    }
+
+    // Liste des séries (toutes cochées à la première ouverture)
+    const list = document.getElementById('exportSeriesList');
+    if (list.children.length === 0) {
+        for (const series of EXPORT_SERIES) {
+            const label = document.createElement('label');
+            label.innerHTML = `<input type="checkbox" name="exportSeries" value="${series.key}" checked> ${series.label}`;
+            list.appendChild(label);
+        }
+    }
+
+    document.getElementById('exportDialog').showModal();
+}
+
+/**
+ * Exporte les séries choisies à la fermeture du dialogue
+ */
+function onExportDialogClose() {
+    const dialog = document.getElementById('exportDialog');
+    if (dialog.returnValue !== 'export') return;
+
+    const seriesKeys = [...dialog.querySelectorAll('input[name="exportSeries"]:checked')].map(input => input.value);
+    const format = dialog.querySelector('input[name="exportFormat"]:checked').value;
+    const history = simulator.society.history;
+
+    const content = formatExport(history, simulator.getMetadata(), seriesKeys, format);
+
+    // Générer un nom de fichier avec la date, l'heure et la graine
+    const now = new Date();
+    const timestamp = now.toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    const filename = `simulation_${timestamp}_graine${simulator.seed}.${EXPORT_FORMATS[format].extension}`;
+
+    downloadFile(content, filename, EXPORT_FORMATS[format].mimeType);
+
+    console.log(`Exporté ${history.time.length} points de données (${seriesKeys.length} séries) vers ${filename}`);
+}
+
+/**
+ * Reporte une configuration de run (voir Simulator.getMetadata) dans les contrôles
+ * de l'interface et dans les paramètres du simulateur courant
+ * @param {Object} metadata - Configuration : paramètres, conditions initiales, agents, dt, intégrateur, graine
+ */
+function applyMetadataToControls(metadata) {
+    // Paramètres absents d'un export antérieur : valeurs qui reproduisent le modèle d'alors
+    for (const [key, value] of Object.entries(metadata.parameters ? withLegacyParameters(metadata.parameters) : {})) {
+        simulator.setParameter(key, value);
+        updateSliderDisplay(key, value);
+    }
+
+    const initialConditionSliders = {
+        institutionalQuality: 'initQ',
+        gini: 'initGini',
+        externalThreat: 'externalThreat'
+    };
+    for (const [variable, value] of Object.entries(metadata.initialConditions || {})) {
+        updateSliderDisplay(initialConditionSliders[variable], value);
+    }
+
+    if (metadata.numAgents) {
+        document.getElementById('numAgents').value = metadata.numAgents;
+    }
+    if (metadata.dt) {
+        updateSliderDisplay('timeStep', metadata.dt, 3);
+        // Ne pas réinitialiser l'intégrateur si le pas est inchangé (reprise d'un instantané)
+        if (metadata.dt !== simulator.dt) {
+            simulator.setTimeStep(metadata.dt);
+        }
+    }
+    if (metadata.integrator) {
+        document.getElementById('integrator').value = metadata.integrator;
+        document.getElementById('integratorTolerance').disabled = metadata.integrator !== 'rk45';
+        if (metadata.tolerance) {
+            document.getElementById('integratorTolerance').value = metadata.tolerance;
+        }
+    }
+    if (metadata.seed !== undefined) {
+        document.getElementById('seed').value = metadata.seed;
+    }
+    if (metadata.network) {
+        document.getElementById('networkTopology').value = metadata.network.topology;
+        updateSliderDisplay('networkRadius', metadata.network.radius, 3);
+        updateSliderDisplay('networkMeanDegree', metadata.network.meanDegree, 0);
+        updateSliderDisplay('networkRewiring', metadata.network.rewiring);
+        updateSliderDisplay('networkBlocks', metadata.network.blocks, 0);
+        updateSliderDisplay('networkMixing', metadata.network.mixing);
+        updateNetworkControls();
+    }
+    // Export antérieur aux lois initiales : population historique uniforme
+    showPopulation(withLegacyPopulation(metadata.population));
+    if (metadata.scenario) {
+        showScenario(metadata.scenario);
+    }
+}
+
+/**
+ * Réimporte un fichier exporté : restaure la configuration du run
+ * (paramètres, conditions initiales, agents, dt, intégrateur, graine) puis réinitialise
+ */
+function importRun(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            const { metadata, series } = parseExport(reader.result);
+
+            applyMetadataToControls(metadata);
+            applyIntegrator();
+            simulator.setScenario(Scenario.fromJSON(metadata.scenario || []));
+
+            resetSimulation();
+            console.log(`Importé ${file.name} : ${series.time.length} points, configuration restaurée`, metadata);
+        } catch (error) {
+            console.error('Erreur lors de l\'import:', error);
+            alert('Fichier illisible : ' + error.message);
+        }
+    };
+    reader.readAsText(file);
+
+    // Permettre de réimporter le même fichier
+    e.target.value = '';
+}
+
+/**
+ * Télécharge un instantané complet de la simulation
+ */
+function saveState() {
+    const now = new Date();
+    const timestamp = now.toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    const filename = `etat_t${simulator.time.toFixed(2)}_${timestamp}_graine${simulator.seed}.json`;
+
+    downloadFile(serializeSnapshot(simulator), filename, 'application/json;charset=utf-8;');
+    saveAutosave(simulator);
+}
+
+/**
+ * Charge un instantané depuis un fichier
+ */
+function loadState(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        try {
+            replaceSimulator(deserializeSnapshot(reader.result));
+            console.log(`Instantané ${file.name} chargé (t = ${simulator.time.toFixed(2)})`);
+        } catch (error) {
+            console.error('Erreur lors du chargement de l\'instantané:', error);
+            alert('Instantané illisible : ' + error.message);
+        }
+    };
+    reader.readAsText(file);
+
+    e.target.value = '';
+}
+
+/**
+ * Reprend la dernière sauvegarde automatique du navigateur
+ */
+function restoreAutosave() {
+    try {
+        const autosave = loadAutosave();
+        if (!autosave) {
+            alert('Aucune sauvegarde automatique disponible.');
+            return;
+        }
+
+        replaceSimulator(autosave.simulator);
+        console.log(`Sauvegarde automatique du ${autosave.savedAt} restaurée (t = ${simulator.time.toFixed(2)})`);
+    } catch (error) {
+        console.error('Erreur lors de la restauration:', error);
+        alert('Sauvegarde automatique illisible : ' + error.message);
+    }
+}
+
+/**
+ * Remplace la simulation courante par une simulation restaurée (en pause)
+ * @param {Simulator} restored - Simulation restaurée
+ */
+function replaceSimulator(restored) {
+    if (simulator.running) {
+        pauseSimulation();
+    }
+
+    simulator = restored;
+    closeAgentInspector();
+    visualizer.timeSeriesChart.resetView();
+    applyMetadataToControls(simulator.getMetadata());
+    document.getElementById('agentBackend').value = simulator.backend;
+    showNetworkStats();
+
+    document.getElementById('startBtn').disabled = false;
+    document.getElementById('pauseBtn').disabled = true;
+
+    render();
+}
+
+/**
+ * Conditions initiales macroscopiques de la simulation, transmises aux analyses
+ * pour que leurs réalisations partent du même état que la simulation
+ * @returns {Object} - {institutionalQuality, gini, externalThreat}
+ */
+function analysisInitialConditions() {
+    return {
+        institutionalQuality: simulator.initialConditions.institutionalQuality,
+        gini: simulator.initialConditions.gini,
+        externalThreat: simulator.initialConditions.externalThreat
+    };
+}
+
+/**
+ * Lance l'analyse de sensibilité paramétrique
+ * Les simulations tournent dans un pool de Web Workers : l'interface reste réactive,
+ * les zones s'affichent sur le radar au fur et à mesure et l'analyse peut être annulée
+ */
+async function runSensitivityAnalysis() {
+    const btn = document.getElementById('sensitivityBtn');
+    const cancelBtn = document.getElementById('cancelSensitivityBtn');
+    const statusDiv = document.getElementById('sensitivityStatus');
+    const configStatus = document.getElementById('sensitivityConfigStatus');
+
+    let settings;
+    try {
+        settings = readSensitivitySettings();
+        configStatus.classList.remove('error');
+    } catch (error) {
+        configStatus.textContent = error.message;
+        configStatus.classList.add('error');
+        return;
+    }
+    const total = settings.parameters.length;
+    const nonMonotonic = [];
+
+    // Désactiver les boutons d'analyse pendant l'analyse
+    setAnalysisButtonsDisabled(true);
+    btn.textContent = 'Analyse en cours...';
+    cancelBtn.style.display = '';
+    statusDiv.textContent = 'Démarrage de l\'analyse...';
+    statusDiv.style.color = '#333';
+    statusDiv.style.display = 'block';
+
+    // Mettre en pause la simulation si elle tourne
+    const wasRunning = simulator.running;
+    if (wasRunning) {
+        pauseSimulation();
+    }
+
+    // Repartir d'un radar vierge : les zones arrivent paramètre par paramètre
+    sensitivityZones = {};
+    radarChart.setSensitivityZones(sensitivityZones);
+    radarChart.draw(simulator.parameters);
+    for (const row of document.getElementById('sensitivityParameters').rows) {
+        showSensitivityResult(row.dataset.key, null);
+    }
+
+    let parametersDone = 0;
+    let progressText = '';
+    const updateStatus = () => {
+        statusDiv.textContent = `Paramètres terminés : ${parametersDone}/${total} ${progressText}`;
+    };
+
+    sensitivityController = new AbortController();
+    const options = {
+        ...settings,
+        seed: simulator.seed,
+        integrator: simulator.integrator.name,
+        tolerance: simulator.integrator.tolerance,
+        network: simulator.network,
+        population: simulator.population,
+        backend: simulator.backend,
+        initialConditions: analysisInitialConditions(),
+        signal: sensitivityController.signal,
+        onParameterResult: (paramName, zone) => {
+            parametersDone++;
+            updateStatus();
+            sensitivityZones[paramName] = zone;
+            if (!zone.monotonic) {
+                nonMonotonic.push(paramName);
+            }
+            showSensitivityResult(paramName, zone);
+            radarChart.setSensitivityZones(sensitivityZones);
+            radarChart.draw(simulator.parameters);
+            drawResponseCurve();
+        }
+    };
+
+    if (SimulationWorkerPool.isSupported()) {
+        if (!workerPool) {
+            workerPool = new SimulationWorkerPool();
+        }
+        workerPool.resetProgress();
+        workerPool.onProgress = (completed, submitted) => {
+            progressText = `— simulations : ${completed}/${submitted} (${workerPool.size} workers)`;
+            updateStatus();
+        };
+        options.runRealization = (...args) => workerPool.runRealization(...args);
+    }
+
+    try {
+        sensitivityZones = await analyzeSensitivity(simulator.parameters, null, options);
+
+        // Mettre à jour le radar avec les zones de sensibilité
+        radarChart.setSensitivityZones(sensitivityZones);
+        radarChart.draw(simulator.parameters);
+
+        // Afficher les résultats dans la console
+        console.log('Résultats de l\'analyse de sensibilité:', sensitivityZones);
+
+        statusDiv.textContent = `Analyse terminée (graine ${simulator.seed}) ! Les zones de transition et les IC 95 % des seuils sont affichés sur le radar.`;
+        statusDiv.style.color = '#4CAF50';
+
+        configStatus.textContent = nonMonotonic.length === 0
+            ? `${total} paramètre(s) analysé(s), ψ∞(p) monotone pour chacun`
+            : `⚠️ ψ∞(p) non monotone pour ${nonMonotonic.join(', ')} : la courbe peut franchir plusieurs fois ` +
+              'un seuil, la dichotomie n\'en retient qu\'un';
+        configStatus.classList.toggle('error', nonMonotonic.length > 0);
+
+    } catch (error) {
+        if (sensitivityController.signal.aborted) {
+            statusDiv.textContent = `Analyse annulée (${parametersDone}/${total} paramètres terminés).`;
+            statusDiv.style.color = '#FF9800';
+        } else {
+            console.error('Erreur lors de l\'analyse de sensibilité:', error);
+            statusDiv.textContent = 'Erreur lors de l\'analyse : ' + error.message;
+            statusDiv.style.color = '#F44336';
+        }
+    } finally {
+        sensitivityController = null;
+
+        // Réactiver les boutons
+        setAnalysisButtonsDisabled(false);
+        btn.textContent = 'Analyser la sensibilité';
+        cancelBtn.style.display = 'none';
+
+        // Cacher le message après 5 secondes
+        setTimeout(() => {
+            statusDiv.style.display = 'none';
+            statusDiv.style.color = '#333';
+        }, 5000);
+
+        // Reprendre la simulation si elle tournait
+        if (wasRunning) {
+            startSimulation();
+        }
+    }
+}
+
+/**
+ * Annule l'analyse de sensibilité en cours
+ */
+function cancelSensitivityAnalysis() {
+    if (!sensitivityController) return;
+
+    sensitivityController.abort();
+    if (workerPool) {
+        workerPool.cancel();
+    }
+}
+
+/**
+ * Calcule la courbe de réponse ψ∞(p) du paramètre choisi
+ * Mêmes réglages de simulation que l'analyse de sensibilité : la courbe se lit avec ses seuils
+ */
+async function runResponseCurve() {
+    const btn = document.getElementById('responseCurveBtn');
+    const cancelBtn = document.getElementById('cancelResponseCurveBtn');
+    const statusDiv = document.getElementById('responseCurveStatus');
+
+    const paramName = document.getElementById('responseParam').value;
+    const { label } = DEFAULT_PARAMETER_RANGES.find(parameter => parameter.key === paramName);
+    const pMin = parseFloat(document.getElementById('responseMin').value);
+    const pMax = parseFloat(document.getElementById('responseMax').value);
+
+    setAnalysisButtonsDisabled(true);
+    btn.textContent = 'Calcul en cours...';
+    cancelBtn.style.display = '';
+    statusDiv.textContent = 'Démarrage du calcul...';
+    statusDiv.style.color = '#333';
+    responseCurveChart.clear(`Calcul de ψ∞(${label})...`);
+
+    // Mettre en pause la simulation si elle tourne
+    const wasRunning = simulator.running;
+    if (wasRunning) {
+        pauseSimulation();
+    }
+
+    responseCurveController = new AbortController();
+    const options = {
+        seed: simulator.seed,
+        integrator: simulator.integrator.name,
+        tolerance: simulator.integrator.tolerance,
+        network: simulator.network,
+        population: simulator.population,
+        backend: simulator.backend,
+        initialConditions: analysisInitialConditions(),
+        tMax: parseFloat(document.getElementById('sensitivityTMax').value),
+        dt: parseFloat(document.getElementById('sensitivityDt').value),
+        numAgents: parseInt(document.getElementById('sensitivityNumAgents').value),
+        numRealizations: parseInt(document.getElementById('responseRealizations').value),
+        signal: responseCurveController.signal,
+        onPoint: (done, total) => {
+            statusDiv.textContent = `Points calculés : ${done}/${total}`;
+        }
+    };
+
+    if (SimulationWorkerPool.isSupported()) {
+        if (!workerPool) {
+            workerPool = new SimulationWorkerPool();
+        }
+        workerPool.resetProgress();
+        workerPool.onProgress = null;
+        options.runRealization = (...args) => workerPool.runRealization(...args);
+    }
+
+    try {
+        const numPoints = Math.max(3, parseInt(document.getElementById('responsePoints').value));
+        const points = await samplePsiCurve(paramName, simulator.parameters, pMin, pMax, numPoints, options);
+        console.log(`Courbe de réponse ψ∞(${paramName}) :`, points);
+
+        responseCurve = { paramName, label, points, pMin, pMax };
+        drawResponseCurve();
+
+        // Netteté de la transition : plus forte pente entre deux points voisins
+        let steepest = 0;
+        for (let k = 1; k < points.length; k++) {
+            steepest = Math.max(steepest, Math.abs(points[k].psi - points[k - 1].psi) / Math.abs(points[k].p - points[k - 1].p));
+        }
+        statusDiv.textContent = `Pente maximale |dψ∞/dp| ≈ ${steepest.toFixed(2)} — ` +
+            `bandes : écart-type entre réalisations, barres : IC 95 % de la moyenne (graine ${simulator.seed})`;
+        statusDiv.style.color = '#4CAF50';
+    } catch (error) {
+        if (responseCurveController.signal.aborted) {
+            statusDiv.textContent = 'Calcul annulé.';
+            statusDiv.style.color = '#FF9800';
+        } else {
+            console.error('Erreur lors du calcul de la courbe de réponse:', error);
+            statusDiv.textContent = 'Erreur lors du calcul : ' + error.message;
+            statusDiv.style.color = '#F44336';
+        }
+    } finally {
+        responseCurveController = null;
+
+        setAnalysisButtonsDisabled(false);
+        btn.textContent = 'Tracer la courbe';
+        cancelBtn.style.display = 'none';
+
+        // Reprendre la simulation si elle tournait
+        if (wasRunning) {
+            startSimulation();
+        }
+    }
+}
+
+/**
+ * Annule le calcul de la courbe de réponse en cours
+ */
+function cancelResponseCurve() {
+    if (!responseCurveController) return;
+
+    responseCurveController.abort();
+    if (workerPool) {
+        workerPool.cancel();
+    }
+}
+
+/**
+ * Calcule le diagramme de phase ψ∞ sur la grille des deux axes choisis
+ * Les cases s'affichent au fur et à mesure de leur calcul
+ */
+async function runPhaseDiagram() {
+    const btn = document.getElementById('phaseDiagramBtn');
+    const cancelBtn = document.getElementById('cancelPhaseDiagramBtn');
+    const statusDiv = document.getElementById('phaseDiagramStatus');
+    const display = document.getElementById('phaseDisplay');
+
+    const xAxis = readPhaseAxis('X');
+    const yAxis = readPhaseAxis('Y');
+    if (xAxis.key === yAxis.key) {
+        statusDiv.textContent = 'Choisir deux axes différents.';
+        statusDiv.style.color = '#F44336';
+        return;
+    }
+
+    setAnalysisButtonsDisabled(true);
+    btn.textContent = 'Calcul en cours...';
+    cancelBtn.style.display = '';
+    statusDiv.textContent = 'Démarrage du calcul...';
+    statusDiv.style.color = '#333';
+
+    // Mettre en pause la simulation si elle tourne
+    const wasRunning = simulator.running;
+    if (wasRunning) {
+        pauseSimulation();
+    }
+
+    const config = {
+        xAxis,
+        yAxis,
+        baseParams: simulator.parameters,
+        initialConditions: analysisInitialConditions(),
+        numRealizations: parseInt(document.getElementById('phaseRealizations').value)
+    };
+
+    // Les cases s'affichent au fur et à mesure de leur calcul
+    const numCells = Math.max(2, xAxis.steps) * Math.max(2, yAxis.steps);
+    let cellsDone = 0;
+    let progressText = '';
+    const updateStatus = () => {
+        statusDiv.textContent = `Points calculés : ${cellsDone}/${numCells} ${progressText}`;
+    };
+
+    phaseDiagramController = new AbortController();
+    const options = {
+        seed: simulator.seed,
+        integrator: simulator.integrator.name,
+        tolerance: simulator.integrator.tolerance,
+        network: simulator.network,
+        population: simulator.population,
+        backend: simulator.backend,
+        signal: phaseDiagramController.signal,
+        onCell: (partial) => {
+            cellsDone++;
+            updateStatus();
+            phaseDiagramChart.draw(partial, display.value);
+        }
+    };
+
+    if (SimulationWorkerPool.isSupported()) {
+        if (!workerPool) {
+            workerPool = new SimulationWorkerPool();
+        }
+        workerPool.resetProgress();
+        workerPool.onProgress = (completed, submitted) => {
+            progressText = `— simulations : ${completed}/${submitted} (${workerPool.size} workers)`;
+            updateStatus();
+        };
+        options.runRealization = (...args) => workerPool.runRealization(...args);
+    }
+
+    try {
+        phaseDiagram = await computePhaseDiagram(config, options);
+        phaseDiagramChart.draw(phaseDiagram, display.value);
+        console.log('Diagramme de phase :', phaseDiagram);
+
+        statusDiv.textContent = `Diagramme terminé (graine ${simulator.seed}, ${config.numRealizations} réalisation(s) par point).`;
+        statusDiv.style.color = '#4CAF50';
+    } catch (error) {
+        if (phaseDiagramController.signal.aborted) {
+            statusDiv.textContent = `Calcul annulé (${cellsDone}/${numCells} points calculés).`;
+            statusDiv.style.color = '#FF9800';
+        } else {
+            console.error('Erreur lors du calcul du diagramme de phase:', error);
+            statusDiv.textContent = 'Erreur lors du calcul : ' + error.message;
+            statusDiv.style.color = '#F44336';
+        }
+    } finally {
+        phaseDiagramController = null;
+
+        setAnalysisButtonsDisabled(false);
+        btn.textContent = 'Calculer le diagramme';
+        cancelBtn.style.display = 'none';
+
+        // Reprendre la simulation si elle tournait
+        if (wasRunning) {
+            startSimulation();
+        }
+    }
+}
+
+/**
+ * Annule le calcul du diagramme de phase en cours
+ */
+function cancelPhaseDiagram() {
+    if (!phaseDiagramController) return;
+
+    phaseDiagramController.abort();
+    if (workerPool) {
+        workerPool.cancel();
+    }
+}
+
+/**
+ * Lance l'analyse de continuation (rampe montante puis descendante) et trace les deux branches de ψ
+ */
+async function runContinuation() {
+    const btn = document.getElementById('continuationBtn');
+    const cancelBtn = document.getElementById('cancelContinuationBtn');
+    const statusDiv = document.getElementById('continuationStatus');
+
+    const paramName = document.getElementById('continuationParam').value;
+    const { label } = CONTINUATION_PARAMETERS.find(parameter => parameter.key === paramName);
+    const pMin = parseFloat(document.getElementById('continuationMin').value);
+    const pMax = parseFloat(document.getElementById('continuationMax').value);
+
+    setAnalysisButtonsDisabled(true);
+    btn.textContent = 'Continuation en cours...';
+    cancelBtn.style.display = '';
+    statusDiv.textContent = 'Démarrage de la continuation...';
+    statusDiv.style.color = '#333';
+
+    // Mettre en pause la simulation si elle tourne
+    const wasRunning = simulator.running;
+    if (wasRunning) {
+        pauseSimulation();
+    }
+
+    continuationController = new AbortController();
+    const options = {
+        seed: simulator.seed,
+        integrator: simulator.integrator.name,
+        tolerance: simulator.integrator.tolerance,
+        network: simulator.network,
+        population: simulator.population,
+        backend: simulator.backend,
+        initialConditions: analysisInitialConditions(),
+        steps: parseInt(document.getElementById('continuationSteps').value),
+        numRealizations: parseInt(document.getElementById('continuationRealizations').value),
+        signal: continuationController.signal,
+        onRealization: (done, total) => {
+            statusDiv.textContent = `Réalisations terminées : ${done}/${total}`;
+        }
+    };
+
+    if (SimulationWorkerPool.isSupported()) {
+        if (!workerPool) {
+            workerPool = new SimulationWorkerPool();
+        }
+        workerPool.resetProgress();
+        workerPool.onProgress = null;
+        options.runContinuation = (...args) => workerPool.runContinuation(...args);
+    }
+
+    try {
+        const result = await analyzeContinuation(paramName, simulator.parameters, pMin, pMax, options);
+        console.log('Continuation :', result);
+
+        continuationChart.draw({
+            xLabel: label,
+            yLabel: 'ψ',
+            xMin: Math.min(pMin, pMax),
+            xMax: Math.max(pMin, pMax),
+            yMin: -1,
+            yMax: 1,
+            series: [
+                { label: 'Rampe montante', color: '#2196F3', x: result.values, y: result.forward.psi, error: result.forward.psiStd },
+                { label: 'Rampe descendante', color: '#F44336', x: result.values, y: result.backward.psi, error: result.backward.psiStd, dashed: true }
+            ],
+            bands: result.windows.map(window => ({ min: window.min, max: window.max, label: 'Hystérésis' })),
+            levels: [{ y: 0, label: 'ψ = 0' }, { y: 0.3, label: 'ψ = 0.3' }]
+        });
+
+        statusDiv.textContent = result.windows.length > 0
+            ? `Hystérésis détectée sur ${result.windows.map(window =>
+                `[${window.min.toFixed(2)}, ${window.max.toFixed(2)}] (écart max ${window.maxGap.toFixed(2)})`).join(', ')} ` +
+              `— graine ${simulator.seed}`
+            : `Aucune hystérésis détectée : les deux branches coïncident (graine ${simulator.seed}).`;
+        statusDiv.style.color = result.windows.length > 0 ? '#FF9800' : '#4CAF50';
+    } catch (error) {
+        if (continuationController.signal.aborted) {
+            statusDiv.textContent = 'Continuation annulée.';
+            statusDiv.style.color = '#FF9800';
+        } else {
+            console.error('Erreur lors de la continuation:', error);
+            statusDiv.textContent = 'Erreur lors de la continuation : ' + error.message;
+            statusDiv.style.color = '#F44336';
+        }
+    } finally {
+        continuationController = null;
+
+        setAnalysisButtonsDisabled(false);
+        btn.textContent = 'Lancer la continuation';
+        cancelBtn.style.display = 'none';
+
+        // Reprendre la simulation si elle tournait
+        if (wasRunning) {
+            startSimulation();
+        }
+    }
+}
+
+/**
+ * Annule la continuation en cours
+ */
+function cancelContinuation() {
+    if (!continuationController) return;
+
+    continuationController.abort();
+    if (workerPool) {
+        workerPool.cancel();
+    }
+}
+
+/**
+ * Lance l'analyse de sensibilité globale (Morris ou Sobol) sur tous les paramètres
+ */
+async function runGlobalSensitivity() {
+    const btn = document.getElementById('globalSensitivityBtn');
+    const cancelBtn = document.getElementById('cancelGlobalSensitivityBtn');
+    const statusDiv = document.getElementById('globalSensitivityStatus');
+    const settings = readGlobalSensitivitySettings();
+
+    setAnalysisButtonsDisabled(true);
+    btn.textContent = 'Analyse en cours...';
+    cancelBtn.style.display = '';
+    statusDiv.textContent = 'Démarrage de l\'analyse...';
+    statusDiv.style.color = '#333';
+
+    // Mettre en pause la simulation si elle tourne
+    const wasRunning = simulator.running;
+    if (wasRunning) {
+        pauseSimulation();
+    }
+
+    globalSensitivityController = new AbortController();
+    const options = {
+        ...settings,
+        seed: simulator.seed,
+        integrator: simulator.integrator.name,
+        tolerance: simulator.integrator.tolerance,
+        network: simulator.network,
+        population: simulator.population,
+        backend: simulator.backend,
+        initialConditions: analysisInitialConditions(),
+        signal: globalSensitivityController.signal,
+        onProgress: (done, total) => {
+            statusDiv.textContent = `Points calculés : ${done}/${total}`;
+        }
+    };
+
+    if (SimulationWorkerPool.isSupported()) {
+        if (!workerPool) {
+            workerPool = new SimulationWorkerPool();
+        }
+        workerPool.resetProgress();
+        workerPool.onProgress = null;
+        options.runOutcome = (...args) => workerPool.runOutcome(...args);
+    }
+
+    try {
+        const run = settings.method === 'sobol' ? runSobolAnalysis : runMorrisScreening;
+        globalSensitivity = await run(simulator.parameters, options);
+        console.log('Sensibilité globale :', globalSensitivity);
+        drawGlobalSensitivity();
+
+        statusDiv.textContent = `${GLOBAL_SENSITIVITY_METHODS[settings.method]} terminé : ` +
+            `${globalSensitivity.evaluations} points (graine ${simulator.seed}).`;
+        statusDiv.style.color = '#4CAF50';
+    } catch (error) {
+        if (globalSensitivityController.signal.aborted) {
+            statusDiv.textContent = 'Analyse globale annulée.';
+            statusDiv.style.color = '#FF9800';
+        } else {
+            console.error('Erreur lors de l\'analyse globale:', error);
+            statusDiv.textContent = 'Erreur lors de l\'analyse : ' + error.message;
+            statusDiv.style.color = '#F44336';
+        }
+    } finally {
+        globalSensitivityController = null;
+
+        setAnalysisButtonsDisabled(false);
+        btn.textContent = 'Lancer l\'analyse globale';
+        cancelBtn.style.display = 'none';
+
+        // Reprendre la simulation si elle tournait
+        if (wasRunning) {
+            startSimulation();
+        }
+    }
+}
+
+/**
+ * Annule l'analyse de sensibilité globale en cours
+ */
+function cancelGlobalSensitivity() {
+    if (!globalSensitivityController) return;
+
+    globalSensitivityController.abort();
+    if (workerPool) {
+        workerPool.cancel();
+    }
 }
 
 // Initialiser l'application au chargement de la page
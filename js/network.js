@@ -0,0 +1,390 @@
+/**
+ * Module de génération du réseau social
+ * Construit le voisinage des agents (agent.neighbors) selon différentes topologies :
+ * la vitesse de la contagion démocratique dépend directement de la structure du réseau.
+ * Tous les générateurs sont en O(n + nombre de liens) pour supporter 10⁴ à 5·10⁴ agents
+ */
+
+import { SpatialGrid } from './spatialindex.js';
+
+/**
+ * Topologies disponibles (identifiant → libellé)
+ */
+export const NETWORK_TOPOLOGIES = {
+    geometric: 'Géométrique aléatoire',
+    erdosRenyi: 'Erdős–Rényi',
+    wattsStrogatz: 'Petit monde (Watts–Strogatz)',
+    barabasiAlbert: 'Sans échelle (Barabási–Albert)',
+    stochasticBlock: 'Blocs stochastiques'
+};
+
+/**
+ * Configuration par défaut : graphe géométrique de rayon 0.2 (réseau historique du modèle)
+ * - radius : rayon de voisinage (géométrique)
+ * - meanDegree : degré moyen visé (Erdős–Rényi, Watts–Strogatz, Barabási–Albert, blocs)
+ * - rewiring : probabilité de recâblage d'une arête (Watts–Strogatz)
+ * - blocks : nombre de communautés (blocs stochastiques)
+ * - mixing : fraction des liens entre communautés (blocs stochastiques)
+ */
+export const DEFAULT_NETWORK = {
+    topology: 'geometric',
+    radius: 0.2,
+    meanDegree: 8,
+    rewiring: 0.1,
+    blocks: 4,
+    mixing: 0.1
+};
+
+/**
+ * Nombre maximal d'entrées de l'index des voisins (n·⟨k⟩, chaque lien compté deux fois) :
+ * au-delà, la construction du réseau sature la mémoire de la page. Avec un rayon fixe, le
+ * graphe géométrique dépasse vite ce budget (≈ 3·10⁸ entrées pour 50 000 agents et r = 0.2)
+ */
+export const MAX_NEIGHBOR_ENTRIES = 5e6;
+
+/**
+ * Nombre de plus proches voisins attribués à un agent isolé du graphe géométrique
+ * @private
+ */
+const GEOMETRIC_FALLBACK_NEIGHBORS = 5;
+
+/**
+ * Degré moyen attendu d'un réseau, estimé avant sa construction
+ * Graphe géométrique : (n-1)·πr², effets de bord négligés (estimation par excès)
+ * @param {number} numAgents - Nombre d'agents
+ * @param {Object} network - Configuration (voir DEFAULT_NETWORK), champs manquants = défauts
+ * @returns {number} - Degré moyen attendu
+ */
+export function expectedMeanDegree(numAgents, network = {}) {
+    const config = { ...DEFAULT_NETWORK, ...network };
+    const maxDegree = Math.max(0, numAgents - 1);
+    const degree = config.topology === 'geometric'
+        ? maxDegree * Math.PI * config.radius * config.radius
+        : config.meanDegree;
+    return Math.min(maxDegree, degree);
+}
+
+/**
+ * Rayon du graphe géométrique donnant un degré moyen visé : le degré croissant comme n·πr²,
+ * le rayon doit décroître comme 1/√n quand la population grandit
+ * @param {number} numAgents - Nombre d'agents
+ * @param {number} meanDegree - Degré moyen visé
+ * @returns {number} - Rayon de voisinage
+ */
+export function radiusForMeanDegree(numAgents, meanDegree) {
+    return numAgents > 1 ? Math.sqrt(meanDegree / (Math.PI * (numAgents - 1))) : DEFAULT_NETWORK.radius;
+}
+
+/**
+ * Vérifie que le réseau demandé tient dans le budget MAX_NEIGHBOR_ENTRIES
+ * @param {number} numAgents - Nombre d'agents
+ * @param {Object} network - Configuration (voir DEFAULT_NETWORK), champs manquants = défauts
+ * @throws {Error} - Réseau trop dense (avec le rayon conseillé pour un graphe géométrique)
+ */
+export function checkNetworkSize(numAgents, network = {}) {
+    const config = { ...DEFAULT_NETWORK, ...network };
+    const degree = expectedMeanDegree(numAgents, config);
+    if (numAgents * degree <= MAX_NEIGHBOR_ENTRIES) return;
+
+    const advice = config.topology === 'geometric'
+        ? `, réduire le rayon (r = ${radiusForMeanDegree(numAgents, DEFAULT_NETWORK.meanDegree).toFixed(3)} donne ⟨k⟩ ≈ ${DEFAULT_NETWORK.meanDegree})`
+        : ', réduire le degré moyen';
+    throw new Error(`Réseau trop dense : ≈ ${Math.round(degree)} voisins par agent pour ${numAgents} agents ` +
+        `(au plus ${MAX_NEIGHBOR_ENTRIES} entrées)${advice}`);
+}
+
+/**
+ * Construit le réseau social et remplit agent.neighbors pour chaque agent
+ * @param {Array<Agent>} agents - Agents (positions déjà tirées, agents[i].id === i)
+ * @param {Object} network - Configuration (voir DEFAULT_NETWORK), champs manquants = défauts
+ * @param {Object} rng - Générateur aléatoire exposant random() (Math par défaut)
+ * @returns {Object} - Index des voisins {offsets, indices} (voir buildNeighborIndex)
+ * @throws {Error} - Réseau au-delà du budget MAX_NEIGHBOR_ENTRIES (voir checkNetworkSize)
+ */
+export function buildNetwork(agents, network = {}, rng = Math) {
+    const config = { ...DEFAULT_NETWORK, ...network };
+    checkNetworkSize(agents.length, config);
+    let adjacency;
+
+    switch (config.topology) {
+        case 'geometric':
+            adjacency = geometricEdges(agents, config.radius);
+            break;
+        case 'erdosRenyi':
+            adjacency = erdosRenyiEdges(agents.length, config.meanDegree, rng);
+            break;
+        case 'wattsStrogatz':
+            adjacency = wattsStrogatzEdges(agents.length, config.meanDegree, config.rewiring, rng);
+            break;
+        case 'barabasiAlbert':
+            adjacency = barabasiAlbertEdges(agents.length, config.meanDegree, rng);
+            break;
+        case 'stochasticBlock':
+            adjacency = stochasticBlockEdges(agents, config.meanDegree, config.blocks, config.mixing, rng);
+            break;
+        default:
+            throw new Error(`Topologie de réseau inconnue : ${config.topology}`);
+    }
+
+    const index = toNeighborIndex(adjacency);
+    linkNeighbors(agents, index);
+    return index;
+}
+
+/**
+ * Graphe géométrique aléatoire : voisins à distance < radius,
+ * les k plus proches pour un agent isolé (requêtes sur une grille spatiale)
+ * @private
+ * @returns {Array<Array<number>>} - Listes de voisins (indices croissants, ou par distance pour les isolés)
+ */
+function geometricEdges(agents, radius) {
+    const grid = new SpatialGrid(agents, radius);
+
+    return agents.map((agent, i) => {
+        const neighbors = grid.queryRadius(agent.x, agent.y, radius, i);
+
+        // S'assurer que chaque agent a au moins quelques voisins
+        return neighbors.length > 0
+            ? neighbors
+            : grid.nearest(agent.x, agent.y, GEOMETRIC_FALLBACK_NEIGHBORS, i);
+    });
+}
+
+/**
+ * Erdős–Rényi G(n, p) avec p = ⟨k⟩ / (n - 1)
+ * Tirage par sauts géométriques (Batagelj et Brandes) : O(n + liens) au lieu de O(n²)
+ * @private
+ * @returns {Array<Set<number>>} - Listes d'adjacence (indices des agents)
+ */
+function erdosRenyiEdges(n, meanDegree, rng) {
+    const adjacency = emptyAdjacency(n);
+    const p = n > 1 ? Math.min(1, meanDegree / (n - 1)) : 0;
+
+    // Paires (v, w) avec w < v, parcourues dans l'ordre lexicographique
+    let v = 1;
+    let w = -1;
+    while (v < n) {
+        w += 1 + geometricSkip(p, rng);
+        while (w >= v && v < n) {
+            w -= v;
+            v++;
+        }
+        if (v < n) {
+            addEdge(adjacency, v, w);
+        }
+    }
+
+    return adjacency;
+}
+
+/**
+ * Nombre d'essais ratés avant le prochain succès d'une suite de Bernoulli(p)
+ * @private
+ */
+function geometricSkip(p, rng) {
+    if (p >= 1) return 0;
+    if (p <= 0) return Infinity;
+    return Math.floor(Math.log(1 - rng.random()) / Math.log(1 - p));
+}
+
+/**
+ * Watts–Strogatz : anneau où chaque agent est relié à ses ⟨k⟩/2 voisins de chaque côté,
+ * puis chaque arête est recâblée vers un agent au hasard avec la probabilité rewiring
+ * @private
+ * @returns {Array<Set<number>>} - Listes d'adjacence
+ */
+function wattsStrogatzEdges(n, meanDegree, rewiring, rng) {
+    const adjacency = emptyAdjacency(n);
+    const halfDegree = Math.max(1, Math.min(Math.floor(meanDegree / 2), Math.floor((n - 1) / 2)));
+
+    for (let i = 0; i < n; i++) {
+        for (let d = 1; d <= halfDegree; d++) {
+            addEdge(adjacency, i, (i + d) % n);
+        }
+    }
+
+    for (let d = 1; d <= halfDegree; d++) {
+        for (let i = 0; i < n; i++) {
+            const j = (i + d) % n;
+            if (!adjacency[i].has(j) || rng.random() >= rewiring) continue;
+
+            // Nouvelle extrémité : ni l'agent lui-même, ni un voisin existant
+            if (adjacency[i].size >= n - 1) continue;
+            let target;
+            do {
+                target = Math.floor(rng.random() * n);
+            } while (target === i || adjacency[i].has(target));
+
+            removeEdge(adjacency, i, j);
+            addEdge(adjacency, i, target);
+        }
+    }
+
+    return adjacency;
+}
+
+/**
+ * Barabási–Albert : attachement préférentiel, chaque nouvel agent crée m = ⟨k⟩/2 liens
+ * vers des agents choisis proportionnellement à leur degré (noyau initial complet de m + 1 agents)
+ * @private
+ * @returns {Array<Set<number>>} - Listes d'adjacence
+ */
+function barabasiAlbertEdges(n, meanDegree, rng) {
+    const adjacency = emptyAdjacency(n);
+    const m = Math.max(1, Math.min(Math.round(meanDegree / 2), n - 1));
+
+    // Chaque extrémité d'arête apparaît une fois : tirer dans cette liste = tirer selon le degré
+    const endpoints = [];
+
+    const core = Math.min(n, m + 1);
+    for (let i = 0; i < core; i++) {
+        for (let j = i + 1; j < core; j++) {
+            addEdge(adjacency, i, j);
+            endpoints.push(i, j);
+        }
+    }
+
+    for (let i = core; i < n; i++) {
+        const targets = new Set();
+        while (targets.size < m) {
+            targets.add(endpoints[Math.floor(rng.random() * endpoints.length)]);
+        }
+
+        for (let target of targets) {
+            addEdge(adjacency, i, target);
+            endpoints.push(i, target);
+        }
+    }
+
+    return adjacency;
+}
+
+/**
+ * Modèle à blocs stochastiques : les agents sont répartis en communautés selon leur
+ * position horizontale (bandes verticales, visibles sur le canvas) ; une fraction mixing
+ * des liens relie des communautés différentes
+ * @private
+ * @returns {Array<Set<number>>} - Listes d'adjacence
+ */
+function stochasticBlockEdges(agents, meanDegree, blocks, mixing, rng) {
+    const n = agents.length;
+    const adjacency = emptyAdjacency(n);
+
+    const members = Array.from({ length: blocks }, () => []);
+    agents.forEach((agent, i) => {
+        members[Math.min(blocks - 1, Math.floor(agent.x * blocks))].push(i);
+    });
+
+    // Probabilités calibrées pour que le degré moyen vaille ⟨k⟩ (communautés de taille n/B)
+    const blockSize = n / blocks;
+    const pIn = blockSize > 1 ? Math.min(1, (1 - mixing) * meanDegree / (blockSize - 1)) : 0;
+    const pOut = blocks > 1 ? Math.min(1, mixing * meanDegree / (n - blockSize)) : 0;
+
+    for (let a = 0; a < blocks; a++) {
+        // Liens internes : Erdős–Rényi sur la communauté
+        const inner = erdosRenyiEdges(members[a].length, pIn * Math.max(0, members[a].length - 1), rng);
+        inner.forEach((neighbors, i) => {
+            for (let j of neighbors) {
+                if (j < i) addEdge(adjacency, members[a][i], members[a][j]);
+            }
+        });
+
+        // Liens externes : graphe biparti aléatoire avec chaque communauté suivante
+        for (let b = a + 1; b < blocks; b++) {
+            const total = members[a].length * members[b].length;
+            for (let t = geometricSkip(pOut, rng); t < total; t += 1 + geometricSkip(pOut, rng)) {
+                addEdge(adjacency, members[a][Math.floor(t / members[b].length)], members[b][t % members[b].length]);
+            }
+        }
+    }
+
+    return adjacency;
+}
+
+/**
+ * Crée des listes d'adjacence vides
+ * @private
+ */
+function emptyAdjacency(n) {
+    return Array.from({ length: n }, () => new Set());
+}
+
+/**
+ * Ajoute une arête non orientée
+ * @private
+ */
+function addEdge(adjacency, i, j) {
+    adjacency[i].add(j);
+    adjacency[j].add(i);
+}
+
+/**
+ * Retire une arête non orientée
+ * @private
+ */
+function removeEdge(adjacency, i, j) {
+    adjacency[i].delete(j);
+    adjacency[j].delete(i);
+}
+
+/**
+ * Index compact des voisins (format CSR) : les voisins de l'agent i sont
+ * indices[offsets[i]] .. indices[offsets[i + 1] - 1]
+ * @param {Array<Array<number>|Set<number>>} adjacency - Listes de voisins par agent
+ * @returns {Object} - {offsets: Int32Array, indices: Int32Array}
+ */
+function toNeighborIndex(adjacency) {
+    const offsets = new Int32Array(adjacency.length + 1);
+    adjacency.forEach((neighbors, i) => {
+        offsets[i + 1] = offsets[i] + (Array.isArray(neighbors) ? neighbors.length : neighbors.size);
+    });
+
+    const indices = new Int32Array(offsets[adjacency.length]);
+    adjacency.forEach((neighbors, i) => {
+        // Les ensembles (graphes non orientés) sont rangés par indice croissant
+        const list = Array.isArray(neighbors) ? neighbors : [...neighbors].sort((a, b) => a - b);
+        indices.set(list, offsets[i]);
+    });
+
+    return { offsets, indices };
+}
+
+/**
+ * Reconstruit l'index des voisins à partir de agent.neighbors (après un chargement d'instantané)
+ * @param {Array<Agent>} agents - Agents dont le voisinage est construit
+ * @returns {Object} - {offsets: Int32Array, indices: Int32Array}
+ */
+export function buildNeighborIndex(agents) {
+    const position = new Map(agents.map((agent, i) => [agent, i]));
+    return toNeighborIndex(agents.map(agent => agent.neighbors.map(neighbor => position.get(neighbor))));
+}
+
+/**
+ * Remplit agent.neighbors à partir de l'index des voisins
+ * @private
+ */
+function linkNeighbors(agents, index) {
+    agents.forEach((agent, i) => {
+        const neighbors = new Array(index.offsets[i + 1] - index.offsets[i]);
+        for (let n = index.offsets[i]; n < index.offsets[i + 1]; n++) {
+            neighbors[n - index.offsets[i]] = agents[index.indices[n]];
+        }
+        agent.neighbors = neighbors;
+    });
+}
+
+/**
+ * Statistiques du réseau (pour l'affichage)
+ * @param {Array<Agent>} agents - Agents dont le voisinage est construit
+ * @returns {Object} - {meanDegree, maxDegree, isolated}
+ */
+export function getNetworkStats(agents) {
+    const degrees = agents.map(agent => agent.neighbors.length);
+    const total = degrees.reduce((sum, d) => sum + d, 0);
+
+    return {
+        meanDegree: agents.length > 0 ? total / agents.length : 0,
+        maxDegree: Math.max(0, ...degrees),
+        isolated: degrees.filter(d => d === 0).length
+    };
+}
@@ -0,0 +1,209 @@
+/**
+ * Diagramme de phase à deux paramètres
+ * Balaye une grille (p_x, p_y) et estime ψ∞ (moyenne et dispersion entre réalisations)
+ * en chaque point, puis extrait les frontières de régime par marching squares
+ */
+
+import { Parameters } from './equations.js';
+import { estimateSteadyStateStats } from './sensitivity.js';
+
+/**
+ * Symboles grecs des familles de paramètres
+ * @private
+ */
+const GREEK_SYMBOLS = {
+    beta: 'β', gamma: 'γ', delta: 'δ', eta: 'η', lambda: 'λ', mu: 'μ', nu: 'ν', rho: 'ρ', omega: 'ω', kappa: 'κ', xi: 'ξ', zeta: 'ζ'
+};
+
+/**
+ * Chiffres en indice
+ * @private
+ */
+const SUBSCRIPTS = '₀₁₂₃₄₅₆₇₈₉';
+
+/**
+ * Libellé d'un paramètre du modèle (ex. 'beta4' → 'β₄')
+ * @private
+ */
+function parameterLabel(key) {
+    const [, family, index] = key.match(/^([a-z]+)(\d*)$/);
+    const subscript = [...index].map(digit => SUBSCRIPTS[digit]).join('');
+    return (GREEK_SYMBOLS[family] || family) + subscript;
+}
+
+/**
+ * Axes balayables : tous les paramètres du modèle (mêmes bornes que le radar pour β et μ)
+ * et les conditions initiales macroscopiques (préfixe 'initial.')
+ * Le Gini initial calibre les richesses tirées (voir initializePopulation) : sans effet
+ * avec une richesse uniforme, dont le Gini n'est pas imposé
+ */
+export const PHASE_DIAGRAM_AXES = [
+    ...Object.keys(new Parameters()).map(key => ({
+        key,
+        label: parameterLabel(key),
+        min: 0,
+        max: key.startsWith('beta') ? 2 : 1
+    })),
+    { key: 'initial.institutionalQuality', label: 'Q₀ (qualité institutionnelle initiale)', min: 0, max: 1 },
+    { key: 'initial.gini', label: 'G₀ (inégalités initiales)', min: 0, max: 0.8 },
+    { key: 'initial.externalThreat', label: 'M_ext (menace externe)', min: 0, max: 1 }
+];
+
+/**
+ * Frontières de régime tracées sur le diagramme : ψ∞ = 0 (bascule autocratique)
+ * et ψ∞ = 0.3 (seuil démocratique, comme dans l'analyse de sensibilité)
+ */
+export const PHASE_DIAGRAM_LEVELS = [0, 0.3];
+
+/**
+ * Recherche la description d'un axe
+ * @param {string} key - Clé de l'axe (paramètre ou 'initial.<variable>')
+ * @returns {Object} - {key, label, min, max}
+ */
+export function getPhaseDiagramAxis(key) {
+    const axis = PHASE_DIAGRAM_AXES.find(candidate => candidate.key === key);
+    if (!axis) {
+        throw new Error(`Axe de diagramme de phase inconnu : ${key}`);
+    }
+    return axis;
+}
+
+/**
+ * Valeurs régulièrement espacées d'un axe
+ * @private
+ */
+function axisValues(axis) {
+    const steps = Math.max(2, Math.round(axis.steps));
+    return Array.from({ length: steps }, (_, i) => axis.min + (axis.max - axis.min) * i / (steps - 1));
+}
+
+/**
+ * Affecte la valeur d'un axe aux paramètres ou aux conditions initiales
+ * @private
+ */
+function assignAxisValue(key, value, params, initialConditions) {
+    if (key.startsWith('initial.')) {
+        initialConditions[key.slice('initial.'.length)] = value;
+    } else {
+        params[key] = value;
+    }
+}
+
+/**
+ * Calcule ψ∞ sur une grille de deux paramètres
+ * Toutes les cases utilisent la même graine : les différences entre cases ne viennent
+ * que des paramètres (nombres aléatoires communs), ce qui lisse les frontières
+ * @param {Object} config - {xAxis, yAxis, baseParams, initialConditions, tMax, dt, numAgents, numRealizations}
+ *                          où xAxis et yAxis valent {key, min, max, steps}
+ * @param {Object} options - Options transmises à estimateSteadyStateStats
+ *                           ({seed, integrator, tolerance, network, population, backend, runRealization, signal}),
+ *                           plus onCell(result, i, j) appelé à chaque case terminée avec la grille
+ *                           partiellement remplie (cases restantes à NaN)
+ * @returns {Promise<Object>} - {xAxis, yAxis, x, y, mean, std} ; mean et std sont des
+ *                              Float64Array rangés ligne par ligne (indice j · nx + i)
+ */
+export async function computePhaseDiagram(config, options = {}) {
+    const {
+        xAxis, yAxis, baseParams,
+        initialConditions = {},
+        tMax = 100, dt = 0.02, numAgents = 50, numRealizations = 5
+    } = config;
+
+    if (xAxis.key === yAxis.key) {
+        throw new Error('Les deux axes du diagramme doivent être différents');
+    }
+
+    const x = axisValues(xAxis);
+    const y = axisValues(yAxis);
+    const mean = new Float64Array(x.length * y.length).fill(NaN);
+    const std = new Float64Array(x.length * y.length).fill(NaN);
+    const result = { xAxis, yAxis, x, y, mean, std };
+
+    const cells = [];
+    for (let j = 0; j < y.length; j++) {
+        for (let i = 0; i < x.length; i++) {
+            cells.push({ i, j });
+        }
+    }
+
+    await Promise.all(cells.map(async ({ i, j }) => {
+        const params = Object.assign(Object.create(Object.getPrototypeOf(baseParams)), baseParams);
+        const conditions = { ...initialConditions };
+        assignAxisValue(xAxis.key, x[i], params, conditions);
+        assignAxisValue(yAxis.key, y[j], params, conditions);
+
+        const stats = await estimateSteadyStateStats(params, tMax, dt, numAgents, numRealizations, {
+            ...options,
+            initialConditions: conditions
+        });
+
+        mean[j * x.length + i] = stats.mean;
+        std[j * x.length + i] = stats.std;
+        if (options.onCell) {
+            options.onCell(result, i, j);
+        }
+    }));
+
+    return result;
+}
+
+/**
+ * Extrait une ligne de niveau d'une grille par marching squares
+ * Les cases contenant une valeur non calculée (NaN) sont ignorées ;
+ * les cas selle sont tranchés par la valeur moyenne de la case
+ * @param {ArrayLike<number>} values - Valeurs rangées ligne par ligne (indice j · nx + i)
+ * @param {number} nx - Nombre de colonnes
+ * @param {number} ny - Nombre de lignes
+ * @param {number} level - Niveau recherché
+ * @returns {Array<Array<{i: number, j: number}>>} - Segments [début, fin] en coordonnées de grille fractionnaires
+ */
+export function computeContourSegments(values, nx, ny, level) {
+    const segments = [];
+
+    for (let j = 0; j < ny - 1; j++) {
+        for (let i = 0; i < nx - 1; i++) {
+            // Coins dans l'ordre : bas-gauche, bas-droite, haut-droite, haut-gauche
+            const v = [
+                values[j * nx + i],
+                values[j * nx + i + 1],
+                values[(j + 1) * nx + i + 1],
+                values[(j + 1) * nx + i]
+            ];
+            if (v.some(Number.isNaN)) continue;
+
+            const corners = [{ i, j }, { i: i + 1, j }, { i: i + 1, j: j + 1 }, { i, j: j + 1 }];
+            const above = v.map(value => value >= level);
+
+            // Points de passage sur chaque arête (a → b) dont les extrémités sont de part et d'autre du niveau
+            const crossings = [];
+            for (let edge = 0; edge < 4; edge++) {
+                const a = edge;
+                const b = (edge + 1) % 4;
+                if (above[a] !== above[b]) {
+                    const t = (level - v[a]) / (v[b] - v[a]);
+                    crossings.push({
+                        i: corners[a].i + t * (corners[b].i - corners[a].i),
+                        j: corners[a].j + t * (corners[b].j - corners[a].j)
+                    });
+                }
+            }
+
+            if (crossings.length === 2) {
+                segments.push([crossings[0], crossings[1]]);
+            } else if (crossings.length === 4) {
+                // Cas selle : si le centre est du même côté que le coin bas-gauche, on relie
+                // les arêtes qui isolent les deux autres coins, et inversement
+                const centerAbove = (v[0] + v[1] + v[2] + v[3]) / 4 >= level;
+                if (centerAbove === above[0]) {
+                    segments.push([crossings[0], crossings[1]]);
+                    segments.push([crossings[2], crossings[3]]);
+                } else {
+                    segments.push([crossings[3], crossings[0]]);
+                    segments.push([crossings[1], crossings[2]]);
+                }
+            }
+        }
+    }
+
+    return segments;
+}
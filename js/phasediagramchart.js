@@ -0,0 +1,217 @@
+/**
+ * Affichage du diagramme de phase ψ∞(p_x, p_y)
+ * Carte de chaleur (moyenne ou dispersion entre réalisations) et lignes de niveau des régimes
+ */
+
+import { PHASE_DIAGRAM_LEVELS, computeContourSegments } from './phasediagram.js';
+
+export class PhaseDiagramChart {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas du diagramme
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        // Marges : place pour les axes à gauche/en bas et l'échelle de couleurs à droite
+        this.margin = { top: 20, right: 110, bottom: 55, left: 70 };
+    }
+
+    /**
+     * Couleur d'une valeur de ψ∞ : même échelle rouge → vert que les agents
+     * @param {number} psi - Paramètre d'ordre dans [-1, 1]
+     * @returns {string} - Couleur au format RGB
+     */
+    psiToColor(psi) {
+        const normalized = (Math.max(-1, Math.min(1, psi)) + 1) / 2;
+        const red = Math.floor((1 - normalized) * 255);
+        const green = Math.floor(normalized * 255);
+        return `rgb(${red}, ${green}, 50)`;
+    }
+
+    /**
+     * Couleur d'un écart-type : du blanc (réalisations concordantes) au violet
+     * @param {number} std - Écart-type de ψ∞
+     * @param {number} maxStd - Écart-type correspondant à la couleur la plus foncée
+     * @returns {string} - Couleur au format RGB
+     */
+    stdToColor(std, maxStd) {
+        const t = maxStd > 0 ? Math.min(1, std / maxStd) : 0;
+        const red = Math.floor(255 - t * (255 - 118));
+        const green = Math.floor(255 - t * (255 - 75));
+        const blue = Math.floor(255 - t * (255 - 162));
+        return `rgb(${red}, ${green}, ${blue})`;
+    }
+
+    /**
+     * Efface le canvas et affiche un message
+     * @param {string} message - Texte à afficher
+     */
+    clear(message = '') {
+        const ctx = this.ctx;
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        if (message) {
+            ctx.fillStyle = '#999';
+            ctx.font = '16px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(message, this.canvas.width / 2, this.canvas.height / 2);
+        }
+    }
+
+    /**
+     * Dessine le diagramme (les cases pas encore calculées restent grises)
+     * @param {Object} result - Résultat de computePhaseDiagram
+     * @param {string} mode - 'mean' (ψ∞ moyen) ou 'std' (écart-type entre réalisations)
+     */
+    draw(result, mode = 'mean') {
+        this.clear();
+
+        const { x, y, mean, std } = result;
+        const plotWidth = this.canvas.width - this.margin.left - this.margin.right;
+        const plotHeight = this.canvas.height - this.margin.top - this.margin.bottom;
+        const cellWidth = plotWidth / x.length;
+        const cellHeight = plotHeight / y.length;
+
+        const values = mode === 'std' ? std : mean;
+        const maxStd = Math.max(0.05, ...Array.from(std).filter(value => !Number.isNaN(value)));
+
+        // Cases : une par point de grille, centrée sur sa valeur (p_y croissant vers le haut)
+        const ctx = this.ctx;
+        for (let j = 0; j < y.length; j++) {
+            for (let i = 0; i < x.length; i++) {
+                const value = values[j * x.length + i];
+                if (Number.isNaN(value)) {
+                    ctx.fillStyle = '#e0e0e0';
+                } else {
+                    ctx.fillStyle = mode === 'std' ? this.stdToColor(value, maxStd) : this.psiToColor(value);
+                }
+                ctx.fillRect(
+                    this.margin.left + i * cellWidth,
+                    this.margin.top + plotHeight - (j + 1) * cellHeight,
+                    Math.ceil(cellWidth),
+                    Math.ceil(cellHeight)
+                );
+            }
+        }
+
+        // Frontières de régime, toujours calculées sur ψ∞ moyen
+        const toPixel = point => ({
+            px: this.margin.left + (point.i + 0.5) * cellWidth,
+            py: this.margin.top + plotHeight - (point.j + 0.5) * cellHeight
+        });
+        PHASE_DIAGRAM_LEVELS.forEach((level, index) => {
+            ctx.strokeStyle = '#000';
+            ctx.lineWidth = 2;
+            ctx.setLineDash(index === 0 ? [] : [8, 5]);
+            ctx.beginPath();
+            for (const [start, end] of computeContourSegments(mean, x.length, y.length, level)) {
+                const a = toPixel(start);
+                const b = toPixel(end);
+                ctx.moveTo(a.px, a.py);
+                ctx.lineTo(b.px, b.py);
+            }
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+
+        this.drawAxes(result, plotWidth, plotHeight, cellWidth, cellHeight);
+        this.drawColorScale(mode, maxStd, plotHeight);
+    }
+
+    /**
+     * Dessine les axes gradués et leurs libellés
+     * @private
+     */
+    drawAxes(result, plotWidth, plotHeight, cellWidth, cellHeight) {
+        const ctx = this.ctx;
+        const { x, y, xAxis, yAxis } = result;
+
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(this.margin.left, this.margin.top, plotWidth, plotHeight);
+
+        ctx.fillStyle = '#333';
+        ctx.font = '12px sans-serif';
+
+        // Graduations : au plus une dizaine par axe
+        const xStride = Math.ceil(x.length / 10);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        x.forEach((value, i) => {
+            if (i % xStride !== 0 && i !== x.length - 1) return;
+            ctx.fillText(value.toFixed(2), this.margin.left + (i + 0.5) * cellWidth, this.margin.top + plotHeight + 6);
+        });
+
+        const yStride = Math.ceil(y.length / 10);
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        y.forEach((value, j) => {
+            if (j % yStride !== 0 && j !== y.length - 1) return;
+            ctx.fillText(value.toFixed(2), this.margin.left - 6, this.margin.top + plotHeight - (j + 0.5) * cellHeight);
+        });
+
+        ctx.font = 'bold 13px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(xAxis.label, this.margin.left + plotWidth / 2, this.canvas.height - 8);
+
+        ctx.save();
+        ctx.translate(18, this.margin.top + plotHeight / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textBaseline = 'middle';
+        ctx.fillText(yAxis.label, 0, 0);
+        ctx.restore();
+    }
+
+    /**
+     * Dessine l'échelle de couleurs et la légende des lignes de niveau
+     * @private
+     */
+    drawColorScale(mode, maxStd, plotHeight) {
+        const ctx = this.ctx;
+        const left = this.canvas.width - this.margin.right + 20;
+        const barWidth = 16;
+        const barHeight = plotHeight * 0.6;
+        const top = this.margin.top;
+
+        const minValue = mode === 'std' ? 0 : -1;
+        const maxValue = mode === 'std' ? maxStd : 1;
+        const steps = 50;
+        for (let k = 0; k < steps; k++) {
+            const value = maxValue - (maxValue - minValue) * (k + 0.5) / steps;
+            ctx.fillStyle = mode === 'std' ? this.stdToColor(value, maxStd) : this.psiToColor(value);
+            ctx.fillRect(left, top + k * barHeight / steps, barWidth, Math.ceil(barHeight / steps));
+        }
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(left, top, barWidth, barHeight);
+
+        ctx.fillStyle = '#333';
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(maxValue.toFixed(2), left + barWidth + 4, top);
+        ctx.fillText(minValue.toFixed(2), left + barWidth + 4, top + barHeight);
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(mode === 'std' ? 'σ(ψ∞)' : 'ψ∞', left, top - 4);
+
+        // Légende des frontières
+        PHASE_DIAGRAM_LEVELS.forEach((level, index) => {
+            const y = top + barHeight + 30 + index * 20;
+            ctx.strokeStyle = '#000';
+            ctx.lineWidth = 2;
+            ctx.setLineDash(index === 0 ? [] : [8, 5]);
+            ctx.beginPath();
+            ctx.moveTo(left - 10, y);
+            ctx.lineTo(left + 14, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.textBaseline = 'middle';
+            ctx.fillText(`ψ∞ = ${level}`, left + 18, y);
+        });
+    }
+}
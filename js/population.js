@@ -0,0 +1,376 @@
+/**
+ * Module d'initialisation de la population
+ * Tire les variables initiales des agents dans des lois paramétriques : la richesse suit une
+ * loi log-normale, de Pareto ou bêta calibrée pour atteindre le Gini initial demandé ;
+ * l'éducation, la sécurité et l'adhésion démocratique suivent une loi uniforme, bêta ou
+ * normale tronquée sur leur domaine. Répartit aussi les agents en groupes culturels
+ */
+
+/**
+ * Lois disponibles pour la richesse (identifiant → libellé)
+ * Les trois premières sont calibrées sur le Gini initial ; la loi uniforme ne l'impose pas
+ */
+export const WEALTH_DISTRIBUTIONS = {
+    lognormal: 'Log-normale',
+    pareto: 'Pareto',
+    beta: 'Bêta (a, 1)',
+    uniform: 'Uniforme (Gini non imposé)'
+};
+
+/**
+ * Lois disponibles pour les variables bornées (identifiant → libellé)
+ */
+export const TRAIT_DISTRIBUTIONS = {
+    uniform: 'Uniforme',
+    beta: 'Bêta (a, b)',
+    normal: 'Normale tronquée'
+};
+
+/**
+ * Variables initialisées, avec leur domaine (variables bornées)
+ */
+export const POPULATION_VARIABLES = [
+    { key: 'wealth', label: 'Richesse (w)', distributions: WEALTH_DISTRIBUTIONS },
+    { key: 'education', label: 'Éducation (e)', distributions: TRAIT_DISTRIBUTIONS, min: 0, max: 1 },
+    { key: 'security', label: 'Sécurité perçue (s)', distributions: TRAIT_DISTRIBUTIONS, min: 0, max: 1 },
+    { key: 'democraticAdherence', label: 'Adhésion démocratique (α)', distributions: TRAIT_DISTRIBUTIONS, min: -1, max: 1 }
+];
+
+/**
+ * Répartitions spatiales des groupes culturels (identifiant → libellé)
+ * Les bandes verticales coïncident avec les communautés du réseau à blocs stochastiques
+ */
+export const GROUP_LAYOUTS = {
+    mixed: 'Mélangés',
+    clustered: 'Regroupés (bandes verticales)'
+};
+
+/**
+ * Gini initial par défaut (valeur initiale de Society.gini)
+ */
+export const DEFAULT_GINI = 0.3;
+
+/**
+ * Richesse moyenne après calibration (celle de la loi uniforme historique sur [0, 1])
+ */
+export const MEAN_WEALTH = 0.5;
+
+/**
+ * Population par défaut : richesse log-normale calibrée sur le Gini, autres variables uniformes
+ * Paramètres d'une loi :
+ * - type : identifiant de la loi (WEALTH_DISTRIBUTIONS ou TRAIT_DISTRIBUTIONS)
+ * - a, b : paramètres de forme de la loi bêta (variables bornées)
+ * - mean, std : moyenne et écart-type de la loi normale avant troncature, dans les unités de la variable
+ * Groupes culturels (groups) :
+ * - count : nombre de groupes (0 = aucun groupe : diversité fixe et contacts aléatoires, voir contacts.js)
+ * - minorityShare : part de la population hors du groupe majoritaire, répartie entre les autres groupes
+ * - layout : répartition spatiale (GROUP_LAYOUTS)
+ */
+export const DEFAULT_POPULATION = {
+    wealth: { type: 'lognormal' },
+    education: { type: 'uniform', a: 2, b: 2, mean: 0.5, std: 0.2 },
+    security: { type: 'uniform', a: 2, b: 2, mean: 0.5, std: 0.2 },
+    democraticAdherence: { type: 'uniform', a: 2, b: 2, mean: 0, std: 0.4 },
+    groups: { count: 2, minorityShare: 0.3, layout: 'mixed' }
+};
+
+/**
+ * Population historique (toutes les variables uniformes, sans groupes culturels) :
+ * les exports antérieurs à ce module se rejouent à l'identique avec leur graine
+ */
+export const LEGACY_POPULATION = {
+    ...DEFAULT_POPULATION,
+    wealth: { type: 'uniform' },
+    groups: { ...DEFAULT_POPULATION.groups, count: 0 }
+};
+
+/**
+ * Nombre maximal de tirages d'une loi normale tronquée avant de borner la valeur
+ * @private
+ */
+const MAX_REJECTIONS = 100;
+
+/**
+ * Complète une configuration partielle avec la population par défaut
+ * @param {Object} population - Lois par variable (partielles ou complètes)
+ * @returns {Object} - Configuration complète (voir DEFAULT_POPULATION)
+ */
+export function resolvePopulation(population = {}) {
+    const resolved = {};
+    for (const { key } of POPULATION_VARIABLES) {
+        resolved[key] = { ...DEFAULT_POPULATION[key], ...population[key] };
+    }
+    resolved.groups = { ...DEFAULT_POPULATION.groups, ...population.groups };
+    return resolved;
+}
+
+/**
+ * Complète la population d'un export ou d'un instantané : une entrée absente a été produite
+ * avant son introduction, elle prend donc sa valeur de LEGACY_POPULATION
+ * @param {Object} population - Population lue (absente pour les exports antérieurs à ce module)
+ * @returns {Object} - Configuration complète (voir DEFAULT_POPULATION)
+ */
+export function withLegacyPopulation(population = LEGACY_POPULATION) {
+    const recorded = {};
+    for (const key of [...POPULATION_VARIABLES.map(variable => variable.key), 'groups']) {
+        recorded[key] = population[key] || LEGACY_POPULATION[key];
+    }
+    return resolvePopulation(recorded);
+}
+
+/**
+ * Tire les variables initiales des agents selon la configuration de population
+ * Appelé après la construction des agents (qui tirent des valeurs uniformes) et avant le
+ * réseau social : une loi uniforme conserve la valeur déjà tirée sans consommer de tirage et,
+ * sans groupes culturels, aucun groupe n'est tiré, de sorte que LEGACY_POPULATION reproduit
+ * exactement les populations historiques
+ * @param {Array<Agent>} agents - Agents à initialiser
+ * @param {Object} population - Lois par variable (voir DEFAULT_POPULATION)
+ * @param {number} gini - Gini initial visé par les lois de richesse calibrées
+ * @param {Object} rng - Générateur aléatoire exposant random() (Math par défaut)
+ */
+export function initializePopulation(agents, population = DEFAULT_POPULATION, gini = DEFAULT_GINI, rng = Math) {
+    const resolved = resolvePopulation(population);
+
+    for (const variable of POPULATION_VARIABLES) {
+        const spec = resolved[variable.key];
+        if (!(spec.type in variable.distributions)) {
+            throw new Error(`Loi inconnue pour ${variable.label} : ${spec.type}`);
+        }
+        if (spec.type === 'uniform' || agents.length === 0) continue;
+
+        const values = variable.key === 'wealth'
+            ? sampleWealth(agents.length, spec.type, gini, rng)
+            : sampleTrait(agents.length, spec, variable.min, variable.max, rng);
+        agents.forEach((agent, i) => {
+            agent[variable.key] = values[i];
+        });
+    }
+
+    assignGroups(agents, resolved.groups, rng);
+}
+
+/**
+ * Tire à nouveau certaines variables bornées d'un agent selon la configuration de population
+ * (nouvel agent, voir demography.js). Comme dans initializePopulation, une loi uniforme
+ * conserve la valeur déjà tirée par Agent.reset sans consommer de tirage
+ * @param {Agent} agent - Agent venant d'être réinitialisé
+ * @param {Object} population - Lois par variable (voir DEFAULT_POPULATION)
+ * @param {Array<string>} keys - Variables à tirer (clés de POPULATION_VARIABLES, hors richesse)
+ * @param {Object} rng - Générateur aléatoire exposant random()
+ */
+export function sampleAgentTraits(agent, population, keys, rng) {
+    for (const variable of POPULATION_VARIABLES) {
+        if (!keys.includes(variable.key)) continue;
+
+        const spec = population[variable.key];
+        if (spec.type === 'uniform') continue;
+        agent[variable.key] = sampleTrait(1, spec, variable.min, variable.max, rng)[0];
+    }
+}
+
+/**
+ * Calcule le coefficient de Gini d'une liste de valeurs positives
+ * @param {Array<number>} values - Valeurs (non modifiées)
+ * @returns {number} - Coefficient de Gini (0 si la somme est nulle)
+ */
+export function giniCoefficient(values) {
+    return sortedGini(Array.from(values).sort((a, b) => a - b));
+}
+
+/**
+ * Répartit les agents entre les groupes culturels
+ * - mélangés : groupe tiré indépendamment pour chaque agent selon les parts
+ * - regroupés : agents rangés par abscisse, bandes verticales contiguës de tailles proportionnelles aux parts
+ * @private
+ */
+function assignGroups(agents, groups, rng) {
+    if (!(groups.layout in GROUP_LAYOUTS)) {
+        throw new Error(`Répartition des groupes inconnue : ${groups.layout}`);
+    }
+    if (!(Number.isInteger(groups.count) && groups.count >= 0)) {
+        throw new Error(`Nombre de groupes invalide : ${groups.count}`);
+    }
+    if (!(groups.minorityShare >= 0 && groups.minorityShare <= 1)) {
+        throw new Error(`Part des minorités invalide : ${groups.minorityShare}`);
+    }
+    if (groups.count === 0) return;
+
+    // Parts cumulées : groupe majoritaire puis minorités de même taille
+    const cumulativeShares = [];
+    let cumulative = 0;
+    for (let g = 0; g < groups.count; g++) {
+        if (groups.count === 1) {
+            cumulative = 1;
+        } else {
+            cumulative += g === 0 ? 1 - groups.minorityShare : groups.minorityShare / (groups.count - 1);
+        }
+        cumulativeShares.push(cumulative);
+    }
+    const groupAt = u => {
+        let g = 0;
+        while (g < groups.count - 1 && u >= cumulativeShares[g]) g++;
+        return g;
+    };
+
+    if (groups.layout === 'clustered') {
+        const order = agents.map((agent, i) => i).sort((i, j) => agents[i].x - agents[j].x);
+        order.forEach((i, rank) => {
+            agents[i].group = groupAt((rank + 0.5) / agents.length);
+        });
+    } else {
+        for (const agent of agents) {
+            agent.group = groupAt(rng.random());
+        }
+    }
+}
+
+/**
+ * Tire des richesses de Gini donné (à la précision de la bisection près)
+ * Les trois lois s'écrivent w = exp(θ·s) avec s tiré une fois pour toutes :
+ * - log-normale : s normale centrée réduite, θ = σ (G = 2Φ(σ/√2) - 1)
+ * - Pareto : s exponentielle, θ = 1/a (G = 1/(2a - 1) pour a > 1)
+ * - bêta (a, 1) : s = -exponentielle, θ = 1/a (G = 1/(2a + 1))
+ * Le Gini de l'échantillon croît avec θ : θ est ajusté par bisection sur la population
+ * tirée, ce qui donne le Gini demandé même pour une petite population.
+ * Les richesses sont ensuite ramenées à la moyenne MEAN_WEALTH (le Gini n'en dépend pas)
+ * @private
+ */
+function sampleWealth(n, type, gini, rng) {
+    const exponents = [];
+    for (let i = 0; i < n; i++) {
+        if (type === 'lognormal') {
+            exponents.push(sampleNormal(rng));
+        } else {
+            const exponential = -Math.log(1 - rng.random());
+            exponents.push(type === 'pareto' ? exponential : -exponential);
+        }
+    }
+
+    // Exposants centrés sur leur maximum : exp(θ·(s - s_max)) ≤ 1, sans dépassement pour θ grand
+    const sMax = exponents.reduce((max, s) => Math.max(max, s), -Infinity);
+    const shifted = exponents.map(s => s - sMax);
+    const sorted = [...shifted].sort((a, b) => a - b);   // Ordre conservé par s ↦ exp(θ·s)
+    const sampleGini = theta => sortedGini(sorted.map(s => Math.exp(theta * s)));
+
+    // Encadrement puis bisection ; le Gini d'un échantillon reste inférieur à 1 - 1/n
+    const target = Math.max(0, Math.min(1, gini));
+    let low = 0;
+    let high = 1;
+    while (sampleGini(high) < target && high < 1e3) {
+        low = high;
+        high *= 2;
+    }
+    for (let iteration = 0; iteration < 60 && high - low > 1e-12; iteration++) {
+        const middle = (low + high) / 2;
+        if (sampleGini(middle) < target) {
+            low = middle;
+        } else {
+            high = middle;
+        }
+    }
+
+    const theta = (low + high) / 2;
+    const wealths = shifted.map(s => Math.exp(theta * s));
+    const mean = wealths.reduce((sum, w) => sum + w, 0) / n;
+    return wealths.map(w => w / mean * MEAN_WEALTH);
+}
+
+/**
+ * Tire les valeurs d'une variable bornée sur [min, max]
+ * @private
+ */
+function sampleTrait(n, spec, min, max, rng) {
+    const values = [];
+    if (spec.type === 'beta') {
+        if (!(spec.a > 0 && spec.b > 0)) {
+            throw new Error(`Paramètres de la loi bêta invalides : a = ${spec.a}, b = ${spec.b}`);
+        }
+        for (let i = 0; i < n; i++) {
+            values.push(min + (max - min) * sampleBeta(spec.a, spec.b, rng));
+        }
+    } else {
+        if (!(spec.std > 0)) {
+            throw new Error(`Écart-type de la loi normale invalide : ${spec.std}`);
+        }
+        for (let i = 0; i < n; i++) {
+            values.push(sampleTruncatedNormal(spec.mean, spec.std, min, max, rng));
+        }
+    }
+    return values;
+}
+
+/**
+ * Loi normale tronquée par rejet ; bornée au domaine si le rejet échoue
+ * (moyenne très éloignée du domaine)
+ * @private
+ */
+function sampleTruncatedNormal(mean, std, min, max, rng) {
+    let value = mean;
+    for (let attempt = 0; attempt < MAX_REJECTIONS; attempt++) {
+        value = mean + std * sampleNormal(rng);
+        if (value >= min && value <= max) return value;
+    }
+    return Math.max(min, Math.min(max, value));
+}
+
+/**
+ * Loi normale centrée réduite (Box–Muller)
+ * @private
+ */
+function sampleNormal(rng) {
+    const u1 = 1 - rng.random();    // Dans ]0, 1] : log(u1) fini
+    const u2 = rng.random();
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * Loi gamma de forme k et d'échelle 1 (Marsaglia–Tsang)
+ * @private
+ */
+function sampleGamma(k, rng) {
+    if (k < 1) {
+        // Γ(k) = Γ(k + 1)·U^(1/k)
+        return sampleGamma(k + 1, rng) * Math.pow(1 - rng.random(), 1 / k);
+    }
+
+    const d = k - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+        const z = sampleNormal(rng);
+        const v = Math.pow(1 + c * z, 3);
+        if (v <= 0) continue;
+        const u = 1 - rng.random();
+        if (Math.log(u) < z * z / 2 + d - d * v + d * Math.log(v)) {
+            return d * v;
+        }
+    }
+}
+
+/**
+ * Loi bêta sur [0, 1] (rapport de deux lois gamma)
+ * @private
+ */
+function sampleBeta(a, b, rng) {
+    const x = sampleGamma(a, rng);
+    const y = sampleGamma(b, rng);
+    return x / (x + y);
+}
+
+/**
+ * Gini de valeurs triées par ordre croissant
+ * @private
+ */
+function sortedGini(sorted) {
+    const n = sorted.length;
+    const total = sorted.reduce((sum, w) => sum + w, 0);
+
+    if (total === 0) return 0;
+
+    let giniSum = 0;
+    for (let i = 0; i < n; i++) {
+        giniSum += (2 * (i + 1) - n - 1) * sorted[i];
+    }
+
+    return giniSum / (n * total);
+}
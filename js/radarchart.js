@@ -7,8 +7,9 @@ export class RadarChart {
     /**
      * @param {HTMLCanvasElement} canvas - Canvas pour le radar chart
      * @param {Function} onParameterChange - Callback appelé quand un paramètre change
+     * @param {Function} onAxisSelect - Callback (paramKey) appelé au clic sur le libellé d'un axe
      */
-    constructor(canvas, onParameterChange = null) {
+    constructor(canvas, onParameterChange = null, onAxisSelect = null) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.centerX = canvas.width / 2;
@@ -36,6 +37,7 @@ export class RadarChart {
         this.isDragging = false;
         this.currentParams = null;
         this.onParameterChange = onParameterChange;
+        this.onAxisSelect = onAxisSelect;
 
         // Configurer les event listeners
         this.setupInteraction();
@@ -74,6 +76,15 @@ export class RadarChart {
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
 
+        // Clic sur un libellé (au-delà du cercle extérieur) : sélection de l'axe, sans modifier sa valeur
+        const { axisIndex, distance } = this.axisAtPosition(x, y);
+        if (distance > this.radius + 15) {
+            if (this.onAxisSelect) {
+                this.onAxisSelect(this.parameters[axisIndex].key);
+            }
+            return;
+        }
+
         this.isDragging = true;
         this.updateParameterFromPosition(x, y);
     }
@@ -104,18 +115,7 @@ export class RadarChart {
     updateParameterFromPosition(x, y) {
         if (!this.currentParams) return;
 
-        // Calculer la distance et l'angle depuis le centre
-        const dx = x - this.centerX;
-        const dy = y - this.centerY;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        let angle = Math.atan2(dy, dx);
-
-        // Ajuster l'angle pour correspondre à notre système (commence en haut)
-        angle += Math.PI / 2;
-        if (angle < 0) angle += 2 * Math.PI;
-
-        // Trouver l'axe le plus proche
-        const axisIndex = Math.round(angle / this.angleStep) % this.numAxes;
+        const { axisIndex, distance } = this.axisAtPosition(x, y);
         const param = this.parameters[axisIndex];
 
         // Calculer la nouvelle valeur (normalisée entre 0 et max)
@@ -133,6 +133,28 @@ export class RadarChart {
         }
     }
 
+    /**
+     * Axe le plus proche d'une position et distance au centre
+     * @param {number} x - Abscisse dans le canvas
+     * @param {number} y - Ordonnée dans le canvas
+     * @returns {Object} - {axisIndex, distance}
+     */
+    axisAtPosition(x, y) {
+        // Calculer la distance et l'angle depuis le centre
+        const dx = x - this.centerX;
+        const dy = y - this.centerY;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        let angle = Math.atan2(dy, dx);
+
+        // Ajuster l'angle pour correspondre à notre système (commence en haut)
+        angle += Math.PI / 2;
+        if (angle < 0) angle += 2 * Math.PI;
+
+        // Trouver l'axe le plus proche
+        const axisIndex = Math.round(angle / this.angleStep) % this.numAxes;
+        return { axisIndex, distance };
+    }
+
     /**
      * Définit les zones de sensibilité à afficher
      * @param {Object} zones - Zones de sensibilité {paramKey: {autocratic, democratic}}
@@ -327,6 +349,14 @@ export class RadarChart {
             ctx.lineWidth = 8;
             ctx.stroke();
 
+            // Intervalles de confiance des seuils, de part et d'autre de l'axe
+            if (zone.autocraticInterval) {
+                this.drawThresholdWhisker(zone.autocraticInterval, param.max, cos, sin, -7, '#F44336');
+            }
+            if (zone.democraticInterval) {
+                this.drawThresholdWhisker(zone.democraticInterval, param.max, cos, sin, 7, '#2196F3');
+            }
+
             // Marquer les seuils
             const xAuto = this.centerX + (this.radius * zone.autocratic / param.max) * cos;
             const yAuto = this.centerY + (this.radius * zone.autocratic / param.max) * sin;
@@ -352,15 +382,54 @@ export class RadarChart {
             ctx.stroke();
         }
 
-        // Légende
+        // Légende (seuils de l'analyse, 0 et 0.3 par défaut)
+        const analyzed = Object.values(this.sensitivityZones).find(zone => zone.targetPsi);
+        const targetPsi = analyzed ? analyzed.targetPsi : { autocratic: 0, democratic: 0.3 };
         ctx.font = '10px sans-serif';
         ctx.textAlign = 'left';
         ctx.fillStyle = '#F44336';
-        ctx.fillText('● ψ=0 (autocratique)', 10, this.canvas.height - 30);
+        ctx.fillText(`● ψ=${targetPsi.autocratic} (autocratique)`, 10, this.canvas.height - 30);
         ctx.fillStyle = '#2196F3';
-        ctx.fillText('● ψ=0.3 (démocratique)', 10, this.canvas.height - 15);
+        ctx.fillText(`● ψ=${targetPsi.democratic} (démocratique)`, 10, this.canvas.height - 15);
         ctx.fillStyle = 'rgba(76, 175, 80, 0.5)';
         ctx.fillText('▬ Zone de transition', 10, this.canvas.height - 45);
+        ctx.fillStyle = '#666';
+        ctx.fillText('├┤ IC 95 % (bootstrap)', 10, this.canvas.height - 60);
+    }
+
+    /**
+     * Dessine l'intervalle de confiance d'un seuil : segment parallèle à l'axe,
+     * décalé de offset pixels, terminé par deux traits perpendiculaires
+     * @private
+     */
+    drawThresholdWhisker(interval, paramMax, cos, sin, offset, color) {
+        const ctx = this.ctx;
+        const capLength = 3;
+
+        // Direction perpendiculaire à l'axe
+        const nx = -sin;
+        const ny = cos;
+
+        const point = (value, shift) => ({
+            x: this.centerX + (this.radius * value / paramMax) * cos + shift * nx,
+            y: this.centerY + (this.radius * value / paramMax) * sin + shift * ny
+        });
+
+        const lower = point(interval.lower, offset);
+        const upper = point(interval.upper, offset);
+
+        ctx.beginPath();
+        ctx.moveTo(lower.x, lower.y);
+        ctx.lineTo(upper.x, upper.y);
+        for (const value of [interval.lower, interval.upper]) {
+            const start = point(value, offset - capLength);
+            const end = point(value, offset + capLength);
+            ctx.moveTo(start.x, start.y);
+            ctx.lineTo(end.x, end.y);
+        }
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
     }
 
     /**
@@ -394,7 +463,7 @@ export class RadarChart {
         ctx.font = 'italic 10px sans-serif';
         ctx.fillStyle = '#999';
         ctx.textAlign = 'center';
-        ctx.fillText('Cliquez et glissez pour ajuster', this.centerX, this.canvas.height - 10);
+        ctx.fillText('Cliquez et glissez pour ajuster — cliquez sur un libellé pour la courbe ψ∞(p)', this.centerX, this.canvas.height - 10);
     }
 
     /**
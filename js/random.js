@@ -0,0 +1,75 @@
+/**
+ * Générateur pseudo-aléatoire reproductible
+ * Toutes les sources d'aléa de la simulation passent par ce générateur afin
+ * qu'une trajectoire ou une valeur de ψ∞ puisse être rejouée à partir de sa graine
+ */
+
+/**
+ * Tire une nouvelle graine au hasard (utilisée quand l'utilisateur n'en fournit pas)
+ * @returns {number} - Graine entière dans [0, 10⁹)
+ */
+export function generateSeed() {
+    return Math.floor(Math.random() * 1e9);
+}
+
+/**
+ * Générateur pseudo-aléatoire à graine (algorithme mulberry32)
+ * Expose la même méthode random() que Math, ce qui permet de l'injecter partout
+ * où Math.random() était appelé directement
+ */
+export class SeededRandom {
+    /**
+     * @param {number} seed - Graine entière (tirée au hasard si absente)
+     */
+    constructor(seed = null) {
+        this.seed = (seed === null || seed === undefined) ? generateSeed() : seed;
+        this.state = this.seed >>> 0;
+    }
+
+    /**
+     * Tire un nombre uniforme dans [0, 1)
+     * @returns {number} - Nombre pseudo-aléatoire
+     */
+    random() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Tire un nombre uniforme dans [min, max)
+     * @param {number} min - Borne inférieure
+     * @param {number} max - Borne supérieure
+     * @returns {number} - Nombre pseudo-aléatoire
+     */
+    uniform(min, max) {
+        return min + (max - min) * this.random();
+    }
+
+    /**
+     * Tire une graine dérivée, pour initialiser un générateur indépendant
+     * (par exemple une réalisation de l'analyse de sensibilité)
+     * @returns {number} - Graine entière dans [0, 10⁹)
+     */
+    nextSeed() {
+        return Math.floor(this.random() * 1e9);
+    }
+
+    /**
+     * État interne du générateur (pour reprendre une séquence après sauvegarde)
+     * @returns {number} - État 32 bits
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * Restaure un état interne sauvegardé par getState()
+     * @param {number} state - État 32 bits
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
@@ -0,0 +1,310 @@
+/**
+ * Module de scénarios
+ * Chronologie d'événements exogènes (chocs, crises, réformes) appliqués pendant la simulation :
+ * modification d'une variable de la société, d'une variable de tous les agents ou d'un paramètre
+ */
+
+import { Parameters, AGENT_STATE_VARIABLES, MACRO_STATE_VARIABLES } from './equations.js';
+
+/**
+ * Variables modifiables par un événement, avec leur domaine
+ * (null = pas de bornage, pour les paramètres du modèle)
+ */
+export const SCENARIO_TARGETS = {
+    society: {
+        externalThreat: { min: 0, max: 1 },
+        diversity: { min: 0, max: 1 },
+        ...Object.fromEntries(MACRO_STATE_VARIABLES.map(v => [v.key, { min: v.min, max: v.max }]))
+    },
+    agents: {
+        education: { min: 0, max: 1 },
+        toleranceEconomic: { min: -1, max: 1 },
+        tolerancePhysical: { min: -1, max: 1 },
+        ...Object.fromEntries(AGENT_STATE_VARIABLES.map(v => [v.key, { min: v.min, max: v.max }]))
+    },
+    parameters: null
+};
+
+/**
+ * Paramètres du modèle modifiables par un événement 'parameters.*'
+ * @private
+ */
+const PARAMETER_NAMES = new Set(Object.keys(new Parameters()));
+
+/**
+ * Opérations disponibles : valeur courante → nouvelle valeur
+ */
+export const SCENARIO_OPERATIONS = {
+    set: (current, value) => value,
+    add: (current, value) => current + value,
+    multiply: (current, value) => current * value
+};
+
+/**
+ * Exemple de scénario (affiché dans l'éditeur de l'interface)
+ */
+export const EXAMPLE_SCENARIO = [
+    { time: 20, target: 'society.externalThreat', operation: 'set', value: 0.8, duration: 5, label: 'Guerre' },
+    { time: 40, target: 'agents.education', operation: 'add', value: 0.1, label: 'Réforme éducative' },
+    { time: 60, target: 'parameters.mu2', operation: 'multiply', value: 2, label: 'Capture' }
+];
+
+/**
+ * Chronologie d'événements appliquée par Simulator.step()
+ *
+ * Un événement est un objet {time, target, operation, value, duration, label} :
+ * - target : 'society.<variable>', 'agents.<variable>' ou 'parameters.<paramètre>'
+ * - operation : 'set', 'add' ou 'multiply'
+ * - duration (optionnelle) : au bout de cette durée, la cible reprend la valeur
+ *   qu'elle avait avant l'événement (pour les agents, chacun reprend la sienne ;
+ *   les agents nés entre-temps gardent leurs valeurs tirées à la naissance)
+ */
+export class Scenario {
+    /**
+     * @param {Array<Object>} events - Événements (triés par date d'application)
+     */
+    constructor(events = []) {
+        this.events = events.map((event, i) => validateEvent(event, i))
+            .sort((a, b) => a.time - b.time);
+
+        this.reset();
+    }
+
+    /**
+     * Remet la chronologie à son début (aucun événement appliqué)
+     */
+    reset() {
+        this.nextEvent = 0;   // Indice du prochain événement à appliquer
+        this.applied = [];    // {index, saved, endTime, reverted} pour chaque événement appliqué
+    }
+
+    /**
+     * Applique les événements dont la date est atteinte et annule
+     * les événements temporaires arrivés à échéance
+     * @param {Simulator} simulator - Simulation à modifier
+     * @param {number} time - Temps courant
+     * @returns {boolean} - true si l'état ou les paramètres ont été modifiés
+     */
+    apply(simulator, time) {
+        let changed = false;
+
+        // Fins d'événements temporaires (dans l'ordre inverse d'application)
+        for (let i = this.applied.length - 1; i >= 0; i--) {
+            const entry = this.applied[i];
+            if (!entry.reverted && entry.endTime !== null && entry.endTime <= time) {
+                this.restore(simulator, entry);
+                changed = true;
+            }
+        }
+
+        // Nouveaux événements
+        while (this.nextEvent < this.events.length && this.events[this.nextEvent].time <= time) {
+            const index = this.nextEvent++;
+            const event = this.events[index];
+
+            this.applied.push({
+                index,
+                saved: this.applyEvent(simulator, event),
+                endTime: event.duration ? event.time + event.duration : null,
+                reverted: false
+            });
+            changed = true;
+        }
+
+        if (changed) {
+            simulator.society.updateDerivedVariables();
+        }
+
+        return changed;
+    }
+
+    /**
+     * Applique un événement et renvoie les valeurs qu'il remplace
+     * @private
+     */
+    applyEvent(simulator, event) {
+        const { scope, key, bounds } = parseTarget(event.target);
+        const operation = SCENARIO_OPERATIONS[event.operation];
+        const transform = (current) => clamp(operation(current, event.value), bounds);
+
+        if (scope === 'agents') {
+            // Valeurs indexées par identifiant : le renouvellement des générations réutilise les places
+            const saved = {};
+            for (const agent of simulator.agents) {
+                saved[agent.id] = agent[key];
+                agent[key] = transform(agent[key]);
+            }
+            return saved;
+        }
+
+        const object = scope === 'society' ? simulator.society : simulator.parameters;
+        const saved = object[key];
+        object[key] = transform(saved);
+        return saved;
+    }
+
+    /**
+     * Rétablit les valeurs remplacées par un événement
+     * @private
+     */
+    restore(simulator, entry) {
+        const { scope, key } = parseTarget(this.events[entry.index].target);
+
+        if (scope === 'agents') {
+            // Les agents nés après l'événement n'ont pas de valeur sauvegardée. Les instantanés
+            // antérieurs sauvegardent un tableau, indexé par identifiant lui aussi (id = place alors)
+            for (const agent of simulator.agents) {
+                if (agent.id in entry.saved) {
+                    agent[key] = entry.saved[agent.id];
+                }
+            }
+        } else {
+            const object = scope === 'society' ? simulator.society : simulator.parameters;
+            object[key] = entry.saved;
+        }
+
+        entry.reverted = true;
+    }
+
+    /**
+     * Annule les modifications de paramètres encore en vigueur
+     * (avant une réinitialisation : la population et la société sont reconstruites,
+     * mais les paramètres sont conservés par le simulateur)
+     * @param {Simulator} simulator - Simulation à rétablir
+     */
+    rewind(simulator) {
+        for (let i = this.applied.length - 1; i >= 0; i--) {
+            const entry = this.applied[i];
+            if (!entry.reverted && parseTarget(this.events[entry.index].target).scope === 'parameters') {
+                this.restore(simulator, entry);
+            }
+        }
+
+        this.reset();
+    }
+
+    /**
+     * Paramètres tels qu'ils étaient avant les événements encore en vigueur
+     * @param {Parameters} parameters - Paramètres courants du simulateur
+     * @returns {Object} - Copie des paramètres sans les modifications du scénario
+     */
+    getBaseParameters(parameters) {
+        const base = { ...parameters };
+
+        for (let i = this.applied.length - 1; i >= 0; i--) {
+            const entry = this.applied[i];
+            const { scope, key } = parseTarget(this.events[entry.index].target);
+            if (!entry.reverted && scope === 'parameters') {
+                base[key] = entry.saved;
+            }
+        }
+
+        return base;
+    }
+
+    /**
+     * Sérialise la chronologie (sans l'état d'avancement)
+     * @returns {Array<Object>} - Événements
+     */
+    toJSON() {
+        return this.events.map(event => ({ ...event }));
+    }
+
+    /**
+     * Sérialise l'état d'avancement (pour les instantanés)
+     * @returns {Object} - {nextEvent, applied}
+     */
+    getState() {
+        return {
+            nextEvent: this.nextEvent,
+            applied: this.applied.map(entry => ({ ...entry }))
+        };
+    }
+
+    /**
+     * Restaure un état d'avancement produit par getState()
+     * @param {Object} state - {nextEvent, applied}
+     */
+    setState(state) {
+        this.nextEvent = state.nextEvent;
+        this.applied = state.applied.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Lit un scénario JSON : tableau d'événements ou objet {events}
+     * @param {string|Array|Object} data - Texte JSON ou données déjà lues
+     * @returns {Scenario} - Scénario validé
+     */
+    static fromJSON(data) {
+        const parsed = typeof data === 'string' ? JSON.parse(data) : data;
+        const events = Array.isArray(parsed) ? parsed : parsed?.events;
+
+        if (!Array.isArray(events)) {
+            throw new Error('Un scénario est un tableau d\'événements');
+        }
+
+        return new Scenario(events);
+    }
+}
+
+/**
+ * Décompose une cible 'portée.variable' et vérifie qu'elle existe
+ * @private
+ */
+function parseTarget(target) {
+    const [scope, key] = String(target).split('.');
+
+    if (!(scope in SCENARIO_TARGETS) || !key) {
+        throw new Error(`Cible inconnue : ${target} (attendu society.*, agents.* ou parameters.*)`);
+    }
+
+    const targets = SCENARIO_TARGETS[scope];
+    if (targets && !(key in targets)) {
+        throw new Error(`Variable non modifiable par un scénario : ${target}`);
+    }
+
+    return { scope, key, bounds: targets ? targets[key] : null };
+}
+
+/**
+ * Vérifie un événement et le normalise
+ * @private
+ */
+function validateEvent(event, i) {
+    const where = `événement ${i + 1}`;
+
+    if (typeof event.time !== 'number' || event.time < 0) {
+        throw new Error(`${where} : date « time » positive attendue`);
+    }
+    if (!(event.operation in SCENARIO_OPERATIONS)) {
+        throw new Error(`${where} : opération inconnue « ${event.operation} » (set, add ou multiply)`);
+    }
+    if (typeof event.value !== 'number') {
+        throw new Error(`${where} : valeur numérique « value » attendue`);
+    }
+    if (event.duration !== undefined && event.duration !== null && !(event.duration > 0)) {
+        throw new Error(`${where} : durée « duration » strictement positive attendue`);
+    }
+
+    const { scope, key } = parseTarget(event.target);
+    if (scope === 'parameters' && !PARAMETER_NAMES.has(key)) {
+        throw new Error(`${where} : paramètre inconnu « ${key} »`);
+    }
+
+    return {
+        time: event.time,
+        target: event.target,
+        operation: event.operation,
+        value: event.value,
+        duration: event.duration || null,
+        label: event.label || `${event.target} ${event.operation} ${event.value}`
+    };
+}
+
+/**
+ * Borne une valeur dans le domaine de sa variable
+ * @private
+ */
+function clamp(value, bounds) {
+    return bounds ? Math.max(bounds.min, Math.min(bounds.max, value)) : value;
+}
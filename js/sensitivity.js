@@ -5,7 +5,14 @@
 
 import { Agent } from './agent.js';
 import { Society } from './society.js';
-import { Parameters, computeAgentDerivatives, computeMacroDerivatives } from './equations.js';
+import { Parameters, applyEconomicShocks } from './equations.js';
+import { SeededRandom, generateSeed } from './random.js';
+import { SocietySystem, createIntegrator } from './integrators.js';
+import { buildNetwork } from './network.js';
+import { DEFAULT_GINI, DEFAULT_POPULATION, initializePopulation, resolvePopulation } from './population.js';
+import { AgentStore } from './agentstore.js';
+import { applyDemography, initializeAges } from './demography.js';
+import { setupCulturalGroups, simulateInterculturalContacts } from './contacts.js';
 
 /**
  * Simule le système jusqu'à t_max et retourne psi_infini
@@ -15,20 +22,187 @@ import { Parameters, computeAgentDerivatives, computeMacroDerivatives } from './
  * @param {number} dt - Pas de temps
  * @param {number} numAgents - Nombre d'agents
  * @param {number} numRealizations - Nombre de réalisations pour moyenner
+ * @param {Object} options - Options {seed, rng, integrator, tolerance, network, population, backend, initialConditions} :
+ *                           graine ou générateur injecté, intégrateur ('euler', 'heun', 'rk4', 'rk45') et sa
+ *                           tolérance, topologie du réseau social (voir DEFAULT_NETWORK), lois initiales des agents
+ *                           (voir DEFAULT_POPULATION), stockage des agents, conditions initiales
+ *                           {institutionalQuality, gini, externalThreat} (défauts de Society sinon)
  * @returns {number} - Valeur moyenne de psi à t_max (psi_infini)
  */
-export function simulateToSteadyState(params, tMax = 100, dt = 0.01, numAgents = 100, numRealizations = 10) {
-    const psiValues = [];
-
+export function simulateToSteadyState(params, tMax = 100, dt = 0.01, numAgents = 100, numRealizations = 10, options = {}) {
     // Moyenner sur plusieurs réalisations pour réduire la variance
-    for (let realization = 0; realization < numRealizations; realization++) {
-        const psi = singleRealization(params, tMax, dt, numAgents);
-        psiValues.push(psi);
+    const psiValues = realizationSeeds(numRealizations, options).map(seed =>
+        singleRealization(params, tMax, dt, numAgents, new SeededRandom(seed), options)
+    );
+
+    return averageRealizations(psiValues);
+}
+
+/**
+ * Version asynchrone de simulateToSteadyState
+ * Si options.runRealization est fourni (pool de Web Workers), les réalisations sont
+ * lancées en parallèle ; sinon elles sont calculées dans le thread courant.
+ * Les graines sont identiques dans les deux cas : le résultat ne dépend pas du mode d'exécution
+ * @param {Object} params - Paramètres du modèle
+ * @param {number} tMax - Temps de simulation maximal
+ * @param {number} dt - Pas de temps
+ * @param {number} numAgents - Nombre d'agents
+ * @param {number} numRealizations - Nombre de réalisations pour moyenner
+ * @param {Object} options - Options de simulateToSteadyState, plus {runRealization, signal}
+ * @returns {Promise<number>} - Valeur moyenne de psi à t_max (psi_infini)
+ */
+export async function estimateSteadyState(params, tMax = 100, dt = 0.01, numAgents = 100, numRealizations = 10, options = {}) {
+    const stats = await estimateSteadyStateStats(params, tMax, dt, numAgents, numRealizations, options);
+    return averageRealizations(stats.values);
+}
+
+/**
+ * Comme estimateSteadyState, mais retourne aussi la dispersion entre réalisations
+ * (sans journaliser les variances élevées : utile pour les balayages à nombreux points)
+ * @param {Object} params - Paramètres du modèle
+ * @param {number} tMax - Temps de simulation maximal
+ * @param {number} dt - Pas de temps
+ * @param {number} numAgents - Nombre d'agents
+ * @param {number} numRealizations - Nombre de réalisations
+ * @param {Object} options - Options de estimateSteadyState
+ * @returns {Promise<Object>} - {mean, std, stderr, values} : moyenne, écart-type, erreur standard
+ *                              de la moyenne et ψ∞ de chaque réalisation
+ */
+export async function estimateSteadyStateStats(params, tMax = 100, dt = 0.01, numAgents = 100, numRealizations = 10, options = {}) {
+    return summarizeRealizations(await runRealizations(params, tMax, dt, numAgents, realizationSeeds(numRealizations, options), options));
+}
+
+/**
+ * Réglages par défaut de estimateSteadyStateAdaptive
+ * - minRealizations : réalisations initiales (celles de l'estimation non adaptative)
+ * - maxRealizations : plafond
+ * - realizationBatch : réalisations ajoutées à chaque relance
+ * - confidenceZ : quantile normal du test (1.96 ≈ 95 %)
+ */
+export const ADAPTIVE_REALIZATIONS = {
+    minRealizations: 10,
+    maxRealizations: 40,
+    realizationBatch: 5,
+    confidenceZ: 1.96
+};
+
+/**
+ * Estimation de ψ∞ dont le nombre de réalisations s'adapte à la décision à prendre :
+ * des réalisations sont ajoutées par lots tant que l'écart entre la moyenne et la cible
+ * n'est pas significatif (|ψ̄ − cible| < z · erreur standard) et que le maximum n'est pas atteint.
+ * Les premières réalisations sont celles de estimateSteadyState : même moyenne quand la décision est nette
+ * @param {Object} params - Paramètres du modèle
+ * @param {number} tMax - Temps de simulation maximal
+ * @param {number} dt - Pas de temps
+ * @param {number} numAgents - Nombre d'agents
+ * @param {number} targetPsi - Cible par rapport à laquelle ψ∞ est comparé
+ * @param {Object} options - Options de estimateSteadyState, plus {minRealizations, maxRealizations,
+ *                           realizationBatch, confidenceZ} (voir ADAPTIVE_REALIZATIONS)
+ * @returns {Promise<Object>} - Statistiques de estimateSteadyStateStats, plus significant (booléen)
+ */
+export async function estimateSteadyStateAdaptive(params, tMax, dt, numAgents, targetPsi, options = {}) {
+    const settings = { ...ADAPTIVE_REALIZATIONS, ...options };
+
+    let values = await runRealizations(params, tMax, dt, numAgents, realizationSeeds(settings.minRealizations, options), options);
+    let stats = summarizeRealizations(values);
+
+    while (!isSignificant(stats, targetPsi, settings.confidenceZ) && values.length < settings.maxRealizations) {
+        const batch = Math.min(settings.realizationBatch, settings.maxRealizations - values.length);
+        const seeds = realizationSeeds(batch, options, values.length);
+        values = values.concat(await runRealizations(params, tMax, dt, numAgents, seeds, options));
+        stats = summarizeRealizations(values);
     }
 
-    const avgPsi = psiValues.reduce((sum, val) => sum + val, 0) / numRealizations;
-    const variance = psiValues.reduce((sum, val) => sum + Math.pow(val - avgPsi, 2), 0) / numRealizations;
-    const stdDev = Math.sqrt(variance);
+    return { ...stats, significant: isSignificant(stats, targetPsi, settings.confidenceZ) };
+}
+
+/**
+ * La position de la moyenne par rapport à la cible est-elle statistiquement établie ?
+ * Une dispersion nulle (toutes les réalisations identiques, ex. états absorbants) suffit
+ * @private
+ */
+function isSignificant(stats, targetPsi, confidenceZ) {
+    if (stats.std === 0) return true;
+    return Math.abs(stats.mean - targetPsi) >= confidenceZ * stats.stderr;
+}
+
+/**
+ * Calcule les ψ∞ des réalisations de graines données (pool de workers ou thread courant)
+ * @private
+ */
+async function runRealizations(params, tMax, dt, numAgents, seeds, options) {
+    throwIfCancelled(options.signal);
+
+    return options.runRealization
+        ? Promise.all(seeds.map(seed => options.runRealization(params, tMax, dt, numAgents, seed, options)))
+        : seeds.map(seed => singleRealization(params, tMax, dt, numAgents, new SeededRandom(seed), options));
+}
+
+/**
+ * Moyenne sur plusieurs réalisations de l'état macroscopique final (ψ∞, Q∞, Φ∞)
+ * Mêmes graines que estimateSteadyState ; options.runOutcome (pool de Web Workers)
+ * remplace le calcul dans le thread courant
+ * @param {Object} params - Paramètres du modèle
+ * @param {number} tMax - Temps de simulation maximal
+ * @param {number} dt - Pas de temps
+ * @param {number} numAgents - Nombre d'agents
+ * @param {number} numRealizations - Nombre de réalisations
+ * @param {Object} options - Options de estimateSteadyState, avec runOutcome à la place de runRealization
+ * @returns {Promise<Object>} - {psi, institutionalQuality, polarization} moyens
+ */
+export async function estimateSteadyStateOutcome(params, tMax = 100, dt = 0.01, numAgents = 100, numRealizations = 10, options = {}) {
+    throwIfCancelled(options.signal);
+
+    const seeds = realizationSeeds(numRealizations, options);
+    const outcomes = options.runOutcome
+        ? await Promise.all(seeds.map(seed => options.runOutcome(params, tMax, dt, numAgents, seed, options)))
+        : seeds.map(seed => singleRealizationOutcome(params, tMax, dt, numAgents, new SeededRandom(seed), options));
+
+    const mean = {};
+    for (const key of ['psi', 'institutionalQuality', 'polarization']) {
+        mean[key] = outcomes.reduce((sum, outcome) => sum + outcome[key], 0) / outcomes.length;
+    }
+    return mean;
+}
+
+/**
+ * Tire la graine de chaque réalisation à partir du générateur principal :
+ * une même graine redonne donc exactement le même ψ∞
+ * skip saute les premières graines de la suite (réalisations déjà calculées) ;
+ * un générateur injecté (options.rng) fournit de lui-même des graines nouvelles
+ * @private
+ */
+function realizationSeeds(numRealizations, options, skip = 0) {
+    const rng = options.rng || new SeededRandom(options.seed);
+    if (!options.rng) {
+        for (let i = 0; i < skip; i++) {
+            rng.nextSeed();
+        }
+    }
+    return Array.from({ length: numRealizations }, () => rng.nextSeed());
+}
+
+/**
+ * Moyenne, écart-type et erreur standard des ψ∞ des réalisations
+ * @private
+ */
+function summarizeRealizations(psiValues) {
+    const numRealizations = psiValues.length;
+    const mean = psiValues.reduce((sum, val) => sum + val, 0) / numRealizations;
+    const squares = psiValues.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0);
+
+    // Erreur standard de la moyenne à partir de la variance non biaisée
+    const stderr = numRealizations > 1 ? Math.sqrt(squares / (numRealizations - 1) / numRealizations) : Infinity;
+
+    return { mean, std: Math.sqrt(squares / numRealizations), stderr, values: psiValues };
+}
+
+/**
+ * Moyenne les ψ∞ des réalisations et signale une variance élevée
+ * @private
+ */
+function averageRealizations(psiValues) {
+    const { mean: avgPsi, std: stdDev } = summarizeRealizations(psiValues);
 
     // Log détaillé si variance élevée
     if (stdDev > 0.05) {
@@ -39,94 +213,191 @@ export function simulateToSteadyState(params, tMax = 100, dt = 0.01, numAgents =
 }
 
 /**
- * Une seule réalisation de la simulation
+ * Interrompt l'analyse si elle a été annulée
  * @private
  */
-function singleRealization(params, tMax, dt, numAgents) {
+function throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+        throw new Error('Analyse annulée');
+    }
+}
+
+/**
+ * Une seule réalisation de la simulation
+ * Exportée pour être exécutée dans les Web Workers du pool de calcul
+ * @param {Object} params - Paramètres du modèle
+ * @param {number} tMax - Temps de simulation maximal
+ * @param {number} dt - Pas de temps
+ * @param {number} numAgents - Nombre d'agents
+ * @param {SeededRandom} rng - Générateur aléatoire de la réalisation
+ * @param {Object} options - Options {integrator, tolerance, network, population, backend, initialConditions}
+ * @returns {number} - Valeur de psi à t_max
+ */
+export function singleRealization(params, tMax, dt, numAgents, rng, options = {}) {
+    return singleRealizationOutcome(params, tMax, dt, numAgents, rng, options).psi;
+}
+
+/**
+ * Une réalisation de la simulation, avec l'état macroscopique final complet
+ * @param {Object} params - Paramètres du modèle
+ * @param {number} tMax - Temps de simulation maximal
+ * @param {number} dt - Pas de temps
+ * @param {number} numAgents - Nombre d'agents
+ * @param {SeededRandom} rng - Générateur aléatoire de la réalisation
+ * @param {Object} options - Options de singleRealization
+ * @returns {Object} - {psi, institutionalQuality, polarization} à t_max (ψ∞, Q∞, Φ∞)
+ */
+export function singleRealizationOutcome(params, tMax, dt, numAgents, rng, options = {}) {
+    const realization = createRealization(params, numAgents, rng, options);
+
+    // Simulation jusqu'à tMax avec arrêt anticipé
+    advanceRealization(realization, tMax, dt, rng);
+
+    const { society } = realization;
+    return {
+        psi: society.getOrderParameter(),
+        institutionalQuality: society.institutionalQuality,
+        polarization: society.polarization
+    };
+}
+
+/**
+ * Crée la population, le réseau social et la société d'une réalisation
+ * @param {Object} params - Paramètres du modèle
+ * @param {number} numAgents - Nombre d'agents
+ * @param {SeededRandom} rng - Générateur aléatoire de la réalisation
+ * @param {Object} options - Options {integrator, tolerance, network, population, backend, initialConditions}
+ * @returns {Object} - {society, system, integrator, population} ; system.params peut être modifié
+ *                     entre deux appels à advanceRealization
+ */
+export function createRealization(params, numAgents, rng, options = {}) {
     // Créer une nouvelle simulation temporaire
-    const agents = [];
+    let agents = [];
     for (let i = 0; i < numAgents; i++) {
-        const x = Math.random();
-        const y = Math.random();
-        agents.push(new Agent(i, x, y));
+        const x = rng.random();
+        const y = rng.random();
+        agents.push(new Agent(i, x, y, rng));
     }
 
-    // Configuration du voisinage
-    const neighborhoodRadius = 0.2;
-    for (let agent of agents) {
-        agent.neighbors = [];
-        for (let other of agents) {
-            if (agent.id === other.id) continue;
-            const dx = agent.x - other.x;
-            const dy = agent.y - other.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            if (distance < neighborhoodRadius) {
-                agent.neighbors.push(other);
-            }
-        }
-        // S'assurer qu'il y a au moins 5 voisins
-        if (agent.neighbors.length === 0) {
-            const k = 5;
-            const sorted = agents
-                .filter(a => a.id !== agent.id)
-                .map(other => {
-                    const dx = agent.x - other.x;
-                    const dy = agent.y - other.y;
-                    return { agent: other, distance: Math.sqrt(dx * dx + dy * dy) };
-                })
-                .sort((a, b) => a.distance - b.distance)
-                .slice(0, k);
-            agent.neighbors = sorted.map(item => item.agent);
-        }
+    // Lois initiales des agents (même population que l'interface), richesses calibrées sur le Gini initial
+    const initialConditions = options.initialConditions || {};
+    const gini = initialConditions.gini !== undefined ? initialConditions.gini : DEFAULT_GINI;
+    const population = resolvePopulation(options.population || DEFAULT_POPULATION);
+    initializePopulation(agents, population, gini, rng);
+    initializeAges(agents, params, rng);
+
+    // Stockage en tableaux typés (optionnel, résultats identiques)
+    const store = options.backend === 'typed' ? new AgentStore(agents) : null;
+    if (store) {
+        agents = store.agents;
     }
 
-    const society = new Society(agents);
+    // Configuration du voisinage (même topologie que l'interface)
+    const neighborIndex = buildNetwork(agents, options.network, rng);
+    if (store) {
+        store.setNeighborIndex(neighborIndex);
+    }
 
-    // Simulation jusqu'à tMax avec arrêt anticipé
-    let time = 0;
-    const numSteps = Math.floor(tMax / dt);
-
-    for (let step = 0; step < numSteps; step++) {
-        // Simuler les contacts interculturels
-        for (let agent of agents) {
-            const contactProbability = society.diversity * 0.1;
-            agent.positiveContacts = 0;
-            agent.negativeContacts = 0;
-            if (Math.random() < contactProbability) {
-                if (agent.toleranceCultural > 0) {
-                    agent.positiveContacts = Math.random() * 0.5;
-                } else {
-                    agent.negativeContacts = Math.random() * 0.5;
-                }
-            }
-        }
+    const society = new Society(agents, store);
+    setupCulturalGroups(society, population.groups.count);
+    applyInitialConditions(society, options.initialConditions);
 
-        // Calculer les dérivées
-        const agentDerivatives = agents.map(agent =>
-            computeAgentDerivatives(agent, society, params)
-        );
-        const macroDerivatives = computeMacroDerivatives(society, params);
+    return {
+        society,
+        system: new SocietySystem(society, params),
+        integrator: createIntegrator(options.integrator, { tolerance: options.tolerance }),
+        population
+    };
+}
 
-        // Mettre à jour
-        for (let i = 0; i < agents.length; i++) {
-            agents[i].update(agentDerivatives[i], dt);
-        }
-        society.update(macroDerivatives, dt);
+/**
+ * Intègre une réalisation pendant une durée donnée
+ * @param {Object} realization - Réalisation créée par createRealization
+ * @param {number} duration - Durée à simuler
+ * @param {number} dt - Pas de temps
+ * @param {SeededRandom} rng - Générateur aléatoire de la réalisation (contacts interculturels)
+ * @param {boolean} stopAtSteadyState - Arrêter dès qu'un état absorbant est atteint
+ *                                      (Q ≤ 0.05 ou ψ ≥ 0.95)
+ * @returns {boolean} - true si la simulation s'est arrêtée sur un état absorbant
+ */
+export function advanceRealization(realization, duration, dt, rng, stopAtSteadyState = true) {
+    const { society, system, integrator, population } = realization;
+    let time = 0;
 
-        time += dt;
+    while (time < duration - dt * 1e-6) {
+        // Simuler les contacts interculturels (même modèle que Simulator)
+        simulateInterculturalContacts(society, rng);
+
+        // Intégrer un pas (le pas peut varier avec l'intégrateur adaptatif, le dernier s'arrête à la
+        // fin de la durée), puis les chocs économiques et le renouvellement des générations
+        const dtUsed = integrator.step(system, dt, duration - time);
+        applyEconomicShocks(society, system.params, dtUsed, rng);
+        applyDemography(society, system.params, dtUsed, rng, population);
+        time += dtUsed;
 
         // Conditions d'arrêt anticipé (état stable atteint)
         const psi = society.getOrderParameter();
-        if (society.institutionalQuality <= 0.05 || psi >= 0.95) {
+        if (stopAtSteadyState && (society.institutionalQuality <= 0.05 || psi >= 0.95)) {
             // État stable atteint, pas besoin de continuer
-            break;
+            return true;
         }
     }
 
-    // Retourner psi_infini
-    return society.getOrderParameter();
+    return false;
 }
 
+/**
+ * Impose les conditions initiales macroscopiques d'une réalisation
+ * (le Gini initial a déjà servi à tirer les richesses, qui lui correspondent)
+ * @private
+ */
+function applyInitialConditions(society, initialConditions) {
+    if (!initialConditions) return;
+
+    for (const key of ['institutionalQuality', 'gini', 'externalThreat']) {
+        if (initialConditions[key] !== undefined) {
+            society[key] = initialConditions[key];
+        }
+    }
+}
+
+/**
+ * Paramètres analysés par défaut : ceux du radar, avec leurs plages
+ */
+export const DEFAULT_SENSITIVITY_PARAMETERS = [
+    { key: 'beta1', min: 0, max: 2 },   // Éducation
+    { key: 'beta2', min: 0, max: 2 },   // Insécurité
+    { key: 'beta3', min: 0, max: 2 },   // Institutions
+    { key: 'beta4', min: 0, max: 2 },   // Peur
+    { key: 'mu1', min: 0, max: 1 },     // Engagement
+    { key: 'mu2', min: 0, max: 1 },     // Capture
+    { key: 'mu3', min: 0, max: 1 }      // Corruption
+];
+
+/**
+ * Réglages par défaut de l'analyse de sensibilité
+ * - autocraticPsi, democraticPsi : seuils de ψ∞ des régimes autocratique et démocratique
+ * - tMax, dt, numAgents : simulation de chaque évaluation
+ * - numRealizations, maxRealizations : réalisations initiales et plafond de chaque évaluation adaptative
+ * - directionSamples : points de la courbe ψ(p) servant à détecter le sens de variation
+ */
+export const DEFAULT_SENSITIVITY = {
+    autocraticPsi: 0,
+    democraticPsi: 0.3,
+    tMax: 100,
+    dt: 0.02,
+    numAgents: 75,
+    numRealizations: 10,
+    maxRealizations: 40,
+    directionSamples: 5
+};
+
+/**
+ * Baisse (ou hausse) minimale de ψ∞ entre deux points voisins pour déclarer ψ(p) non monotone
+ * (en plus de l'écart significatif compte tenu des erreurs standard)
+ */
+export const MONOTONICITY_TOLERANCE = 0.02;
+
 /**
  * Trouve la valeur du paramètre pour laquelle psi_infini atteint la cible
  * Utilise une recherche par dichotomie adaptée selon l'extremum recherché
@@ -137,26 +408,64 @@ function singleRealization(params, tMax, dt, numAgents) {
  * @param {number} pMax - Valeur maximale du paramètre
  * @param {number} tolerance - Tolérance pour la convergence
  * @param {string} extremum - 'min' ou 'max' - type de borne recherchée
- * @returns {number} - Valeur du paramètre trouvée
+ * @param {Object} options - Réglages de simulation (voir DEFAULT_SENSITIVITY) et options de
+ *                           estimateSteadyStateAdaptive ({seed, rng, integrator, tolerance, network,
+ *                           population, backend, initialConditions, runRealization, signal})
+ * @returns {Promise<number>} - Valeur du paramètre trouvée
+ */
+export async function findParameterForPsi(paramName, targetPsi, baseParams, pMin, pMax, tolerance = 0.01, extremum = 'min', options = {}) {
+    const { value } = await findThreshold(paramName, targetPsi, baseParams, pMin, pMax, tolerance, extremum, options);
+    return value;
+}
+
+/**
+ * Dichotomie de findParameterForPsi, avec le détail des évaluations
+ * Chaque évaluation ajoute des réalisations jusqu'à ce que la position de ψ∞ par rapport
+ * à la cible soit significative : la direction de la dichotomie ne repose pas sur une
+ * moyenne indistinguable de la cible
+ * @param {string} paramName - Nom du paramètre à varier
+ * @param {number} targetPsi - Valeur cible de psi_infini
+ * @param {Object} baseParams - Paramètres de base
+ * @param {number} pMin - Valeur minimale du paramètre
+ * @param {number} pMax - Valeur maximale du paramètre
+ * @param {number} tolerance - Tolérance pour la convergence
+ * @param {string} extremum - 'min' ou 'max' - type de borne recherchée
+ * @param {Object} options - Réglages de simulation {tMax, dt, numAgents, numRealizations, maxRealizations}
+ *                           (voir DEFAULT_SENSITIVITY) et options de estimateSteadyStateAdaptive
+ * @returns {Promise<Object>} - {value, isIncreasing, evaluations} où evaluations liste les
+ *                              points évalués {p, values} (ψ∞ de chaque réalisation)
  */
-export function findParameterForPsi(paramName, targetPsi, baseParams, pMin, pMax, tolerance = 0.01, extremum = 'min') {
+export async function findThreshold(paramName, targetPsi, baseParams, pMin, pMax, tolerance = 0.01, extremum = 'min', options = {}) {
     const maxIterations = 30;
     let iteration = 0;
-
-    // Copier les paramètres de base
-    const params = Object.assign(Object.create(Object.getPrototypeOf(baseParams)), baseParams);
+    const evaluations = [];
+
+    const settings = { ...DEFAULT_SENSITIVITY, ...options };
+    const evaluationOptions = {
+        ...options,
+        minRealizations: settings.numRealizations,
+        maxRealizations: Math.max(settings.numRealizations, settings.maxRealizations)
+    };
+
+    const evaluate = async (p) => {
+        // Copier les paramètres de base
+        const params = Object.assign(Object.create(Object.getPrototypeOf(baseParams)), baseParams);
+        params[paramName] = p;
+        const stats = await estimateSteadyStateAdaptive(params, settings.tMax, settings.dt, settings.numAgents, targetPsi, evaluationOptions);
+        evaluations.push({ p, values: stats.values });
+        return stats;
+    };
 
     // Évaluer aux bornes
-    params[paramName] = pMin;
-    const psiMin = simulateToSteadyState(params, 100, 0.02, 75);
-
-    params[paramName] = pMax;
-    const psiMax = simulateToSteadyState(params, 100, 0.02, 75);
+    const statsMin = await evaluate(pMin);
+    const statsMax = await evaluate(pMax);
+    const psiMin = statsMin.mean;
+    const psiMax = statsMax.mean;
 
     // Déterminer si ψ(p) est croissante ou décroissante
     const isIncreasing = psiMax > psiMin;
 
-    console.log(`🔍 ${paramName} → ψ=${targetPsi} (${extremum}): ψ(${pMin})=${psiMin.toFixed(3)}, ψ(${pMax})=${psiMax.toFixed(3)}, ${isIncreasing ? '↑ croissant' : '↓ décroissant'}`);
+    console.log(`🔍 ${paramName} → ψ=${targetPsi} (${extremum}): ψ(${pMin})=${formatStats(statsMin)}, ψ(${pMax})=${formatStats(statsMax)}, ${isIncreasing ? '↑ croissant' : '↓ décroissant'}`);
 
     // Vérifier si targetPsi est atteignable
     const minPsiValue = Math.min(psiMin, psiMax);
@@ -164,9 +473,9 @@ export function findParameterForPsi(paramName, targetPsi, baseParams, pMin, pMax
 
     if (targetPsi < minPsiValue || targetPsi > maxPsiValue) {
         // Target hors de portée, retourner la borne appropriée
-        const result = extremum === 'min' ? (isIncreasing ? pMin : pMax) : (isIncreasing ? pMax : pMin);
+        const result = outOfRangeBound(extremum, isIncreasing, pMin, pMax);
         console.log(`  ⚠️ Cible ${targetPsi} hors de portée [${minPsiValue.toFixed(3)}, ${maxPsiValue.toFixed(3)}] → retour borne ${result.toFixed(2)}`);
-        return result;
+        return { value: result, isIncreasing, evaluations };
     }
 
     // Dichotomie avec distinction min/max
@@ -176,12 +485,11 @@ export function findParameterForPsi(paramName, targetPsi, baseParams, pMin, pMax
 
     while (iteration < maxIterations && (high - low) > tolerance * 0.01) {
         const mid = (low + high) / 2;
-        params[paramName] = mid;
-        const psiMid = simulateToSteadyState(params, 100, 0.02, 75);
+        const psiMid = (await evaluate(mid)).mean;
 
-        // Vérifier si on satisfait la condition
-        const satisfiesCondition = (targetPsi === 0)
-            ? (psiMid <= 0 + tolerance)
+        // Vérifier si on satisfait la condition (seuil autocratique : ψ ≤ ψ_a)
+        const satisfiesCondition = (targetPsi === settings.autocraticPsi)
+            ? (psiMid <= targetPsi + tolerance)
             : (psiMid >= targetPsi - tolerance && psiMid <= targetPsi + tolerance);
 
         if (satisfiesCondition) {
@@ -213,8 +521,8 @@ export function findParameterForPsi(paramName, targetPsi, baseParams, pMin, pMax
 
     // Affiner le résultat final
     const finalMid = (low + high) / 2;
-    params[paramName] = finalMid;
-    const psiFinal = simulateToSteadyState(params, 100, 0.02, 75);
+    const statsFinal = await evaluate(finalMid);
+    const psiFinal = statsFinal.mean;
 
     // Retourner le meilleur candidat ou le résultat de la dichotomie
     let result;
@@ -228,103 +536,308 @@ export function findParameterForPsi(paramName, targetPsi, baseParams, pMin, pMax
         result = bestCandidate !== (extremum === 'min' ? high : low) ? bestCandidate : finalMid;
     }
 
-    console.log(`  ✓ Trouvé: ${paramName}=${result.toFixed(3)} → ψ=${psiFinal.toFixed(3)} (après ${iteration} itérations)`);
-    return result;
+    console.log(`  ✓ Trouvé: ${paramName}=${result.toFixed(3)} → ψ=${formatStats(statsFinal)} (après ${iteration} itérations)`);
+    return { value: result, isIncreasing, evaluations };
+}
+
+/**
+ * Borne retournée quand la cible est hors de portée sur [pMin, pMax]
+ * @private
+ */
+function outOfRangeBound(extremum, isIncreasing, pMin, pMax) {
+    return extremum === 'min' ? (isIncreasing ? pMin : pMax) : (isIncreasing ? pMax : pMin);
+}
+
+/**
+ * Affiche ψ∞ ± erreur standard et le nombre de réalisations
+ * @private
+ */
+function formatStats(stats) {
+    return `${stats.mean.toFixed(3)}±${stats.stderr.toFixed(3)} (n=${stats.values.length})`;
+}
+
+/**
+ * Nombre de rééchantillonnages du bootstrap des seuils
+ */
+export const BOOTSTRAP_RESAMPLES = 200;
+
+/**
+ * Intervalle de confiance d'un seuil par bootstrap sur les réalisations
+ * À chaque rééchantillonnage, les réalisations de chaque point évalué par la dichotomie
+ * sont tirées avec remise ; le seuil est le croisement de la courbe ψ̄(p) obtenue
+ * avec la cible (interpolation linéaire entre points évalués)
+ * @param {Array<Object>} evaluations - Points évalués {p, values} (voir findThreshold)
+ * @param {number} targetPsi - Valeur cible de psi_infini
+ * @param {string} extremum - 'min' ou 'max' : croisement le plus bas ou le plus haut
+ * @param {boolean} isIncreasing - Sens de variation de ψ(p) retenu par la dichotomie
+ * @param {number} pMin - Valeur minimale du paramètre
+ * @param {number} pMax - Valeur maximale du paramètre
+ * @param {SeededRandom} rng - Générateur aléatoire du bootstrap
+ * @param {number} numResamples - Nombre de rééchantillonnages
+ * @param {number} confidence - Niveau de confiance
+ * @returns {Object} - {lower, upper} : percentiles des seuils rééchantillonnés
+ */
+export function bootstrapThreshold(evaluations, targetPsi, extremum, isIncreasing, pMin, pMax, rng, numResamples = BOOTSTRAP_RESAMPLES, confidence = 0.95) {
+    const points = [...evaluations].sort((a, b) => a.p - b.p);
+    const p = points.map(point => point.p);
+
+    const estimates = [];
+    for (let b = 0; b < numResamples; b++) {
+        const means = points.map(({ values }) => {
+            let sum = 0;
+            for (let k = 0; k < values.length; k++) {
+                sum += values[Math.floor(rng.random() * values.length)];
+            }
+            return sum / values.length;
+        });
+        estimates.push(curveThreshold(p, means, targetPsi, extremum, isIncreasing, pMin, pMax));
+    }
+
+    estimates.sort((a, b) => a - b);
+    const alpha = (1 - confidence) / 2;
+    return {
+        lower: estimates[Math.floor(alpha * (numResamples - 1))],
+        upper: estimates[Math.ceil((1 - alpha) * (numResamples - 1))]
+    };
+}
+
+/**
+ * Croisement d'une courbe échantillonnée ψ̄(p) avec la cible
+ * (sans croisement, même borne que la dichotomie quand la cible est hors de portée)
+ * @private
+ */
+function curveThreshold(p, psi, targetPsi, extremum, isIncreasing, pMin, pMax) {
+    const crossings = [];
+    for (let k = 1; k < p.length; k++) {
+        if ((psi[k - 1] > targetPsi) !== (psi[k] > targetPsi)) {
+            const t = (targetPsi - psi[k - 1]) / (psi[k] - psi[k - 1]);
+            crossings.push(p[k - 1] + t * (p[k] - p[k - 1]));
+        }
+    }
+
+    if (crossings.length === 0) {
+        return outOfRangeBound(extremum, isIncreasing, pMin, pMax);
+    }
+    return extremum === 'min' ? Math.min(...crossings) : Math.max(...crossings);
+}
+
+/**
+ * Sens de variation de ψ∞(p), estimé sur une courbe grossière (directionSamples points)
+ * Le sens est celui de la variation entre les bornes ; la courbe est déclarée non monotone
+ * si deux points voisins varient nettement dans l'autre sens (au-delà de MONOTONICITY_TOLERANCE
+ * et de l'écart significatif entre leurs moyennes)
+ * @param {string} paramName - Nom du paramètre à varier
+ * @param {Object} baseParams - Paramètres de base
+ * @param {number} pMin - Valeur minimale du paramètre
+ * @param {number} pMax - Valeur maximale du paramètre
+ * @param {Object} options - Réglages (voir DEFAULT_SENSITIVITY) et options de estimateSteadyStateStats
+ * @returns {Promise<Object>} - {isIncreasing, monotonic, p, psi, stderr}
+ */
+export async function detectMonotonicity(paramName, baseParams, pMin, pMax, options = {}) {
+    const settings = { ...DEFAULT_SENSITIVITY, ...options };
+    const count = Math.max(2, Math.round(settings.directionSamples));
+    const p = Array.from({ length: count }, (_, k) => pMin + (pMax - pMin) * k / (count - 1));
+
+    const stats = await Promise.all(p.map(value => {
+        const params = Object.assign(Object.create(Object.getPrototypeOf(baseParams)), baseParams);
+        params[paramName] = value;
+        return estimateSteadyStateStats(params, settings.tMax, settings.dt, settings.numAgents, settings.numRealizations, options);
+    }));
+    const psi = stats.map(stat => stat.mean);
+    const stderr = stats.map(stat => stat.stderr);
+
+    const isIncreasing = psi[count - 1] >= psi[0];
+
+    let monotonic = true;
+    for (let k = 1; k < count; k++) {
+        // Une seule réalisation par point : pas d'erreur standard, seule la tolérance compte
+        const noise = Number.isFinite(stderr[k]) && Number.isFinite(stderr[k - 1])
+            ? ADAPTIVE_REALIZATIONS.confidenceZ * Math.hypot(stderr[k], stderr[k - 1])
+            : 0;
+        const reversal = isIncreasing ? psi[k - 1] - psi[k] : psi[k] - psi[k - 1];
+        if (reversal > Math.max(MONOTONICITY_TOLERANCE, noise)) {
+            monotonic = false;
+        }
+    }
+
+    return { isIncreasing, monotonic, p, psi, stderr };
 }
 
 /**
  * Analyse la sensibilité de tous les paramètres
+ * Les paramètres sont analysés en parallèle : avec un pool de Web Workers
+ * (options.runRealization), les simulations se répartissent sur tous les workers.
+ * Le sens de variation de chaque paramètre est détecté (detectMonotonicity) :
+ * - ψ croissant (vertueux) : p_autocratique = max(p | ψ ≤ ψ_a), p_démocratique = min(p | ψ ≥ ψ_d)
+ * - ψ décroissant (nocif) : p_autocratique = min(p | ψ ≤ ψ_a), p_démocratique = max(p | ψ ≥ ψ_d)
  * @param {Object} baseParams - Paramètres de base
- * @param {Function} progressCallback - Callback pour rapporter la progression
- * @returns {Object} - Résultats de l'analyse {paramName: {autocratic, democratic}}
+ * @param {Function} progressCallback - Callback (paramName, done, total) appelé à la fin de chaque paramètre
+ * @param {Object} options - Options {seed, integrator, tolerance} : graine commune à toutes
+ *                           les évaluations et intégrateur numérique ;
+ *                           {parameters} : paramètres analysés [{key, min, max}]
+ *                           (DEFAULT_SENSITIVITY_PARAMETERS par défaut) ;
+ *                           {autocraticPsi, democraticPsi, tMax, dt, numAgents, numRealizations,
+ *                           maxRealizations, directionSamples} : voir DEFAULT_SENSITIVITY ;
+ *                           {runRealization, signal} : exécution parallèle et annulation ;
+ *                           {onParameterResult} : callback (paramName, zone) appelé dès
+ *                           qu'un paramètre est terminé
+ * @returns {Promise<Object>} - Résultats de l'analyse {paramName: {autocratic, democratic,
+ *                              autocraticInterval, democraticInterval, min, max, virtuous,
+ *                              monotonic, curve, targetPsi}} ; les intervalles {lower, upper} sont
+ *                              les IC 95 % bootstrap des seuils, curve la courbe {p, psi} du sens de variation
  */
-export function analyzeSensitivity(baseParams, progressCallback = null) {
+export async function analyzeSensitivity(baseParams, progressCallback = null, options = {}) {
     const results = {};
+    const settings = { ...DEFAULT_SENSITIVITY, ...options };
+    const targetPsi = { autocratic: settings.autocraticPsi, democratic: settings.democraticPsi };
+
+    if (targetPsi.autocratic >= targetPsi.democratic) {
+        throw new Error('Le seuil autocratique de ψ doit être inférieur au seuil démocratique');
+    }
 
-    // Liste des paramètres à analyser avec leurs plages et classification
-    // virtuous: true si ↑ paramètre → ↑ ψ, false si ↑ paramètre → ↓ ψ
-    const parametersToAnalyze = [
-        { key: 'beta1', min: 0, max: 2, virtuous: true },   // Éducation (vertueux)
-        { key: 'beta2', min: 0, max: 2, virtuous: false },  // Insécurité (nocif)
-        { key: 'beta3', min: 0, max: 2, virtuous: true },   // Institutions (vertueux)
-        { key: 'beta4', min: 0, max: 2, virtuous: false },  // Peur (nocif)
-        { key: 'mu1', min: 0, max: 1, virtuous: true },     // Engagement (vertueux)
-        { key: 'mu2', min: 0, max: 1, virtuous: false },    // Capture (nocif)
-        { key: 'mu3', min: 0, max: 1, virtuous: false },    // Corruption (nocif)
-    ];
+    // Même graine pour toutes les évaluations (nombres aléatoires communs) :
+    // les écarts de ψ∞ entre deux valeurs de p ne viennent que du paramètre
+    const seed = (options.seed === null || options.seed === undefined) ? generateSeed() : options.seed;
+    const evaluationOptions = { ...options, seed };
 
+    const parametersToAnalyze = options.parameters || DEFAULT_SENSITIVITY_PARAMETERS;
     const total = parametersToAnalyze.length;
+    let done = 0;
 
-    console.log('\n📊 DÉBUT ANALYSE DE SENSIBILITÉ\n');
-
-    for (let i = 0; i < parametersToAnalyze.length; i++) {
-        const param = parametersToAnalyze[i];
+    console.log(`\n📊 DÉBUT ANALYSE DE SENSIBILITÉ (graine ${seed}, intégrateur ${options.integrator || 'euler'}, ` +
+        `ψ_a=${targetPsi.autocratic}, ψ_d=${targetPsi.democratic}, ${settings.numAgents} agents, t_max=${settings.tMax})\n`);
 
-        console.log(`\n━━━ ${param.key} (${param.virtuous ? 'vertueux' : 'nocif'}) [${param.min}, ${param.max}] ━━━`);
+    const analyses = parametersToAnalyze.map(async (param) => {
+        const direction = await detectMonotonicity(param.key, baseParams, param.min, param.max, evaluationOptions);
+        const virtuous = direction.isIncreasing;
 
-        if (progressCallback) {
-            progressCallback(param.key, i + 1, total);
+        console.log(`\n━━━ ${param.key} (${virtuous ? 'vertueux' : 'nocif'}) [${param.min}, ${param.max}] ━━━`);
+        if (!direction.monotonic) {
+            console.warn(`⚠️ ψ(${param.key}) non monotone sur [${param.min}, ${param.max}] : ` +
+                `${direction.psi.map(psi => psi.toFixed(3)).join(' → ')} — seuils à interpréter avec prudence`);
         }
 
         let pAutocratic, pDemocratic;
 
-        if (param.virtuous) {
+        if (virtuous) {
             // Paramètre vertueux : ψ croît avec p
-            // p_autocratique = max(p | ψ ≤ 0) → dernière valeur avant de sortir de l'autoritarisme
-            // p_démocratique = min(p | ψ ≥ 0.3) → première valeur d'entrée en démocratie
-            pAutocratic = findParameterForPsi(param.key, 0, baseParams, param.min, param.max, 0.02, 'max');
-            pDemocratic = findParameterForPsi(param.key, 0.3, baseParams, param.min, param.max, 0.02, 'min');
+            // p_autocratique = max(p | ψ ≤ ψ_a) → dernière valeur avant de sortir de l'autoritarisme
+            // p_démocratique = min(p | ψ ≥ ψ_d) → première valeur d'entrée en démocratie
+            [pAutocratic, pDemocratic] = await Promise.all([
+                findThresholdWithInterval(param, targetPsi.autocratic, 'max', baseParams, evaluationOptions),
+                findThresholdWithInterval(param, targetPsi.democratic, 'min', baseParams, evaluationOptions)
+            ]);
         } else {
             // Paramètre nocif : ψ décroît avec p
-            // p_autocratique = min(p | ψ ≤ 0) → première valeur d'entrée en autoritarisme
-            // p_démocratique = max(p | ψ ≥ 0.3) → dernière valeur de démocratie
-            pAutocratic = findParameterForPsi(param.key, 0, baseParams, param.min, param.max, 0.02, 'min');
-            pDemocratic = findParameterForPsi(param.key, 0.3, baseParams, param.min, param.max, 0.02, 'max');
+            // p_autocratique = min(p | ψ ≤ ψ_a) → première valeur d'entrée en autoritarisme
+            // p_démocratique = max(p | ψ ≥ ψ_d) → dernière valeur de démocratie
+            [pAutocratic, pDemocratic] = await Promise.all([
+                findThresholdWithInterval(param, targetPsi.autocratic, 'min', baseParams, evaluationOptions),
+                findThresholdWithInterval(param, targetPsi.democratic, 'max', baseParams, evaluationOptions)
+            ]);
         }
 
-        const zoneWidth = Math.abs(pDemocratic - pAutocratic);
-        console.log(`📍 RÉSULTAT ${param.key}: Zone [${pAutocratic.toFixed(3)}, ${pDemocratic.toFixed(3)}] largeur=${zoneWidth.toFixed(3)}`);
-
-        results[param.key] = {
-            autocratic: pAutocratic,
-            democratic: pDemocratic,
-            min: Math.min(pAutocratic, pDemocratic),
-            max: Math.max(pAutocratic, pDemocratic),
-            virtuous: param.virtuous
+        const zoneWidth = Math.abs(pDemocratic.value - pAutocratic.value);
+        console.log(`📍 RÉSULTAT ${param.key}: Zone [${pAutocratic.value.toFixed(3)}, ${pDemocratic.value.toFixed(3)}] largeur=${zoneWidth.toFixed(3)}`);
+
+        const zone = {
+            autocratic: pAutocratic.value,
+            democratic: pDemocratic.value,
+            autocraticInterval: pAutocratic.interval,
+            democraticInterval: pDemocratic.interval,
+            min: Math.min(pAutocratic.value, pDemocratic.value),
+            max: Math.max(pAutocratic.value, pDemocratic.value),
+            virtuous,
+            monotonic: direction.monotonic,
+            curve: { p: direction.p, psi: direction.psi },
+            targetPsi
         };
-    }
+
+        // Progression comptée à la fin de chaque paramètre (ils sont tous lancés d'emblée)
+        done++;
+        if (progressCallback) {
+            progressCallback(param.key, done, total);
+        }
+        if (options.onParameterResult) {
+            options.onParameterResult(param.key, zone);
+        }
+
+        return zone;
+    });
+
+    // Résultats rangés dans l'ordre des paramètres, quel que soit l'ordre de fin
+    const zones = await Promise.all(analyses);
+    parametersToAnalyze.forEach((param, i) => {
+        results[param.key] = zones[i];
+    });
 
     console.log('\n✅ ANALYSE TERMINÉE\n');
     console.table(Object.entries(results).map(([key, val]) => ({
         Paramètre: key,
-        Type: val.virtuous ? 'vertueux' : 'nocif',
+        Type: (val.virtuous ? 'vertueux' : 'nocif') + (val.monotonic ? '' : ' ⚠️ non monotone'),
         'p_auto': val.autocratic.toFixed(3),
+        'IC95 p_auto': formatInterval(val.autocraticInterval),
         'p_demo': val.democratic.toFixed(3),
+        'IC95 p_demo': formatInterval(val.democraticInterval),
         'Largeur zone': (Math.abs(val.democratic - val.autocratic)).toFixed(3)
     })));
 
     return results;
 }
 
+/**
+ * Seuil d'un paramètre et son intervalle de confiance bootstrap
+ * Le bootstrap repart de la graine de l'analyse : l'intervalle ne dépend pas
+ * de l'ordre dans lequel les paramètres se terminent
+ * @private
+ */
+async function findThresholdWithInterval(param, targetPsi, extremum, baseParams, options) {
+    const { value, isIncreasing, evaluations } = await findThreshold(
+        param.key, targetPsi, baseParams, param.min, param.max, 0.02, extremum, options
+    );
+    const interval = bootstrapThreshold(
+        evaluations, targetPsi, extremum, isIncreasing, param.min, param.max, new SeededRandom(options.seed)
+    );
+    return { value, interval };
+}
+
+/**
+ * Affiche un intervalle [lower, upper]
+ * @private
+ */
+function formatInterval(interval) {
+    return `[${interval.lower.toFixed(3)}, ${interval.upper.toFixed(3)}]`;
+}
+
 /**
  * Calcule un échantillon de la courbe psi(p) pour un paramètre donné
+ * Tous les points partagent les mêmes graines, et les mêmes réglages de simulation que
+ * l'analyse de sensibilité : la courbe se lit directement avec les seuils trouvés
  * @param {string} paramName - Nom du paramètre
  * @param {Object} baseParams - Paramètres de base
  * @param {number} pMin - Valeur minimale
  * @param {number} pMax - Valeur maximale
  * @param {number} numPoints - Nombre de points à échantillonner
- * @returns {Array} - Tableau de {p, psi}
+ * @param {Object} options - Réglages {tMax, dt, numAgents, numRealizations} (voir DEFAULT_SENSITIVITY),
+ *                           options de estimateSteadyStateStats ({seed, rng, integrator, tolerance,
+ *                           network, population, backend, initialConditions, runRealization, signal})
+ *                           et onPoint(done, total)
+ * @returns {Promise<Array>} - Tableau de {p, psi, std, stderr} : moyenne, écart-type entre
+ *                             réalisations et erreur standard de ψ∞
  */
-export function samplePsiCurve(paramName, baseParams, pMin, pMax, numPoints = 10) {
-    const curve = [];
-    const params = Object.assign(Object.create(Object.getPrototypeOf(baseParams)), baseParams);
+export async function samplePsiCurve(paramName, baseParams, pMin, pMax, numPoints = 10, options = {}) {
+    const settings = { ...DEFAULT_SENSITIVITY, ...options };
+    const points = Array.from({ length: numPoints }, (_, i) => pMin + (pMax - pMin) * i / (numPoints - 1));
+    let done = 0;
 
-    for (let i = 0; i < numPoints; i++) {
-        const p = pMin + (pMax - pMin) * i / (numPoints - 1);
+    return Promise.all(points.map(async p => {
+        const params = Object.assign(Object.create(Object.getPrototypeOf(baseParams)), baseParams);
         params[paramName] = p;
-        const psi = simulateToSteadyState(params, 100, 0.02, 50);
-        curve.push({ p, psi });
-    }
-
-    return curve;
+        const stats = await estimateSteadyStateStats(params, settings.tMax, settings.dt, settings.numAgents, settings.numRealizations, options);
+        done++;
+        if (options.onPoint) {
+            options.onPoint(done, points.length);
+        }
+        return { p, psi: stats.mean, std: stats.std, stderr: stats.stderr };
+    }));
 }
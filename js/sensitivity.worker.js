@@ -0,0 +1,31 @@
+/**
+ * Web Worker de l'analyse de sensibilité
+ * Exécute une réalisation de simulation (singleRealizationOutcome) ou de continuation
+ * (runContinuationRealization) hors du thread de l'interface
+ */
+
+import { Parameters } from './equations.js';
+import { SeededRandom } from './random.js';
+import { singleRealizationOutcome } from './sensitivity.js';
+import { runContinuationRealization } from './continuation.js';
+
+self.addEventListener('message', (e) => {
+    const { id, task, params, tMax, dt, numAgents, seed, options } = e.data;
+
+    try {
+        // Les paramètres arrivent sous forme d'objet simple (clonage structuré)
+        const parameters = Object.assign(new Parameters(), params);
+
+        if (task === 'continuation') {
+            const { paramName, pMin, pMax } = e.data;
+            const branches = runContinuationRealization(paramName, parameters, pMin, pMax, new SeededRandom(seed), options);
+            self.postMessage({ id, branches });
+            return;
+        }
+
+        const outcome = singleRealizationOutcome(parameters, tMax, dt, numAgents, new SeededRandom(seed), options);
+        self.postMessage({ id, psi: outcome.psi, outcome });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
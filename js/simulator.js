@@ -5,135 +5,150 @@
 
 import { Agent } from './agent.js';
 import { Society } from './society.js';
-import { Parameters, computeAgentDerivatives, computeMacroDerivatives } from './equations.js';
+import { Parameters, applyEconomicShocks, withLegacyParameters } from './equations.js';
+import { SeededRandom } from './random.js';
+import { SocietySystem, createIntegrator } from './integrators.js';
+import { Scenario } from './scenario.js';
+import { DEFAULT_NETWORK, buildNetwork, buildNeighborIndex } from './network.js';
+import { AgentStore } from './agentstore.js';
+import { initializePopulation, resolvePopulation, withLegacyPopulation } from './population.js';
+import { applyDemography, initializeAges } from './demography.js';
+import { setupCulturalGroups, simulateInterculturalContacts } from './contacts.js';
 
 export class Simulator {
     /**
      * @param {number} numAgents - Nombre d'agents dans la simulation
+     * @param {number|null} seed - Graine du générateur aléatoire (tirée au hasard si null)
+     * @param {Object} options - {network, population, backend} : topologie du réseau social
+     *                           (voir DEFAULT_NETWORK), lois initiales des agents (voir DEFAULT_POPULATION)
+     *                           et stockage des agents ('objects' ou 'typed')
      */
-    constructor(numAgents = 100) {
+    constructor(numAgents = 100, seed = null, options = {}) {
         this.numAgents = numAgents;
         this.agents = [];
+        this.neighborIndex = null;  // Voisins au format compact {offsets, indices}
+        this.store = null;          // Tableaux typés des agents (stockage 'typed')
         this.society = null;
         this.parameters = new Parameters();
 
+        // Générateur aléatoire unique : toute la trajectoire est rejouable depuis la graine
+        this.rng = new SeededRandom(seed);
+        this.seed = this.rng.seed;
+
         this.time = 0;
-        this.dt = 0.01;  // Pas de temps
+        this.dt = 0.01;  // Pas de temps (pas initial pour l'intégrateur adaptatif)
+        this.stepCount = 0;
         this.running = false;
 
+        // Topologie du réseau social (appliquée à la construction de la population)
+        this.network = { ...DEFAULT_NETWORK, ...options.network };
+
+        // Lois initiales des variables des agents (appliquées à la construction de la population)
+        this.population = resolvePopulation(options.population);
+
+        // Stockage des agents : objets (défaut) ou tableaux typés, mêmes résultats
+        this.backend = options.backend || 'objects';
+
+        // Intégrateur numérique (Euler explicite par défaut)
+        this.integrator = createIntegrator('euler');
+
+        // Chronologie d'événements exogènes (vide par défaut : dynamique autonome)
+        this.scenario = new Scenario();
+
+        // Conditions initiales macroscopiques (conservées pour les exports) ;
+        // le Gini initial calibre aussi la distribution des richesses
+        this.initialConditions = {
+            institutionalQuality: 0.7,
+            gini: 0.3,
+            externalThreat: 0.2
+        };
+
         this.initializeAgents();
         this.setupNeighborhoods();
-        this.society = new Society(this.agents);
+        this.setupSociety();
     }
 
     /**
      * Initialise les agents avec des positions aléatoires
-     * Les positions sont dans [0, 1] x [0, 1] pour remplir toute la zone
+     * Les positions sont dans [0, 1] x [0, 1] pour remplir toute la zone ;
+     * les variables initiales suivent les lois de this.population et les âges
+     * la loi stationnaire du renouvellement des générations
      */
     initializeAgents() {
         this.agents = [];
         for (let i = 0; i < this.numAgents; i++) {
-            const x = Math.random();
-            const y = Math.random();
-            this.agents.push(new Agent(i, x, y));
+            const x = this.rng.random();
+            const y = this.rng.random();
+            this.agents.push(new Agent(i, x, y, this.rng));
+        }
+        initializePopulation(this.agents, this.population, this.initialConditions.gini, this.rng);
+        initializeAges(this.agents, this.parameters, this.rng);
+
+        this.store = null;
+        if (this.backend === 'typed') {
+            this.store = new AgentStore(this.agents);
+            this.agents = this.store.agents;
         }
     }
 
     /**
-     * Configure le voisinage social de chaque agent
-     * Utilise une approche basée sur la distance spatiale
+     * Configure le voisinage social de chaque agent selon la topologie choisie
+     * et conserve l'index compact des voisins (tableaux offsets/indices)
      */
     setupNeighborhoods() {
-        const neighborhoodRadius = 0.2;  // Rayon de voisinage
-
-        for (let agent of this.agents) {
-            agent.neighbors = [];
-
-            for (let other of this.agents) {
-                if (agent.id === other.id) continue;
-
-                const dx = agent.x - other.x;
-                const dy = agent.y - other.y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-
-                if (distance < neighborhoodRadius) {
-                    agent.neighbors.push(other);
-                }
-            }
-
-            // S'assurer que chaque agent a au moins quelques voisins
-            if (agent.neighbors.length === 0) {
-                // Trouver les k plus proches voisins
-                const k = 5;
-                const sorted = this.agents
-                    .filter(a => a.id !== agent.id)
-                    .map(other => {
-                        const dx = agent.x - other.x;
-                        const dy = agent.y - other.y;
-                        return {
-                            agent: other,
-                            distance: Math.sqrt(dx * dx + dy * dy)
-                        };
-                    })
-                    .sort((a, b) => a.distance - b.distance)
-                    .slice(0, k);
-
-                agent.neighbors = sorted.map(item => item.agent);
-            }
+        this.neighborIndex = buildNetwork(this.agents, this.network, this.rng);
+        if (this.store) {
+            this.store.setNeighborIndex(this.neighborIndex);
         }
     }
 
+    /**
+     * Crée la société des agents reliés et mesure sa diversité culturelle sur le réseau
+     */
+    setupSociety() {
+        this.society = new Society(this.agents, this.store);
+        setupCulturalGroups(this.society, this.population.groups.count);
+    }
+
     /**
      * Simule les contacts interculturels pour chaque agent
-     * Pour simplification, on utilise une approche probabiliste
+     * Contacts le long des liens entre groupes culturels (voir contacts.js)
      */
     simulateInterculturalContacts() {
-        for (let agent of this.agents) {
-            // Contacts positifs/négatifs basés sur la diversité et la tolérance
-            const contactProbability = this.society.diversity * 0.1;
-
-            agent.positiveContacts = 0;
-            agent.negativeContacts = 0;
-
-            if (Math.random() < contactProbability) {
-                // La qualité du contact dépend de la tolérance de l'agent
-                if (agent.toleranceCultural > 0) {
-                    agent.positiveContacts = Math.random() * 0.5;
-                } else {
-                    agent.negativeContacts = Math.random() * 0.5;
-                }
-            }
-        }
+        simulateInterculturalContacts(this.society, this.rng);
     }
 
     /**
-     * Effectue un pas de simulation (intégration d'Euler)
+     * Effectue un pas de simulation avec l'intégrateur courant
+     * @param {number} maxDuration - Durée maximale du pas : reste avant l'horizon d'un run borné,
+     *                               pour le finir exactement à t_max (illimitée par défaut)
      */
-    step() {
-        // 1. Simuler les contacts interculturels
-        this.simulateInterculturalContacts();
+    step(maxDuration = Infinity) {
+        // 0. Appliquer les événements du scénario dont la date est atteinte
+        // (discontinuité : l'intégrateur adaptatif repart du pas demandé)
+        if (this.scenario.apply(this, this.time)) {
+            this.integrator.reset();
+        }
 
-        // 2. Calculer toutes les dérivées pour chaque agent
-        const agentDerivatives = this.agents.map(agent => {
-            return computeAgentDerivatives(agent, this.society, this.parameters);
-        });
+        // 1. Simuler les contacts interculturels (constants pendant le pas)
+        this.simulateInterculturalContacts();
 
-        // 3. Calculer les dérivées macroscopiques
-        const macroDerivatives = computeMacroDerivatives(this.society, this.parameters);
+        // 2. Intégrer le système agents + variables macroscopiques
+        const system = new SocietySystem(this.society, this.parameters);
+        const dtUsed = this.integrator.step(system, this.dt, maxDuration);
 
-        // 4. Mettre à jour tous les agents
-        for (let i = 0; i < this.agents.length; i++) {
-            this.agents[i].update(agentDerivatives[i], this.dt);
-        }
+        // 3. Chocs économiques survenus pendant le pas (sauts hors intégrateur)
+        applyEconomicShocks(this.society, this.parameters, dtUsed, this.rng);
 
-        // 5. Mettre à jour les variables macroscopiques
-        this.society.update(macroDerivatives, this.dt);
+        // 4. Vieillissement, décès et naissances (sauts hors intégrateur)
+        applyDemography(this.society, this.parameters, dtUsed, this.rng, this.population);
 
-        // 6. Incrémenter le temps
-        this.time += this.dt;
+        // 5. Incrémenter le temps (le pas peut varier avec l'intégrateur adaptatif)
+        this.time += dtUsed;
+        this.stepCount++;
 
-        // 7. Ajouter à l'historique (tous les 10 pas pour économiser la mémoire)
-        if (Math.floor(this.time / this.dt) % 10 === 0) {
+        // 6. Ajouter à l'historique (tous les 10 pas pour économiser la mémoire)
+        if (this.stepCount % 10 === 0) {
             this.society.addToHistory(this.time);
         }
     }
@@ -154,23 +169,33 @@ export class Simulator {
 
     /**
      * Réinitialise la simulation
+     * La population est toujours reconstruite depuis la graine (positions comprises),
+     * de sorte qu'une même graine redonne exactement la même trajectoire
      * @param {number} numAgents - Nouveau nombre d'agents (optionnel)
+     * @param {number} seed - Nouvelle graine (optionnelle, sinon la graine courante est rejouée)
      */
-    reset(numAgents = null) {
+    reset(numAgents = null, seed = null) {
         this.running = false;
         this.time = 0;
+        this.stepCount = 0;
+        this.integrator.reset();
+        this.scenario.rewind(this);
 
-        if (numAgents !== null && numAgents !== this.numAgents) {
+        if (numAgents !== null) {
             this.numAgents = numAgents;
-            this.initializeAgents();
-            this.setupNeighborhoods();
-            this.society = new Society(this.agents);
-        } else {
-            this.society.reset(
-                this.society.institutionalQuality,
-                this.society.gini,
-                this.society.externalThreat
-            );
+        }
+        if (seed !== null) {
+            this.seed = seed;
+        }
+        this.rng = new SeededRandom(this.seed);
+
+        this.initializeAgents();
+        this.setupNeighborhoods();
+        this.setupSociety();
+
+        // Repartir des conditions initiales macroscopiques du run
+        for (const [variable, value] of Object.entries(this.initialConditions)) {
+            this.setInitialCondition(variable, value);
         }
     }
 
@@ -180,6 +205,52 @@ export class Simulator {
      */
     setTimeStep(dt) {
         this.dt = dt;
+        this.integrator.reset();
+    }
+
+    /**
+     * Change d'intégrateur numérique
+     * @param {string} name - 'euler', 'heun', 'rk4' ou 'rk45'
+     * @param {Object} options - Options de l'intégrateur adaptatif {tolerance, minStep, maxStep}
+     */
+    setIntegrator(name, options = {}) {
+        this.integrator = createIntegrator(name, options);
+    }
+
+    /**
+     * Change la topologie du réseau social (appliquée à la prochaine réinitialisation)
+     * @param {Object} network - Configuration partielle ou complète (voir DEFAULT_NETWORK)
+     */
+    setNetwork(network) {
+        this.network = { ...this.network, ...network };
+    }
+
+    /**
+     * Change les lois initiales des agents (appliquées à la prochaine réinitialisation)
+     * @param {Object} population - Lois par variable, partielles ou complètes (voir DEFAULT_POPULATION)
+     */
+    setPopulation(population) {
+        this.population = resolvePopulation({ ...this.population, ...population });
+    }
+
+    /**
+     * Change le stockage des agents (appliqué à la prochaine réinitialisation)
+     * @param {string} backend - 'objects' (objets Agent) ou 'typed' (tableaux typés, plus rapide
+     *                           pour les grandes populations ; trajectoires identiques)
+     */
+    setBackend(backend) {
+        this.backend = backend;
+    }
+
+    /**
+     * Remplace le scénario courant
+     * Les modifications de paramètres de l'ancien scénario sont annulées ; les événements
+     * du nouveau scénario dont la date est déjà passée s'appliquent au pas suivant
+     * @param {Scenario} scenario - Nouveau scénario
+     */
+    setScenario(scenario) {
+        this.scenario.rewind(this);
+        this.scenario = scenario;
     }
 
     /**
@@ -199,6 +270,10 @@ export class Simulator {
      * @param {number} value - Nouvelle valeur
      */
     setInitialCondition(variable, value) {
+        if (variable in this.initialConditions) {
+            this.initialConditions[variable] = value;
+        }
+
         if (variable === 'institutionalQuality') {
             this.society.institutionalQuality = value;
         } else if (variable === 'gini') {
@@ -208,6 +283,108 @@ export class Simulator {
         }
     }
 
+    /**
+     * Décrit la configuration complète du run (pour rendre un export auto-descriptif)
+     * Les paramètres sont ceux d'avant le scénario, pour qu'un réimport rejoue le même run
+     * @returns {Object} - Graine, population (taille et lois initiales), réseau, intégration, paramètres, conditions initiales et scénario
+     */
+    getMetadata() {
+        return {
+            seed: this.seed,
+            numAgents: this.numAgents,
+            dt: this.dt,
+            integrator: this.integrator.name,
+            tolerance: this.integrator.adaptive ? this.integrator.tolerance : null,
+            parameters: this.scenario.getBaseParameters(this.parameters),
+            initialConditions: { ...this.initialConditions },
+            network: { ...this.network },
+            population: resolvePopulation(this.population),
+            scenario: this.scenario.toJSON(),
+            time: this.time
+        };
+    }
+
+    /**
+     * Sérialise l'état complet de la simulation : agents (voisinages stockés par
+     * identifiants), variables macroscopiques, historique, paramètres, intégrateur,
+     * avancement du scénario et état du générateur aléatoire, afin de reprendre le run exactement au même point
+     * @returns {Object} - Instantané JSON
+     */
+    toJSON() {
+        return {
+            version: 1,
+            numAgents: this.numAgents,
+            seed: this.seed,
+            rngState: this.rng.getState(),
+            time: this.time,
+            dt: this.dt,
+            stepCount: this.stepCount,
+            integrator: {
+                name: this.integrator.name,
+                tolerance: this.integrator.adaptive ? this.integrator.tolerance : null,
+                nextStep: this.integrator.adaptive ? this.integrator.nextStep : null
+            },
+            parameters: { ...this.parameters },
+            initialConditions: { ...this.initialConditions },
+            network: { ...this.network },
+            population: resolvePopulation(this.population),
+            backend: this.backend,
+            scenario: { events: this.scenario.toJSON(), state: this.scenario.getState() },
+            agents: this.agents.map(agent => agent.toJSON()),
+            society: this.society.toJSON()
+        };
+    }
+
+    /**
+     * Recrée une simulation à partir d'un instantané produit par toJSON()
+     * @param {Object} data - Instantané JSON
+     * @returns {Simulator} - Simulation restaurée (en pause)
+     */
+    static fromJSON(data) {
+        const simulator = new Simulator(0, data.seed);
+
+        simulator.numAgents = data.numAgents;
+        simulator.rng.setState(data.rngState);
+        simulator.time = data.time;
+        simulator.dt = data.dt;
+        simulator.stepCount = data.stepCount;
+
+        simulator.setIntegrator(data.integrator.name, { tolerance: data.integrator.tolerance || undefined });
+        if (data.integrator.nextStep) {
+            simulator.integrator.nextStep = data.integrator.nextStep;
+        }
+
+        Object.assign(simulator.parameters, withLegacyParameters(data.parameters));
+        Object.assign(simulator.initialConditions, data.initialConditions);
+        Object.assign(simulator.network, data.network);
+        // Instantané antérieur aux lois initiales ou aux groupes culturels : population historique
+        simulator.population = withLegacyPopulation(data.population);
+
+        if (data.scenario) {
+            simulator.scenario = Scenario.fromJSON(data.scenario.events);
+            simulator.scenario.setState(data.scenario.state);
+        }
+
+        // Recréer les agents (et leurs tableaux typés) puis résoudre les voisinages (identifiants → agents)
+        simulator.backend = data.backend || 'objects';
+        simulator.agents = data.agents.map(agentData => Agent.fromJSON(agentData));
+        if (simulator.backend === 'typed') {
+            simulator.store = new AgentStore(simulator.agents);
+            simulator.agents = simulator.store.agents;
+        }
+        const agentsById = new Map(simulator.agents.map(agent => [agent.id, agent]));
+        for (const agent of simulator.agents) {
+            agent.neighbors = agent.neighbors.map(id => agentsById.get(id));
+        }
+        simulator.neighborIndex = buildNeighborIndex(simulator.agents);
+        if (simulator.store) {
+            simulator.store.setNeighborIndex(simulator.neighborIndex);
+        }
+
+        simulator.society = Society.fromJSON(data.society, simulator.agents, simulator.store);
+        return simulator;
+    }
+
     /**
      * Récupère l'état actuel du système
      * @returns {Object} - État du système
@@ -221,6 +398,10 @@ export class Simulator {
             polarization: this.society.polarization,
             perceivedThreat: this.society.perceivedThreat,
             gini: this.society.gini,
+            precarity: this.society.precarity,
+            avgEducation: this.society.getAverage('education'),
+            seed: this.seed,
+            integrator: this.integrator.name,
             running: this.running
         };
     }
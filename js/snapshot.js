@@ -0,0 +1,92 @@
+/**
+ * Module de sauvegarde des instantanés de simulation
+ * Fichiers JSON téléchargeables et sauvegarde automatique dans le localStorage
+ */
+
+import { Simulator } from './simulator.js';
+
+/**
+ * Clé de la sauvegarde automatique dans le localStorage
+ */
+const AUTOSAVE_KEY = 'autoritarisme_transition.autosave';
+
+/**
+ * Nombre maximal de points d'historique de la sauvegarde automatique : réécrite toutes les
+ * quelques secondes, elle doit rester sous le quota du localStorage
+ */
+export const AUTOSAVE_HISTORY_POINTS = 1000;
+
+/**
+ * Sérialise une simulation en texte JSON
+ * @param {Simulator} simulator - Simulation à sauvegarder
+ * @param {number} maxHistoryPoints - Nombre maximal de points d'historique (tous par défaut)
+ * @returns {string} - Instantané JSON
+ */
+export function serializeSnapshot(simulator, maxHistoryPoints = Infinity) {
+    const snapshot = simulator.toJSON();
+    snapshot.society.history = thinHistory(snapshot.society.history, maxHistoryPoints);
+    return JSON.stringify({ savedAt: new Date().toISOString(), snapshot });
+}
+
+/**
+ * Sous-échantillonne un historique à au plus maxPoints points, régulièrement espacés
+ * en indice (le premier et le dernier point sont conservés)
+ * @param {Object} history - Historique (séries indexées par clé, de même longueur)
+ * @param {number} maxPoints - Nombre maximal de points
+ * @returns {Object} - Historique sous-échantillonné (l'historique d'origine s'il est assez court)
+ * @private
+ */
+function thinHistory(history, maxPoints) {
+    const length = history.time.length;
+    if (length <= maxPoints) return history;
+
+    const stride = Math.ceil(length / maxPoints);
+    const keep = (_, k) => k % stride === 0 || k === length - 1;
+    const thinned = {};
+    for (const key in history) {
+        thinned[key] = history[key].filter(keep);
+    }
+    return thinned;
+}
+
+/**
+ * Recrée une simulation à partir d'un instantané JSON
+ * @param {string} text - Instantané produit par serializeSnapshot
+ * @returns {Simulator} - Simulation restaurée
+ */
+export function deserializeSnapshot(text) {
+    const data = JSON.parse(text);
+    if (!data.snapshot || !Array.isArray(data.snapshot.agents)) {
+        throw new Error('Ce fichier n\'est pas un instantané de simulation');
+    }
+    return Simulator.fromJSON(data.snapshot);
+}
+
+/**
+ * Enregistre la simulation dans le localStorage (historique sous-échantillonné)
+ * @param {Simulator} simulator - Simulation à sauvegarder
+ * @returns {boolean} - true si la sauvegarde a réussi (échec possible si le quota est dépassé)
+ */
+export function saveAutosave(simulator) {
+    try {
+        localStorage.setItem(AUTOSAVE_KEY, serializeSnapshot(simulator, AUTOSAVE_HISTORY_POINTS));
+        return true;
+    } catch (error) {
+        console.warn('Sauvegarde automatique impossible:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Lit la sauvegarde automatique
+ * @returns {Object|null} - {savedAt, simulator}, ou null s'il n'y a pas de sauvegarde
+ */
+export function loadAutosave() {
+    const text = localStorage.getItem(AUTOSAVE_KEY);
+    if (!text) return null;
+
+    return {
+        savedAt: JSON.parse(text).savedAt,
+        simulator: deserializeSnapshot(text)
+    };
+}
@@ -2,17 +2,30 @@
  * Classe représentant la société dans son ensemble
  * Contient les variables macroscopiques et les méthodes de calcul
  */
+
+import { giniCoefficient } from './population.js';
+
+/**
+ * Nombre de classes de l'histogramme de α enregistré dans l'historique
+ */
+export const ALPHA_DISTRIBUTION_BINS = 20;
+
 export class Society {
     /**
      * @param {Array<Agent>} agents - Liste des agents de la société
+     * @param {AgentStore|null} store - Stockage en tableaux typés des agents (optionnel)
      */
-    constructor(agents) {
+    constructor(agents, store = null) {
         this.agents = agents;
+        this.store = store;
+
+        // Agrégats de population mis en cache pendant une évaluation des dérivées (null = inactif)
+        this.aggregates = null;
 
         // Variables macroscopiques (champ)
         this.gini = 0.3;            // G - Inégalité (coefficient de Gini)
         this.precarity = 0.2;       // P - Précarité
-        this.diversity = 0.5;       // D - Diversité culturelle
+        this.diversity = 0.5;       // D - Diversité culturelle (mesurée sur le réseau, voir contacts.js)
         this.institutionalQuality = 0.7;  // Q - Qualité institutionnelle
         this.polarization = 0.2;    // Φ - Polarisation
         this.perceivedThreat = 0.2; // M - Menace perçue
@@ -20,6 +33,9 @@ export class Society {
         // Variable exogène
         this.externalThreat = 0.2;  // M_ext - Menace externe
 
+        // Nombre de groupes culturels (0 = contacts aléatoires et diversité fixe, voir contacts.js)
+        this.groupCount = 0;
+
         // Historique pour les graphiques
         this.history = {
             time: [],
@@ -27,7 +43,11 @@ export class Society {
             avgAlpha: [],
             institutionalQuality: [],
             polarization: [],
-            perceivedThreat: []
+            perceivedThreat: [],
+            gini: [],
+            precarity: [],
+            avgEducation: [],
+            alphaDistribution: []   // Histogramme de α (fractions par classe sur [-1, 1])
         };
     }
 
@@ -36,18 +56,7 @@ export class Society {
      * @returns {number} - Coefficient de Gini
      */
     calculateGini() {
-        const n = this.agents.length;
-        const wealths = this.agents.map(a => a.wealth).sort((a, b) => a - b);
-        const totalWealth = wealths.reduce((sum, w) => sum + w, 0);
-
-        if (totalWealth === 0) return 0;
-
-        let giniSum = 0;
-        for (let i = 0; i < n; i++) {
-            giniSum += (2 * (i + 1) - n - 1) * wealths[i];
-        }
-
-        return giniSum / (n * totalWealth);
+        return giniCoefficient(this.getValues('wealth'));
     }
 
     /**
@@ -56,17 +65,100 @@ export class Society {
      * @returns {number} - Moyenne de la propriété
      */
     getAverage(property) {
+        if (this.aggregates) {
+            const key = `mean:${property}`;
+            if (!this.aggregates.has(key)) {
+                this.aggregates.set(key, this.computeAverage(property));
+            }
+            return this.aggregates.get(key);
+        }
+
+        return this.computeAverage(property);
+    }
+
+    /**
+     * Moyenne recalculée sur toute la population
+     * @private
+     */
+    computeAverage(property) {
+        const values = this.store && this.store.arrays[property];
+        if (values) {
+            let sum = 0;
+            for (let i = 0; i < values.length; i++) {
+                sum += values[i];
+            }
+            return sum / values.length;
+        }
+
         const sum = this.agents.reduce((acc, agent) => acc + agent[property], 0);
         return sum / this.agents.length;
     }
 
+    /**
+     * Valeurs d'une propriété pour tous les agents
+     * Avec le stockage en tableaux typés, le tableau du stockage est renvoyé sans copie
+     * @param {string} property - Nom de la propriété
+     * @returns {Array<number>|Float64Array} - Valeurs dans l'ordre des agents (lecture seule)
+     */
+    getValues(property) {
+        const values = this.store && this.store.arrays[property];
+        return values || this.agents.map(agent => agent[property]);
+    }
+
+    /**
+     * Histogramme d'une propriété sur tous les agents
+     * Les valeurs hors de [min, max] sont comptées dans la classe extrême
+     * @param {string} property - Nom de la propriété
+     * @param {number} min - Borne inférieure
+     * @param {number} max - Borne supérieure
+     * @param {number} numBins - Nombre de classes
+     * @returns {Array<number>} - Fraction des agents dans chaque classe
+     */
+    getHistogram(property, min, max, numBins) {
+        const values = this.getValues(property);
+        const fractions = new Array(numBins).fill(0);
+        if (values.length === 0) return fractions;
+
+        for (let i = 0; i < values.length; i++) {
+            const bin = Math.floor((values[i] - min) / (max - min) * numBins);
+            fractions[Math.max(0, Math.min(numBins - 1, bin))]++;
+        }
+        return fractions.map(count => count / values.length);
+    }
+
     /**
      * Calcule l'écart-type d'une propriété sur tous les agents
      * @param {string} property - Nom de la propriété
      * @returns {number} - Écart-type de la propriété
      */
     getStdDev(property) {
+        if (this.aggregates) {
+            const key = `std:${property}`;
+            if (!this.aggregates.has(key)) {
+                this.aggregates.set(key, this.computeStdDev(property));
+            }
+            return this.aggregates.get(key);
+        }
+
+        return this.computeStdDev(property);
+    }
+
+    /**
+     * Écart-type recalculé sur toute la population
+     * @private
+     */
+    computeStdDev(property) {
         const avg = this.getAverage(property);
+        const values = this.store && this.store.arrays[property];
+        if (values) {
+            let squaredDiffs = 0;
+            for (let i = 0; i < values.length; i++) {
+                const diff = values[i] - avg;
+                squaredDiffs += diff * diff;
+            }
+            return Math.sqrt(squaredDiffs / values.length);
+        }
+
         const squaredDiffs = this.agents.reduce((acc, agent) => {
             const diff = agent[property] - avg;
             return acc + diff * diff;
@@ -74,6 +166,40 @@ export class Society {
         return Math.sqrt(squaredDiffs / this.agents.length);
     }
 
+    /**
+     * Active le cache des agrégats de population (moyennes, écarts-types)
+     * Pendant une évaluation des dérivées l'état des agents ne change pas : chaque agrégat
+     * est calculé une seule fois au lieu d'une fois par agent (computeSecurity était en O(n²))
+     */
+    cacheAggregates() {
+        this.aggregates = new Map();
+    }
+
+    /**
+     * Agrégat quelconque de la population, mis en cache pendant une évaluation des dérivées
+     * comme les moyennes et écarts-types
+     * @param {string} key - Nom unique de l'agrégat
+     * @param {Function} compute - Calcul de l'agrégat (appelé sans argument)
+     * @returns {number} - Valeur de l'agrégat
+     */
+    getAggregate(key, compute) {
+        if (this.aggregates) {
+            if (!this.aggregates.has(key)) {
+                this.aggregates.set(key, compute());
+            }
+            return this.aggregates.get(key);
+        }
+
+        return compute();
+    }
+
+    /**
+     * Désactive le cache des agrégats (à appeler dès que l'état des agents peut changer)
+     */
+    clearAggregates() {
+        this.aggregates = null;
+    }
+
     /**
      * Calcule le paramètre d'ordre Ψ = ⟨α⟩ · Q
      * @returns {number} - Paramètre d'ordre
@@ -98,13 +224,21 @@ export class Society {
         this.polarization = Math.max(0, Math.min(1, this.polarization));
         this.perceivedThreat = Math.max(0, Math.min(1, this.perceivedThreat));
 
-        // Mise à jour du Gini et de la précarité
+        this.updateDerivedVariables();
+    }
+
+    /**
+     * Recalcule les variables macroscopiques dérivées de l'état des agents
+     * (Gini et précarité), après toute modification des agents
+     */
+    updateDerivedVariables() {
         this.gini = this.calculateGini();
         this.precarity = 1 - this.getAverage('security');
     }
 
     /**
      * Ajoute un point dans l'historique
+     * L'historique couvre toute la simulation : l'affichage le sous-échantillonne (TimeSeriesChart)
      * @param {number} time - Temps actuel
      */
     addToHistory(time) {
@@ -114,14 +248,10 @@ export class Society {
         this.history.institutionalQuality.push(this.institutionalQuality);
         this.history.polarization.push(this.polarization);
         this.history.perceivedThreat.push(this.perceivedThreat);
-
-        // Limiter la taille de l'historique pour éviter les problèmes de mémoire
-        const maxHistoryLength = 1000;
-        if (this.history.time.length > maxHistoryLength) {
-            for (let key in this.history) {
-                this.history[key].shift();
-            }
-        }
+        this.history.gini.push(this.gini);
+        this.history.precarity.push(this.precarity);
+        this.history.avgEducation.push(this.getAverage('education'));
+        this.history.alphaDistribution.push(this.getHistogram('democraticAdherence', -1, 1, ALPHA_DISTRIBUTION_BINS));
     }
 
     /**
@@ -129,8 +259,9 @@ export class Society {
      * @param {number} initQ - Qualité institutionnelle initiale
      * @param {number} initGini - Inégalité initiale
      * @param {number} extThreat - Menace externe
+     * @param {Object} rng - Générateur aléatoire des agents (Math par défaut)
      */
-    reset(initQ = 0.7, initGini = 0.3, extThreat = 0.2) {
+    reset(initQ = 0.7, initGini = 0.3, extThreat = 0.2, rng = Math) {
         this.institutionalQuality = initQ;
         this.gini = initGini;
         this.externalThreat = extThreat;
@@ -145,10 +276,68 @@ export class Society {
             avgAlpha: [],
             institutionalQuality: [],
             polarization: [],
-            perceivedThreat: []
+            perceivedThreat: [],
+            gini: [],
+            precarity: [],
+            avgEducation: [],
+            alphaDistribution: []   // Histogramme de α (fractions par classe sur [-1, 1])
         };
 
         // Réinitialiser les agents
-        this.agents.forEach(agent => agent.reset());
+        this.agents.forEach(agent => agent.reset(rng));
+    }
+
+    /**
+     * Sérialise les variables macroscopiques et l'historique
+     * @returns {Object} - Représentation JSON de la société (sans les agents)
+     */
+    toJSON() {
+        const data = { history: this.history };
+        for (const key of Society.SERIALIZED_PROPERTIES) {
+            data[key] = this[key];
+        }
+        return data;
+    }
+
+    /**
+     * Recrée une société à partir de sa représentation JSON
+     * @param {Object} data - Représentation JSON produite par toJSON()
+     * @param {Array<Agent>} agents - Agents déjà restaurés
+     * @param {AgentStore|null} store - Stockage en tableaux typés des agents (optionnel)
+     * @returns {Society} - Société restaurée
+     */
+    static fromJSON(data, agents, store = null) {
+        const society = new Society(agents, store);
+        for (const key of Society.SERIALIZED_PROPERTIES) {
+            if (key in data) {
+                society[key] = data[key];
+            }
+        }
+        for (const key in society.history) {
+            society.history[key] = (data.history && data.history[key]) || [];
+        }
+
+        // Instantanés antérieurs à l'histogramme de α : points sans distribution
+        const { time, alphaDistribution } = society.history;
+        if (alphaDistribution.length !== time.length) {
+            society.history.alphaDistribution = time.map(() => null);
+        }
+
+        // Instantanés antérieurs au renouvellement des générations : l'éducation était fixe,
+        // ⟨e⟩ est donc resté égal à sa valeur actuelle
+        if (society.history.avgEducation.length !== time.length) {
+            const avgEducation = society.getAverage('education');
+            society.history.avgEducation = time.map(() => avgEducation);
+        }
+        return society;
     }
 }
+
+/**
+ * Variables macroscopiques sauvegardées dans un instantané
+ */
+Society.SERIALIZED_PROPERTIES = [
+    'gini', 'precarity', 'diversity',
+    'institutionalQuality', 'polarization', 'perceivedThreat',
+    'externalThreat', 'groupCount'
+];
@@ -0,0 +1,138 @@
+/**
+ * Index spatial en grille régulière sur le carré [0, 1] x [0, 1]
+ * Remplace les doubles boucles O(n²) de la construction des voisinages :
+ * requêtes par rayon et k plus proches voisins en ne parcourant que les cellules utiles
+ */
+
+export class SpatialGrid {
+    /**
+     * @param {Array<{x: number, y: number}>} points - Points indexés (agents)
+     * @param {number} cellSize - Côté d'une cellule (idéalement le rayon des requêtes)
+     */
+    constructor(points, cellSize) {
+        this.points = points;
+
+        // Pas plus de cellules que nécessaire : ~1 point par cellule au minimum
+        const minCellSize = 1 / Math.max(1, Math.ceil(Math.sqrt(points.length)));
+        this.cellSize = Math.min(1, Math.max(cellSize, minCellSize));
+        this.dims = Math.max(1, Math.ceil(1 / this.cellSize));
+
+        // Tri par comptage : cellStart[c]..cellStart[c+1] délimite les points de la cellule c,
+        // rangés par indice croissant dans cellItems
+        const numCells = this.dims * this.dims;
+        const cellOf = new Int32Array(points.length);
+        this.cellStart = new Int32Array(numCells + 1);
+
+        for (let i = 0; i < points.length; i++) {
+            cellOf[i] = this.cellIndex(this.cellCoordinate(points[i].x), this.cellCoordinate(points[i].y));
+            this.cellStart[cellOf[i] + 1]++;
+        }
+        for (let c = 0; c < numCells; c++) {
+            this.cellStart[c + 1] += this.cellStart[c];
+        }
+
+        this.cellItems = new Int32Array(points.length);
+        const fill = this.cellStart.slice(0, numCells);
+        for (let i = 0; i < points.length; i++) {
+            this.cellItems[fill[cellOf[i]]++] = i;
+        }
+    }
+
+    /**
+     * Colonne ou ligne de la cellule contenant une coordonnée
+     * @private
+     */
+    cellCoordinate(value) {
+        return Math.min(this.dims - 1, Math.max(0, Math.floor(value / this.cellSize)));
+    }
+
+    /**
+     * Indice linéaire d'une cellule
+     * @private
+     */
+    cellIndex(cx, cy) {
+        return cy * this.dims + cx;
+    }
+
+    /**
+     * Points à distance strictement inférieure à radius
+     * @param {number} x - Abscisse du centre
+     * @param {number} y - Ordonnée du centre
+     * @param {number} radius - Rayon de la requête
+     * @param {number} exclude - Indice à exclure (le point central lui-même), -1 sinon
+     * @returns {Array<number>} - Indices des points, par ordre croissant
+     */
+    queryRadius(x, y, radius, exclude = -1) {
+        const result = [];
+        const radiusSquared = radius * radius;
+
+        const minX = this.cellCoordinate(x - radius);
+        const maxX = this.cellCoordinate(x + radius);
+        const minY = this.cellCoordinate(y - radius);
+        const maxY = this.cellCoordinate(y + radius);
+
+        for (let cy = minY; cy <= maxY; cy++) {
+            for (let cx = minX; cx <= maxX; cx++) {
+                const c = this.cellIndex(cx, cy);
+                for (let n = this.cellStart[c]; n < this.cellStart[c + 1]; n++) {
+                    const i = this.cellItems[n];
+                    if (i === exclude) continue;
+
+                    const dx = this.points[i].x - x;
+                    const dy = this.points[i].y - y;
+                    if (dx * dx + dy * dy < radiusSquared) {
+                        result.push(i);
+                    }
+                }
+            }
+        }
+
+        return result.sort((a, b) => a - b);
+    }
+
+    /**
+     * k plus proches voisins, par anneaux de cellules de plus en plus éloignés
+     * @param {number} x - Abscisse du centre
+     * @param {number} y - Ordonnée du centre
+     * @param {number} k - Nombre de voisins
+     * @param {number} exclude - Indice à exclure (le point central lui-même), -1 sinon
+     * @returns {Array<number>} - Indices des points, du plus proche au plus éloigné
+     *                            (à distance égale, par indice croissant)
+     */
+    nearest(x, y, k, exclude = -1) {
+        const cx0 = this.cellCoordinate(x);
+        const cy0 = this.cellCoordinate(y);
+        const candidates = [];
+
+        for (let ring = 0; ring < this.dims; ring++) {
+            for (let cy = cy0 - ring; cy <= cy0 + ring; cy++) {
+                if (cy < 0 || cy >= this.dims) continue;
+
+                // Sur les lignes intérieures de l'anneau, seules les deux cellules des bords
+                const step = (cy === cy0 - ring || cy === cy0 + ring) ? 1 : 2 * ring;
+                for (let cx = cx0 - ring; cx <= cx0 + ring; cx += Math.max(1, step)) {
+                    if (cx < 0 || cx >= this.dims) continue;
+
+                    const c = this.cellIndex(cx, cy);
+                    for (let n = this.cellStart[c]; n < this.cellStart[c + 1]; n++) {
+                        const i = this.cellItems[n];
+                        if (i === exclude) continue;
+
+                        const dx = this.points[i].x - x;
+                        const dy = this.points[i].y - y;
+                        candidates.push({ index: i, distance: Math.sqrt(dx * dx + dy * dy) });
+                    }
+                }
+            }
+
+            // Les cellules de l'anneau suivant sont à au moins ring · cellSize du centre
+            if (candidates.length >= k) {
+                candidates.sort((a, b) => a.distance - b.distance || a.index - b.index);
+                if (candidates[k - 1].distance <= ring * this.cellSize) break;
+            }
+        }
+
+        candidates.sort((a, b) => a.distance - b.distance || a.index - b.index);
+        return candidates.slice(0, k).map(candidate => candidate.index);
+    }
+}
@@ -0,0 +1,546 @@
+/**
+ * Graphique interactif des séries temporelles macroscopiques
+ * Séries affichables à la demande, zoom (molette) et déplacement (glisser) sur l'axe du temps,
+ * lecture des valeurs au survol. L'historique couvre tout le run : l'affichage le sous-échantillonne
+ * (minimum et maximum par colonne de pixels) au lieu de le tronquer.
+ */
+
+/**
+ * Séries de Society.history affichables (visible = affichée par défaut)
+ */
+export const TIME_SERIES = [
+    { key: 'orderParameter', label: 'Ψ (paramètre d\'ordre)', color: '#667eea', visible: true },
+    { key: 'avgAlpha', label: '⟨α⟩ (adhésion moyenne)', color: '#9b59b6', visible: false },
+    { key: 'institutionalQuality', label: 'Q (qualité inst.)', color: '#2ecc71', visible: true },
+    { key: 'polarization', label: 'Φ (polarisation)', color: '#e74c3c', visible: true },
+    { key: 'perceivedThreat', label: 'M (menace)', color: '#f39c12', visible: true },
+    { key: 'gini', label: 'G (Gini)', color: '#795548', visible: false },
+    { key: 'precarity', label: 'P (précarité)', color: '#16a085', visible: false },
+    { key: 'avgEducation', label: '⟨e⟩ (éducation)', color: '#34495e', visible: false }
+];
+
+/**
+ * Facteur de zoom d'un cran de molette
+ */
+export const ZOOM_STEP = 1.25;
+
+/**
+ * Premier indice i tel que values[i] >= target (values croissant)
+ * @param {Array<number>} values - Valeurs croissantes
+ * @param {number} target - Valeur cherchée
+ * @returns {number} - Indice dans [0, values.length]
+ */
+export function lowerBound(values, target) {
+    let low = 0;
+    let high = values.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (values[mid] < target) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+/**
+ * Sous-échantillonne une série pour l'affichage
+ * Les points [start, end) sont répartis en numBuckets paquets ; chaque paquet garde son
+ * minimum et son maximum (dans l'ordre du temps) : pics et creux restent visibles
+ * @param {Array<number>} time - Temps des points
+ * @param {Array<number>} values - Valeurs des points
+ * @param {number} start - Premier indice
+ * @param {number} end - Indice de fin (exclu)
+ * @param {number} numBuckets - Nombre de paquets (typiquement la largeur du tracé en pixels)
+ * @returns {Object} - {time, values} : points conservés
+ */
+export function downsample(time, values, start, end, numBuckets) {
+    const count = end - start;
+    if (count <= 2 * numBuckets) {
+        return { time: time.slice(start, end), values: values.slice(start, end) };
+    }
+
+    const sampledTime = [];
+    const sampledValues = [];
+    for (let b = 0; b < numBuckets; b++) {
+        const bucketStart = start + Math.floor(b * count / numBuckets);
+        const bucketEnd = start + Math.floor((b + 1) * count / numBuckets);
+
+        let minIndex = bucketStart;
+        let maxIndex = bucketStart;
+        for (let i = bucketStart + 1; i < bucketEnd; i++) {
+            if (values[i] < values[minIndex]) minIndex = i;
+            if (values[i] > values[maxIndex]) maxIndex = i;
+        }
+
+        for (const i of minIndex <= maxIndex ? [minIndex, maxIndex] : [maxIndex, minIndex]) {
+            sampledTime.push(time[i]);
+            sampledValues.push(values[i]);
+        }
+    }
+    return { time: sampledTime, values: sampledValues };
+}
+
+export class TimeSeriesChart {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas du graphique
+     */
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        // Marges pour les graphiques
+        this.margin = { top: 20, right: 20, bottom: 40, left: 60 };
+
+        this.history = null;
+        this.events = [];
+        this.visible = new Set(TIME_SERIES.filter(series => series.visible).map(series => series.key));
+
+        // Fenêtre de temps affichée {min, max} ; null = tout l'historique (suit la simulation)
+        this.view = null;
+
+        // Position du pointeur (pixels du canvas) et déplacement en cours
+        this.hoverX = null;
+        this.dragStart = null;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Configure les événements de souris : molette = zoom, glisser = déplacement,
+     * survol = lecture des valeurs, double-clic = vue complète
+     */
+    setupEventListeners() {
+        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        this.canvas.addEventListener('mouseup', () => {
+            this.dragStart = null;
+        });
+        this.canvas.addEventListener('mouseleave', () => {
+            this.dragStart = null;
+            this.hoverX = null;
+            this.redraw();
+        });
+        this.canvas.addEventListener('dblclick', () => this.resetView());
+    }
+
+    /**
+     * Abscisse du pointeur en pixels du canvas (le canvas peut être redimensionné par la feuille de style)
+     * @private
+     */
+    canvasX(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return (e.clientX - rect.left) * this.canvas.width / rect.width;
+    }
+
+    /**
+     * Zoome autour du temps sous le pointeur
+     */
+    handleWheel(e) {
+        if (!this.hasData()) return;
+        e.preventDefault();
+
+        const range = this.timeRange();
+        const center = this.pixelToTime(this.canvasX(e), range);
+        this.zoom(e.deltaY < 0 ? 1 / ZOOM_STEP : ZOOM_STEP, center);
+    }
+
+    /**
+     * Commence un déplacement de la fenêtre
+     */
+    handleMouseDown(e) {
+        if (!this.hasData()) return;
+        this.dragStart = { x: this.canvasX(e), range: this.timeRange() };
+    }
+
+    /**
+     * Déplace la fenêtre pendant un glisser, sinon met à jour la lecture des valeurs
+     */
+    handleMouseMove(e) {
+        const x = this.canvasX(e);
+        this.hoverX = x;
+
+        if (this.dragStart) {
+            const { range } = this.dragStart;
+            const plotWidth = this.canvas.width - this.margin.left - this.margin.right;
+            const shift = (this.dragStart.x - x) / plotWidth * (range.max - range.min);
+            this.setView(range.min + shift, range.max + shift);
+        } else {
+            this.redraw();
+        }
+    }
+
+    /**
+     * Affiche ou masque une série
+     * @param {string} key - Clé de la série (TIME_SERIES)
+     * @param {boolean} visible - true pour l'afficher
+     */
+    setSeriesVisible(key, visible) {
+        if (visible) {
+            this.visible.add(key);
+        } else {
+            this.visible.delete(key);
+        }
+        this.redraw();
+    }
+
+    /**
+     * Zoome d'un facteur autour d'un temps donné
+     * @param {number} factor - < 1 pour rapprocher, > 1 pour éloigner
+     * @param {number} center - Temps qui reste fixe à l'écran
+     */
+    zoom(factor, center) {
+        const range = this.timeRange();
+        this.setView(center - (center - range.min) * factor, center + (range.max - center) * factor);
+    }
+
+    /**
+     * Fixe la fenêtre de temps, bornée à l'historique ; une fenêtre couvrant tout l'historique
+     * revient à la vue complète
+     * @param {number} min - Début de la fenêtre
+     * @param {number} max - Fin de la fenêtre
+     */
+    setView(min, max) {
+        const full = this.fullRange();
+        const width = Math.min(max - min, full.max - full.min);
+        if (width >= full.max - full.min) {
+            this.resetView();
+            return;
+        }
+
+        // Au moins quelques points dans la fenêtre
+        const time = this.history.time;
+        const minWidth = 4 * (full.max - full.min) / Math.max(1, time.length - 1);
+        const center = (min + max) / 2;
+        const halfWidth = Math.max(width, minWidth) / 2;
+        const start = Math.max(full.min, Math.min(full.max - 2 * halfWidth, center - halfWidth));
+
+        this.view = { min: start, max: start + 2 * halfWidth };
+        this.redraw();
+    }
+
+    /**
+     * Revient à la vue complète de l'historique
+     */
+    resetView() {
+        this.view = null;
+        this.redraw();
+    }
+
+    /**
+     * Dessine les séries temporelles
+     * @param {Object} history - Historique des variables macroscopiques (Society.history)
+     * @param {Array<Object>} events - Événements du scénario
+     */
+    draw(history, events = []) {
+        this.history = history;
+        this.events = events;
+        this.redraw();
+    }
+
+    /**
+     * Redessine avec l'historique courant (après une interaction)
+     */
+    redraw() {
+        const ctx = this.ctx;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+
+        // Effacer le canvas
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, width, height);
+
+        if (!this.hasData()) return;
+
+        const history = this.history;
+        const plotWidth = width - this.margin.left - this.margin.right;
+        const plotHeight = height - this.margin.top - this.margin.bottom;
+
+        // Points de la fenêtre, avec un point de part et d'autre pour que les courbes atteignent les bords
+        const range = this.timeRange();
+        const start = Math.max(0, lowerBound(history.time, range.min) - 1);
+        const end = Math.min(history.time.length, lowerBound(history.time, range.max) + 1);
+
+        const series = TIME_SERIES.filter(s => this.visible.has(s.key) && history[s.key]);
+        const sampled = series.map(s => ({ ...s, ...downsample(history.time, history[s.key], start, end, plotWidth) }));
+
+        // Axe vertical [0, 1], étendu à [-1, 1] si une série affichée devient négative (Ψ, ⟨α⟩)
+        const yMin = sampled.some(s => s.values.some(value => value < 0)) ? -1 : 0;
+        const xScale = (t) => this.margin.left + ((t - range.min) / ((range.max - range.min) || 1)) * plotWidth;
+        const yScale = (v) => this.margin.top + (1 - (v - yMin) / (1 - yMin)) * plotHeight;
+
+        // Dessiner les axes
+        this.drawAxes(ctx, width, height, range.min, range.max, yMin);
+
+        // Dessiner les événements du scénario (sous les courbes)
+        this.drawEvents(ctx, this.events, range.min, range.max, xScale, height);
+
+        // Dessiner les courbes, limitées à la zone de tracé
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(this.margin.left, this.margin.top, plotWidth, plotHeight);
+        ctx.clip();
+        for (let s of sampled) {
+            this.drawLine(ctx, s.time, s.values, s.color, xScale, yScale, yMin);
+        }
+        ctx.restore();
+
+        // Dessiner la légende
+        this.drawLegend(ctx, series, width);
+
+        // Fenêtre et nombre de points affichés
+        ctx.fillStyle = '#888';
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+        const displayed = sampled.length > 0 ? sampled[0].time.length : 0;
+        ctx.fillText(
+            `${this.view ? 'Zoom' : 'Historique complet'} : ${end - start} points` +
+            (displayed < end - start ? ` (${displayed} affichés)` : '') +
+            ' — molette : zoom, glisser : déplacer, double-clic : vue complète',
+            this.margin.left + 5, height - this.margin.bottom - 6
+        );
+
+        if (this.hoverX !== null && !this.dragStart) {
+            this.drawReadout(ctx, series, range, xScale, yScale, yMin, plotHeight);
+        }
+    }
+
+    /**
+     * Indique si l'historique contient assez de points pour être tracé
+     * @private
+     */
+    hasData() {
+        return this.history !== null && this.history.time.length >= 2;
+    }
+
+    /**
+     * Temps couverts par l'historique
+     * @private
+     */
+    fullRange() {
+        const time = this.history.time;
+        return { min: time[0], max: time[time.length - 1] };
+    }
+
+    /**
+     * Fenêtre de temps affichée
+     * @private
+     */
+    timeRange() {
+        return this.view || this.fullRange();
+    }
+
+    /**
+     * Convertit une abscisse en pixels en temps
+     * @private
+     */
+    pixelToTime(x, range) {
+        const plotWidth = this.canvas.width - this.margin.left - this.margin.right;
+        const fraction = Math.max(0, Math.min(1, (x - this.margin.left) / plotWidth));
+        return range.min + fraction * (range.max - range.min);
+    }
+
+    /**
+     * Lecture des valeurs exactes du point d'historique le plus proche du pointeur
+     * @private
+     */
+    drawReadout(ctx, series, range, xScale, yScale, yMin, plotHeight) {
+        const time = this.history.time;
+        const target = this.pixelToTime(this.hoverX, range);
+        let index = Math.min(time.length - 1, lowerBound(time, target));
+        if (index > 0 && target - time[index - 1] < time[index] - target) {
+            index--;
+        }
+
+        const x = xScale(time[index]);
+        ctx.strokeStyle = '#999';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(x, this.margin.top);
+        ctx.lineTo(x, this.margin.top + plotHeight);
+        ctx.stroke();
+
+        const lines = [`t = ${time[index].toFixed(2)}`];
+        for (const s of series) {
+            const value = this.history[s.key][index];
+            lines.push(`${s.label} : ${value.toFixed(4)}`);
+
+            ctx.fillStyle = s.color;
+            ctx.beginPath();
+            ctx.arc(x, yScale(Math.max(yMin, Math.min(1, value))), 4, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+
+        // Encadré à droite du curseur, à gauche près du bord droit
+        ctx.font = '11px sans-serif';
+        const boxWidth = Math.max(...lines.map(line => ctx.measureText(line).width)) + 12;
+        const boxHeight = lines.length * 15 + 6;
+        const boxX = x + 10 + boxWidth > this.canvas.width - this.margin.right ? x - 10 - boxWidth : x + 10;
+        const boxY = this.margin.top + 5;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
+        ctx.strokeStyle = '#ccc';
+        ctx.strokeRect(boxX, boxY, boxWidth, boxHeight);
+
+        ctx.fillStyle = '#333';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+        lines.forEach((line, k) => {
+            ctx.fillText(line, boxX + 6, boxY + 15 * (k + 1));
+        });
+    }
+
+    /**
+     * Dessine les événements d'un scénario : trait vertical à la date d'application,
+     * bande grisée pendant la durée des événements temporaires, et libellé
+     */
+    drawEvents(ctx, events, minTime, maxTime, xScale, height) {
+        const top = this.margin.top;
+        const bottom = height - this.margin.bottom;
+
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'left';
+
+        for (let event of events) {
+            const end = event.duration ? event.time + event.duration : event.time;
+            if (end < minTime || event.time > maxTime) continue;
+
+            const x = xScale(Math.max(minTime, event.time));
+
+            if (event.duration) {
+                ctx.fillStyle = 'rgba(120, 120, 120, 0.12)';
+                ctx.fillRect(x, top, xScale(Math.min(maxTime, end)) - x, bottom - top);
+            }
+
+            if (event.time >= minTime) {
+                ctx.strokeStyle = '#888';
+                ctx.lineWidth = 1;
+                ctx.setLineDash([4, 3]);
+                ctx.beginPath();
+                ctx.moveTo(x, top);
+                ctx.lineTo(x, bottom);
+                ctx.stroke();
+                ctx.setLineDash([]);
+
+                ctx.fillStyle = '#555';
+                ctx.fillText(event.label, x + 3, top + 10);
+            }
+        }
+    }
+
+    /**
+     * Dessine les axes du graphique
+     */
+    drawAxes(ctx, width, height, minTime, maxTime, yMin) {
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = 1;
+
+        // Axe X
+        ctx.beginPath();
+        ctx.moveTo(this.margin.left, height - this.margin.bottom);
+        ctx.lineTo(width - this.margin.right, height - this.margin.bottom);
+        ctx.stroke();
+
+        // Axe Y
+        ctx.beginPath();
+        ctx.moveTo(this.margin.left, this.margin.top);
+        ctx.lineTo(this.margin.left, height - this.margin.bottom);
+        ctx.stroke();
+
+        // Labels
+        ctx.fillStyle = '#000';
+        ctx.font = '12px sans-serif';
+
+        // Label X
+        ctx.textAlign = 'center';
+        ctx.fillText('Temps (t)', width / 2, height - 5);
+
+        // Label Y
+        ctx.save();
+        ctx.translate(15, height / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText('Valeur', 0, 0);
+        ctx.restore();
+
+        // Graduations Y
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 5; i++) {
+            const y = this.margin.top + (i / 5) * (height - this.margin.top - this.margin.bottom);
+            const value = (1 - (i / 5) * (1 - yMin)).toFixed(1);
+            ctx.fillText(value, this.margin.left - 5, y + 4);
+
+            // Ligne de grille
+            ctx.strokeStyle = '#e0e0e0';
+            ctx.lineWidth = 0.5;
+            ctx.beginPath();
+            ctx.moveTo(this.margin.left, y);
+            ctx.lineTo(width - this.margin.right, y);
+            ctx.stroke();
+        }
+
+        // Graduations X
+        ctx.textAlign = 'center';
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = 1;
+        const numTicks = 5;
+        const digits = maxTime - minTime < 5 ? 2 : 1;
+        for (let i = 0; i <= numTicks; i++) {
+            const x = this.margin.left + (i / numTicks) * (width - this.margin.left - this.margin.right);
+            const time = minTime + (i / numTicks) * (maxTime - minTime);
+            ctx.fillText(time.toFixed(digits), x, height - this.margin.bottom + 15);
+        }
+    }
+
+    /**
+     * Dessine une ligne sur le graphique
+     */
+    drawLine(ctx, timeData, valueData, color, xScale, yScale, yMin) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+
+        for (let i = 0; i < timeData.length; i++) {
+            const x = xScale(timeData[i]);
+            const y = yScale(Math.max(yMin, Math.min(1, valueData[i])));
+
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+
+        ctx.stroke();
+    }
+
+    /**
+     * Dessine la légende des courbes
+     */
+    drawLegend(ctx, series, width) {
+        const legendX = width - 180;
+        const legendY = 30;
+        const lineHeight = 20;
+
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'left';
+
+        for (let i = 0; i < series.length; i++) {
+            const y = legendY + i * lineHeight;
+
+            // Ligne de couleur
+            ctx.strokeStyle = series[i].color;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(legendX, y);
+            ctx.lineTo(legendX + 20, y);
+            ctx.stroke();
+
+            // Label
+            ctx.fillStyle = '#000';
+            ctx.fillText(series[i].label, legendX + 25, y + 4);
+        }
+    }
+}
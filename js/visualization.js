@@ -3,6 +3,51 @@
  * Gère l'affichage graphique des agents et des séries temporelles
  */
 
+import { TimeSeriesChart } from './timeserieschart.js';
+
+/**
+ * Variables pouvant colorer ou dimensionner les agents
+ * - scale 'diverging' : rouge (min) → vert (max), pour les variables bipolaires [-1, 1]
+ * - scale 'sequential' : du clair au foncé ; reversed = les valeurs basses sont les plus foncées
+ *   (la couleur foncée signale toujours la situation à risque)
+ * - lowLabel, highLabel : libellés des extrémités de la légende
+ */
+export const AGENT_DISPLAY_VARIABLES = [
+    { key: 'democraticAdherence', label: 'Adhésion démocratique (α)', min: -1, max: 1, scale: 'diverging', lowLabel: 'Autoritaire', highLabel: 'Démocratique' },
+    { key: 'security', label: 'Sécurité perçue (s)', min: 0, max: 1, scale: 'sequential', reversed: true, lowLabel: 'Insécurité', highLabel: 'Sécurité' },
+    { key: 'permeability', label: 'Perméabilité (π)', min: 0, max: 1, scale: 'sequential', lowLabel: 'Imperméable', highLabel: 'Perméable' },
+    { key: 'civicEnergy', label: 'Énergie civique (ε)', min: 0, max: 1, scale: 'sequential', reversed: true, lowLabel: 'Apathie', highLabel: 'Engagement' },
+    { key: 'toleranceCultural', label: 'Tolérance culturelle (τ^c)', min: -1, max: 1, scale: 'diverging', lowLabel: 'Rejet', highLabel: 'Ouverture' },
+    { key: 'toleranceEconomic', label: 'Tolérance économique (τ^w)', min: -1, max: 1, scale: 'diverging', lowLabel: 'Rejet', highLabel: 'Ouverture' },
+    { key: 'tolerancePhysical', label: 'Tolérance physique (τ^p)', min: -1, max: 1, scale: 'diverging', lowLabel: 'Rejet', highLabel: 'Ouverture' },
+    { key: 'wealth', label: 'Richesse (w)', min: 0, max: 2, scale: 'sequential', reversed: true, lowLabel: 'Pauvre', highLabel: 'Riche' },
+    { key: 'education', label: 'Éducation (e)', min: 0, max: 1, scale: 'sequential', reversed: true, lowLabel: 'Peu éduqué', highLabel: 'Éduqué' },
+    { key: 'age', label: 'Âge (a)', min: 0, max: 100, scale: 'sequential', lowLabel: 'Jeune', highLabel: 'Âgé' },
+    { key: 'group', label: 'Groupe culturel (g)', min: 0, max: 4, scale: 'sequential', lowLabel: 'Majoritaire', highLabel: 'Minorités' }
+];
+
+/**
+ * Réglages d'affichage par défaut de la carte des agents
+ */
+export const DEFAULT_AGENT_DISPLAY = {
+    colorBy: 'democraticAdherence',
+    sizeBy: null,
+    showEdges: false
+};
+
+/**
+ * Trouve une variable d'affichage par sa clé
+ * @param {string} key - Clé de la variable
+ * @returns {Object} - Variable de AGENT_DISPLAY_VARIABLES
+ */
+export function getAgentDisplayVariable(key) {
+    const variable = AGENT_DISPLAY_VARIABLES.find(candidate => candidate.key === key);
+    if (!variable) {
+        throw new Error(`Variable d'affichage inconnue: ${key}`);
+    }
+    return variable;
+}
+
 export class Visualizer {
     /**
      * @param {HTMLCanvasElement} agentCanvas - Canvas pour afficher les agents
@@ -12,11 +57,26 @@ export class Visualizer {
         this.agentCanvas = agentCanvas;
         this.agentCtx = agentCanvas.getContext('2d');
 
-        this.timeSeriesCanvas = timeSeriesCanvas;
-        this.timeSeriesCtx = timeSeriesCanvas.getContext('2d');
+        // Séries temporelles : zoom, déplacement, lecture des valeurs et choix des séries
+        this.timeSeriesChart = new TimeSeriesChart(timeSeriesCanvas);
 
-        // Marges pour les graphiques
-        this.margin = { top: 20, right: 20, bottom: 40, left: 60 };
+        // Variable de couleur, variable de taille et réseau de la carte des agents
+        this.display = { ...DEFAULT_AGENT_DISPLAY };
+    }
+
+    /**
+     * Modifie les réglages d'affichage de la carte des agents
+     * @param {Object} display - Réglages {colorBy, sizeBy, showEdges} (voir DEFAULT_AGENT_DISPLAY) ;
+     *                           sizeBy = null pour des agents de taille uniforme
+     */
+    setDisplay(display) {
+        if (display.colorBy !== undefined) {
+            getAgentDisplayVariable(display.colorBy);
+        }
+        if (display.sizeBy) {
+            getAgentDisplayVariable(display.sizeBy);
+        }
+        this.display = { ...this.display, ...display };
     }
 
     /**
@@ -37,11 +97,83 @@ export class Visualizer {
         return `rgb(${red}, ${green}, ${blue})`;
     }
 
+    /**
+     * Convertit la valeur d'une variable d'affichage en couleur
+     * @param {number} value - Valeur de la variable
+     * @param {Object} variable - Variable de AGENT_DISPLAY_VARIABLES
+     * @returns {string} - Couleur au format RGB
+     */
+    valueToColor(value, variable) {
+        const t = this.normalize(value, variable);
+
+        if (variable.scale === 'diverging') {
+            return this.alphaToColor(2 * t - 1);
+        }
+
+        // Échelle séquentielle : jaune pâle → violet foncé
+        const dark = variable.reversed ? 1 - t : t;
+        const red = Math.floor(255 - dark * (255 - 75));
+        const green = Math.floor(245 - dark * (245 - 20));
+        const blue = Math.floor(200 - dark * (200 - 110));
+
+        return `rgb(${red}, ${green}, ${blue})`;
+    }
+
+    /**
+     * Ramène la valeur d'une variable d'affichage dans [0, 1]
+     * @param {number} value - Valeur de la variable
+     * @param {Object} variable - Variable de AGENT_DISPLAY_VARIABLES
+     * @returns {number} - Valeur normalisée et bornée
+     */
+    normalize(value, variable) {
+        const t = (value - variable.min) / (variable.max - variable.min);
+        return Math.max(0, Math.min(1, t));
+    }
+
+    /**
+     * Rayon des cercles représentant les agents
+     * @param {number} numAgents - Nombre d'agents
+     * @returns {number} - Rayon en pixels
+     */
+    agentRadius(numAgents) {
+        return Math.max(2, Math.min(5, 300 / Math.sqrt(numAgents)));
+    }
+
+    /**
+     * Trouve l'agent sous le pointeur (le plus proche, à quelques pixels près)
+     * @param {Array<Agent>} agents - Liste des agents
+     * @param {number} clientX - Abscisse du pointeur dans la fenêtre
+     * @param {number} clientY - Ordonnée du pointeur dans la fenêtre
+     * @returns {Agent|null} - Agent trouvé ou null
+     */
+    agentAt(agents, clientX, clientY) {
+        // Le canvas peut être redimensionné par la feuille de style
+        const rect = this.agentCanvas.getBoundingClientRect();
+        const x = (clientX - rect.left) * this.agentCanvas.width / rect.width;
+        const y = (clientY - rect.top) * this.agentCanvas.height / rect.height;
+
+        const maxDistance = this.agentRadius(agents.length) * (this.display.sizeBy ? 1.8 : 1) + 4;
+        let closest = null;
+        let closestDistance = maxDistance;
+
+        for (let agent of agents) {
+            const distance = Math.hypot(agent.x * this.agentCanvas.width - x, agent.y * this.agentCanvas.height - y);
+            if (distance <= closestDistance) {
+                closest = agent;
+                closestDistance = distance;
+            }
+        }
+
+        return closest;
+    }
+
     /**
      * Dessine tous les agents sur le canvas
      * @param {Array<Agent>} agents - Liste des agents
+     * @param {Object} highlight - Agents mis en évidence {selected, hovered} :
+     *                             les liens de l'agent sélectionné vers ses voisins sont tracés
      */
-    drawAgents(agents) {
+    drawAgents(agents, highlight = {}) {
         const ctx = this.agentCtx;
         const width = this.agentCanvas.width;
         const height = this.agentCanvas.height;
@@ -51,15 +183,27 @@ export class Visualizer {
         ctx.fillRect(0, 0, width, height);
 
         // Dessiner chaque agent comme un cercle coloré
-        const radius = Math.max(2, Math.min(5, 300 / Math.sqrt(agents.length)));
+        const radius = this.agentRadius(agents.length);
+        const colorVariable = getAgentDisplayVariable(this.display.colorBy);
+        const sizeVariable = this.display.sizeBy ? getAgentDisplayVariable(this.display.sizeBy) : null;
+
+        // Réseau social sous les agents
+        if (this.display.showEdges) {
+            this.drawEdges(ctx, agents, width, height);
+        }
 
         for (let agent of agents) {
             const x = agent.x * width;
             const y = agent.y * height;
 
-            ctx.fillStyle = this.alphaToColor(agent.democraticAdherence);
+            // Taille : de 0.5 à 1.8 fois le rayon selon la seconde variable
+            const agentRadius = sizeVariable
+                ? radius * (0.5 + 1.3 * this.normalize(agent[sizeVariable.key], sizeVariable))
+                : radius;
+
+            ctx.fillStyle = this.valueToColor(agent[colorVariable.key], colorVariable);
             ctx.beginPath();
-            ctx.arc(x, y, radius, 0, 2 * Math.PI);
+            ctx.arc(x, y, agentRadius, 0, 2 * Math.PI);
             ctx.fill();
 
             // Optionnel: bordure pour améliorer la visibilité
@@ -68,200 +212,138 @@ export class Visualizer {
             ctx.stroke();
         }
 
+        if (highlight.selected) {
+            this.drawNeighborLinks(ctx, highlight.selected, radius, width, height);
+        }
+        if (highlight.hovered && highlight.hovered !== highlight.selected) {
+            this.drawAgentRing(ctx, highlight.hovered, radius + 3, '#666', 1.5, width, height);
+        }
+
         // Légende
-        this.drawColorLegend(ctx, width, height);
+        this.drawColorLegend(ctx, width, height, colorVariable, sizeVariable);
     }
 
     /**
-     * Dessine une légende de couleur pour l'adhésion démocratique
+     * Trace les liens du réseau social (chaque lien réciproque une seule fois)
      * @param {CanvasRenderingContext2D} ctx - Contexte du canvas
+     * @param {Array<Agent>} agents - Liste des agents
      * @param {number} width - Largeur du canvas
      * @param {number} height - Hauteur du canvas
      */
-    drawColorLegend(ctx, width, height) {
-        const legendWidth = 200;
-        const legendHeight = 20;
-        const legendX = width - legendWidth - 20;
-        const legendY = height - legendHeight - 20;
-
-        // Dessiner le gradient
-        const gradient = ctx.createLinearGradient(legendX, 0, legendX + legendWidth, 0);
-        gradient.addColorStop(0, this.alphaToColor(-1));
-        gradient.addColorStop(0.5, this.alphaToColor(0));
-        gradient.addColorStop(1, this.alphaToColor(1));
-
-        ctx.fillStyle = gradient;
-        ctx.fillRect(legendX, legendY, legendWidth, legendHeight);
-
-        // Bordure
-        ctx.strokeStyle = '#000';
-        ctx.lineWidth = 1;
-        ctx.strokeRect(legendX, legendY, legendWidth, legendHeight);
-
-        // Labels
-        ctx.fillStyle = '#000';
-        ctx.font = '12px sans-serif';
-        ctx.textAlign = 'center';
-        ctx.fillText('Autoritaire', legendX, legendY - 5);
-        ctx.fillText('Démocratique', legendX + legendWidth, legendY - 5);
-    }
-
-    /**
-     * Dessine les séries temporelles
-     * @param {Object} history - Historique des variables macroscopiques
-     */
-    drawTimeSeries(history) {
-        const ctx = this.timeSeriesCtx;
-        const width = this.timeSeriesCanvas.width;
-        const height = this.timeSeriesCanvas.height;
-
-        // Effacer le canvas
-        ctx.fillStyle = '#ffffff';
-        ctx.fillRect(0, 0, width, height);
-
-        if (history.time.length < 2) return;
-
-        // Calculer les dimensions du graphique
-        const plotWidth = width - this.margin.left - this.margin.right;
-        const plotHeight = height - this.margin.top - this.margin.bottom;
-
-        // Trouver les bornes temporelles
-        const minTime = Math.min(...history.time);
-        const maxTime = Math.max(...history.time);
-
-        // Fonctions de transformation
-        const xScale = (t) => this.margin.left + ((t - minTime) / (maxTime - minTime)) * plotWidth;
-        const yScale = (v) => this.margin.top + (1 - v) * plotHeight;
-
-        // Dessiner les axes
-        this.drawAxes(ctx, width, height, minTime, maxTime);
-
-        // Dessiner les courbes
-        const series = [
-            { data: history.orderParameter, color: '#667eea', label: 'Ψ (paramètre d\'ordre)' },
-            { data: history.institutionalQuality, color: '#2ecc71', label: 'Q (qualité inst.)' },
-            { data: history.polarization, color: '#e74c3c', label: 'Φ (polarisation)' },
-            { data: history.perceivedThreat, color: '#f39c12', label: 'M (menace)' }
-        ];
-
-        for (let s of series) {
-            this.drawLine(ctx, history.time, s.data, s.color, xScale, yScale);
+    drawEdges(ctx, agents, width, height) {
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.12)';
+        ctx.lineWidth = 0.5;
+        ctx.beginPath();
+        for (let agent of agents) {
+            for (let neighbor of agent.neighbors) {
+                if (agent.id < neighbor.id || !neighbor.neighbors.includes(agent)) {
+                    ctx.moveTo(agent.x * width, agent.y * height);
+                    ctx.lineTo(neighbor.x * width, neighbor.y * height);
+                }
+            }
         }
-
-        // Dessiner la légende
-        this.drawLegend(ctx, series, width);
+        ctx.stroke();
     }
 
     /**
-     * Dessine les axes du graphique
+     * Trace les liens d'un agent vers ses voisins et entoure l'agent et ses voisins
+     * @param {CanvasRenderingContext2D} ctx - Contexte du canvas
+     * @param {Agent} agent - Agent sélectionné
+     * @param {number} radius - Rayon des agents
+     * @param {number} width - Largeur du canvas
+     * @param {number} height - Hauteur du canvas
      */
-    drawAxes(ctx, width, height, minTime, maxTime) {
-        ctx.strokeStyle = '#000';
-        ctx.lineWidth = 1;
-
-        // Axe X
-        ctx.beginPath();
-        ctx.moveTo(this.margin.left, height - this.margin.bottom);
-        ctx.lineTo(width - this.margin.right, height - this.margin.bottom);
-        ctx.stroke();
+    drawNeighborLinks(ctx, agent, radius, width, height) {
+        const x = agent.x * width;
+        const y = agent.y * height;
 
-        // Axe Y
+        ctx.strokeStyle = 'rgba(102, 126, 234, 0.6)';
+        ctx.lineWidth = 1;
         ctx.beginPath();
-        ctx.moveTo(this.margin.left, this.margin.top);
-        ctx.lineTo(this.margin.left, height - this.margin.bottom);
+        for (let neighbor of agent.neighbors) {
+            ctx.moveTo(x, y);
+            ctx.lineTo(neighbor.x * width, neighbor.y * height);
+        }
         ctx.stroke();
 
-        // Labels
-        ctx.fillStyle = '#000';
-        ctx.font = '12px sans-serif';
-
-        // Label X
-        ctx.textAlign = 'center';
-        ctx.fillText('Temps (t)', width / 2, height - 5);
-
-        // Label Y
-        ctx.save();
-        ctx.translate(15, height / 2);
-        ctx.rotate(-Math.PI / 2);
-        ctx.fillText('Valeur', 0, 0);
-        ctx.restore();
-
-        // Graduations Y
-        ctx.textAlign = 'right';
-        for (let i = 0; i <= 5; i++) {
-            const y = this.margin.top + (i / 5) * (height - this.margin.top - this.margin.bottom);
-            const value = (1 - i / 5).toFixed(1);
-            ctx.fillText(value, this.margin.left - 5, y + 4);
-
-            // Ligne de grille
-            ctx.strokeStyle = '#e0e0e0';
-            ctx.lineWidth = 0.5;
-            ctx.beginPath();
-            ctx.moveTo(this.margin.left, y);
-            ctx.lineTo(width - this.margin.right, y);
-            ctx.stroke();
-        }
-
-        // Graduations X
-        ctx.textAlign = 'center';
-        ctx.strokeStyle = '#000';
-        ctx.lineWidth = 1;
-        const numTicks = 5;
-        for (let i = 0; i <= numTicks; i++) {
-            const x = this.margin.left + (i / numTicks) * (width - this.margin.left - this.margin.right);
-            const time = minTime + (i / numTicks) * (maxTime - minTime);
-            ctx.fillText(time.toFixed(1), x, height - this.margin.bottom + 15);
+        for (let neighbor of agent.neighbors) {
+            this.drawAgentRing(ctx, neighbor, radius + 2, '#667eea', 1, width, height);
         }
+        this.drawAgentRing(ctx, agent, radius + 4, '#000', 2.5, width, height);
     }
 
     /**
-     * Dessine une ligne sur le graphique
+     * Entoure un agent d'un cercle
+     * @param {CanvasRenderingContext2D} ctx - Contexte du canvas
+     * @param {Agent} agent - Agent à entourer
+     * @param {number} radius - Rayon du cercle
+     * @param {string} color - Couleur du cercle
+     * @param {number} lineWidth - Épaisseur du trait
+     * @param {number} width - Largeur du canvas
+     * @param {number} height - Hauteur du canvas
      */
-    drawLine(ctx, timeData, valueData, color, xScale, yScale) {
+    drawAgentRing(ctx, agent, radius, color, lineWidth, width, height) {
         ctx.strokeStyle = color;
-        ctx.lineWidth = 2;
+        ctx.lineWidth = lineWidth;
         ctx.beginPath();
-
-        for (let i = 0; i < timeData.length; i++) {
-            const x = xScale(timeData[i]);
-            const y = yScale(Math.max(0, Math.min(1, valueData[i])));
-
-            if (i === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
-            }
-        }
-
+        ctx.arc(agent.x * width, agent.y * height, radius, 0, 2 * Math.PI);
         ctx.stroke();
     }
 
     /**
-     * Dessine la légende des courbes
+     * Dessine une légende de couleur pour la variable de couleur (et la variable de taille)
+     * @param {CanvasRenderingContext2D} ctx - Contexte du canvas
+     * @param {number} width - Largeur du canvas
+     * @param {number} height - Hauteur du canvas
+     * @param {Object} colorVariable - Variable de couleur (AGENT_DISPLAY_VARIABLES)
+     * @param {Object} sizeVariable - Variable de taille ou null
      */
-    drawLegend(ctx, series, width) {
-        const legendX = width - 180;
-        const legendY = 30;
-        const lineHeight = 20;
+    drawColorLegend(ctx, width, height, colorVariable, sizeVariable = null) {
+        const legendWidth = 200;
+        const legendHeight = 20;
+        const legendX = width - legendWidth - 20;
+        const legendY = height - legendHeight - 20;
 
-        ctx.font = '11px sans-serif';
-        ctx.textAlign = 'left';
+        // Fond pour rester lisible au-dessus des agents
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillRect(legendX - 45, legendY - (sizeVariable ? 55 : 38), legendWidth + 90, legendHeight + (sizeVariable ? 70 : 53));
+
+        // Dessiner le gradient
+        const gradient = ctx.createLinearGradient(legendX, 0, legendX + legendWidth, 0);
+        for (const stop of [0, 0.25, 0.5, 0.75, 1]) {
+            const value = colorVariable.min + stop * (colorVariable.max - colorVariable.min);
+            gradient.addColorStop(stop, this.valueToColor(value, colorVariable));
+        }
 
-        for (let i = 0; i < series.length; i++) {
-            const y = legendY + i * lineHeight;
+        ctx.fillStyle = gradient;
+        ctx.fillRect(legendX, legendY, legendWidth, legendHeight);
 
-            // Ligne de couleur
-            ctx.strokeStyle = series[i].color;
-            ctx.lineWidth = 3;
-            ctx.beginPath();
-            ctx.moveTo(legendX, y);
-            ctx.lineTo(legendX + 20, y);
-            ctx.stroke();
+        // Bordure
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(legendX, legendY, legendWidth, legendHeight);
 
-            // Label
-            ctx.fillStyle = '#000';
-            ctx.fillText(series[i].label, legendX + 25, y + 4);
+        // Labels
+        ctx.fillStyle = '#000';
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(colorVariable.lowLabel, legendX, legendY - 5);
+        ctx.fillText(colorVariable.highLabel, legendX + legendWidth, legendY - 5);
+        ctx.fillText(`Couleur : ${colorVariable.label}`, legendX + legendWidth / 2, legendY - 22);
+        if (sizeVariable) {
+            ctx.fillText(`Taille : ${sizeVariable.label}`, legendX + legendWidth / 2, legendY - 39);
         }
+        ctx.fillText(colorVariable.min, legendX, legendY + legendHeight + 13);
+        ctx.fillText(colorVariable.max, legendX + legendWidth, legendY + legendHeight + 13);
+    }
+
+    /**
+     * Dessine les séries temporelles (graphique interactif, voir TimeSeriesChart)
+     * @param {Object} history - Historique des variables macroscopiques
+     * @param {Array<Object>} events - Événements du scénario
+     */
+    drawTimeSeries(history, events = []) {
+        this.timeSeriesChart.draw(history, events);
     }
 
     /**
@@ -0,0 +1,247 @@
+/**
+ * Pool de Web Workers pour les simulations de l'analyse de sensibilité
+ * Répartit les réalisations sur plusieurs threads et permet d'annuler les calculs en cours
+ */
+
+export class SimulationWorkerPool {
+    /**
+     * @param {number} size - Nombre de workers (par défaut : cœurs disponibles - 1)
+     */
+    constructor(size = Math.max(1, (navigator.hardwareConcurrency || 4) - 1)) {
+        this.size = size;
+        this.workerUrl = new URL('./sensitivity.worker.js', import.meta.url);
+
+        this.workers = [];        // {worker, task} - task = tâche en cours ou null
+        this.queue = [];          // Tâches en attente d'un worker libre
+        this.nextTaskId = 0;
+
+        // Compteurs de progression
+        this.submitted = 0;
+        this.completed = 0;
+        this.onProgress = null;   // Callback (completed, submitted)
+    }
+
+    /**
+     * Vérifie que le navigateur sait exécuter des Web Workers
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Lance une réalisation dans un worker
+     * Signature compatible avec options.runRealization de estimateSteadyState
+     * @param {Object} params - Paramètres du modèle
+     * @param {number} tMax - Temps de simulation maximal
+     * @param {number} dt - Pas de temps
+     * @param {number} numAgents - Nombre d'agents
+     * @param {number} seed - Graine de la réalisation
+     * @param {Object} options - Options {integrator, tolerance, network, population, backend, initialConditions}
+     * @returns {Promise<number>} - Valeur de psi à t_max
+     */
+    runRealization(params, tMax, dt, numAgents, seed, options = {}) {
+        return this.run(this.realizationMessage(params, tMax, dt, numAgents, seed, options)).then(result => result.psi);
+    }
+
+    /**
+     * Lance une réalisation dans un worker et retourne l'état macroscopique final
+     * Signature compatible avec options.runOutcome de estimateSteadyStateOutcome
+     * @param {Object} params - Paramètres du modèle
+     * @param {number} tMax - Temps de simulation maximal
+     * @param {number} dt - Pas de temps
+     * @param {number} numAgents - Nombre d'agents
+     * @param {number} seed - Graine de la réalisation
+     * @param {Object} options - Options {integrator, tolerance, network, population, backend, initialConditions}
+     * @returns {Promise<Object>} - {psi, institutionalQuality, polarization} à t_max
+     */
+    runOutcome(params, tMax, dt, numAgents, seed, options = {}) {
+        return this.run(this.realizationMessage(params, tMax, dt, numAgents, seed, options)).then(result => result.outcome);
+    }
+
+    /**
+     * Message d'une réalisation
+     * Copie des seules données clonables : les paramètres peuvent être modifiés
+     * par l'appelant avant que la tâche ne soit envoyée au worker
+     * @private
+     */
+    realizationMessage(params, tMax, dt, numAgents, seed, options) {
+        return {
+            params: { ...params },
+            tMax,
+            dt,
+            numAgents,
+            seed,
+            options: {
+                integrator: options.integrator,
+                tolerance: options.tolerance,
+                network: options.network,
+                population: options.population,
+                backend: options.backend,
+                initialConditions: options.initialConditions
+            }
+        };
+    }
+
+    /**
+     * Lance une réalisation de continuation (rampe montante puis descendante) dans un worker
+     * Signature compatible avec options.runContinuation de analyzeContinuation
+     * @param {string} paramName - Grandeur pilotée
+     * @param {Object} params - Paramètres de base
+     * @param {number} pMin - Valeur de départ du paramètre
+     * @param {number} pMax - Valeur atteinte en fin de rampe montante
+     * @param {number} seed - Graine de la réalisation
+     * @param {Object} settings - Réglages de la continuation et options de simulation
+     * @returns {Promise<Object>} - Branches {forward, backward}
+     */
+    runContinuation(paramName, params, pMin, pMax, seed, settings = {}) {
+        const message = {
+            task: 'continuation',
+            paramName,
+            params: { ...params },
+            pMin,
+            pMax,
+            seed,
+            options: {
+                steps: settings.steps,
+                maxSettleTime: settings.maxSettleTime,
+                settleWindow: settings.settleWindow,
+                settleTolerance: settings.settleTolerance,
+                dt: settings.dt,
+                numAgents: settings.numAgents,
+                integrator: settings.integrator,
+                tolerance: settings.tolerance,
+                network: settings.network,
+                population: settings.population,
+                backend: settings.backend,
+                initialConditions: settings.initialConditions
+            }
+        };
+
+        return this.run(message).then(result => result.branches);
+    }
+
+    /**
+     * Soumet une tâche au pool
+     * @param {Object} message - Message transmis au worker
+     * @returns {Promise<Object>} - Réponse du worker
+     */
+    run(message) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextTaskId++, message, resolve, reject });
+            this.submitted++;
+            this.reportProgress();
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Attribue les tâches en attente aux workers libres
+     * @private
+     */
+    dispatch() {
+        while (this.queue.length > 0) {
+            let slot = this.workers.find(w => w.task === null);
+
+            if (!slot) {
+                if (this.workers.length >= this.size) return;
+                slot = this.createWorker();
+            }
+
+            const task = this.queue.shift();
+            slot.task = task;
+            slot.worker.postMessage({ id: task.id, ...task.message });
+        }
+    }
+
+    /**
+     * Crée un worker et branche ses gestionnaires de messages
+     * @private
+     */
+    createWorker() {
+        const worker = new Worker(this.workerUrl, { type: 'module' });
+        const slot = { worker, task: null };
+
+        worker.addEventListener('message', (e) => {
+            const task = slot.task;
+            if (!task || task.id !== e.data.id) return;
+
+            slot.task = null;
+            this.completed++;
+            this.reportProgress();
+
+            if (e.data.error) {
+                task.reject(new Error(e.data.error));
+            } else {
+                task.resolve(e.data);
+            }
+
+            this.dispatch();
+        });
+
+        worker.addEventListener('error', (e) => {
+            // Un worker en erreur est abandonné : sa tâche échoue et il sera remplacé
+            const task = slot.task;
+            worker.terminate();
+            this.workers = this.workers.filter(w => w !== slot);
+
+            if (task) {
+                this.completed++;
+                this.reportProgress();
+                task.reject(new Error(`Erreur du worker : ${e.message || 'chargement impossible'}`));
+            }
+
+            // Les tâches en attente passent aux autres workers (ou à un worker recréé)
+            this.dispatch();
+        });
+
+        this.workers.push(slot);
+        return slot;
+    }
+
+    /**
+     * Annule toutes les tâches : les workers sont arrêtés immédiatement
+     * et les promesses en attente sont rejetées
+     */
+    cancel() {
+        const pending = [
+            ...this.workers.filter(w => w.task !== null).map(w => w.task),
+            ...this.queue
+        ];
+
+        this.terminate();
+
+        for (const task of pending) {
+            task.reject(new Error('Analyse annulée'));
+        }
+    }
+
+    /**
+     * Arrête tous les workers (ils seront recréés à la prochaine tâche)
+     */
+    terminate() {
+        for (const slot of this.workers) {
+            slot.worker.terminate();
+        }
+        this.workers = [];
+        this.queue = [];
+    }
+
+    /**
+     * Remet à zéro les compteurs de progression
+     */
+    resetProgress() {
+        this.submitted = 0;
+        this.completed = 0;
+    }
+
+    /**
+     * Notifie la progression
+     * @private
+     */
+    reportProgress() {
+        if (this.onProgress) {
+            this.onProgress(this.completed, this.submitted);
+        }
+    }
+}
@@ -0,0 +1,39 @@
+/**
+ * Tests de la ligne de commande (cli/run.js)
+ * Lancement : node --experimental-default-type=module --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const SCRIPT = fileURLToPath(new URL('../cli/run.js', import.meta.url));
+
+/**
+ * Lance le script et renvoie les temps enregistrés (première colonne du CSV)
+ * @param {Array<string>} args - Arguments de la ligne de commande
+ * @returns {Array<number>} - Temps des points écrits
+ */
+function recordedTimes(args) {
+    const output = execFileSync(process.execPath, ['--experimental-default-type=module', SCRIPT, ...args], { encoding: 'utf8' });
+    return output.split('\n')
+        .filter(line => /^[-\d]/.test(line))
+        .map(line => parseFloat(line.split(',')[0]));
+}
+
+test('CLI : --every 3 enregistre l\'état final quand le nombre de pas n\'est pas un multiple de 3', () => {
+    // 10 pas de 0.1 : points aux pas 0, 3, 6, 9, puis l'état final au pas 10
+    const times = recordedTimes(['--agents', '20', '--seed', '1', '--tmax', '1', '--dt', '0.1', '--every', '3']);
+
+    assert.equal(times.length, 5);
+    assert.ok(Math.abs(times[3] - 0.9) < 1e-9);
+    assert.ok(Math.abs(times[times.length - 1] - 1) < 1e-6);
+});
+
+test('CLI : l\'état final n\'est pas dupliqué quand le nombre de pas est un multiple de k', () => {
+    const times = recordedTimes(['--agents', '20', '--seed', '1', '--tmax', '1.2', '--dt', '0.1', '--every', '3']);
+
+    assert.equal(times.length, 5);
+    assert.ok(Math.abs(times[times.length - 1] - 1.2) < 1e-6);
+});
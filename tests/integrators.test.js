@@ -0,0 +1,86 @@
+/**
+ * Tests des intégrateurs
+ * Lancement : node --experimental-default-type=module --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdaptiveRK45Integrator } from '../js/integrators.js';
+import { Simulator } from '../js/simulator.js';
+
+/**
+ * Système scalaire y' = -λ·y, avec l'interface de SocietySystem
+ */
+class DecaySystem {
+    constructor(lambda, y) {
+        this.lambda = lambda;
+        this.y = y;
+        this.evaluations = 0;
+    }
+
+    getState() {
+        return Float64Array.of(this.y);
+    }
+
+    setState(y) {
+        this.y = y[0];
+    }
+
+    derivatives() {
+        this.evaluations++;
+        return Float64Array.of(-this.lambda * this.y);
+    }
+}
+
+test('RK45 : un pas rejeté repart de y0 et le pas accepté respecte la tolérance', () => {
+    const tolerance = 1e-6;
+    const integrator = new AdaptiveRK45Integrator({ tolerance });
+    const system = new DecaySystem(50, 1);
+
+    // Premier pas : λ·dt = 5, bien au-delà de la stabilité de la méthode, donc rejeté au moins une fois
+    let time = 0;
+    let first = true;
+    while (time < 0.2) {
+        const y0 = system.y;
+        const evaluationsBefore = system.evaluations;
+        const h = integrator.step(system, 0.1);
+
+        if (first) {
+            assert.ok(system.evaluations - evaluationsBefore > 7, 'le premier pas aurait dû être rejeté');
+            first = false;
+        }
+
+        const exact = y0 * Math.exp(-50 * h);
+        assert.ok(Math.abs(system.y - exact) <= 10 * tolerance * (1 + Math.abs(y0)),
+            `erreur locale ${Math.abs(system.y - exact)} au-delà de la tolérance (h = ${h})`);
+        time += h;
+    }
+
+    assert.ok(Math.abs(system.y - Math.exp(-50 * time)) < 1e-4);
+});
+
+test('RK45 : le dernier pas s\'arrête exactement à l\'horizon', () => {
+    const integrator = new AdaptiveRK45Integrator({ tolerance: 1e-6 });
+    const system = new DecaySystem(1, 1);
+    const tMax = 1;
+
+    let time = 0;
+    while (time < tMax - 1e-12) {
+        time += integrator.step(system, 0.3, tMax - time);
+    }
+
+    assert.equal(time, tMax);
+    assert.ok(Math.abs(system.y - Math.exp(-tMax)) < 1e-5);
+});
+
+test('Simulator : un run RK45 borné se termine à t_max', () => {
+    const tMax = 20;
+    const simulator = new Simulator(30, 1);
+    simulator.setIntegrator('rk45', { tolerance: 1e-4 });
+
+    while (simulator.time < tMax - simulator.dt * 1e-6) {
+        simulator.step(tMax - simulator.time);
+    }
+
+    assert.ok(Math.abs(simulator.time - tMax) < 1e-9, `t final = ${simulator.time}`);
+});
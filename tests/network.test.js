@@ -0,0 +1,36 @@
+/**
+ * Tests du réseau social
+ * Lancement : node --experimental-default-type=module --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildNetwork, checkNetworkSize, getNetworkStats, radiusForMeanDegree } from '../js/network.js';
+import { SeededRandom } from '../js/random.js';
+
+/**
+ * Agents réduits à leur position, tirée uniformément dans le carré unité
+ */
+function randomAgents(n, seed) {
+    const rng = new SeededRandom(seed);
+    return Array.from({ length: n }, (_, id) => ({ id, x: rng.random(), y: rng.random(), neighbors: [] }));
+}
+
+test('réseau : un graphe géométrique trop dense est refusé avant sa construction', () => {
+    assert.doesNotThrow(() => checkNetworkSize(100, { topology: 'geometric', radius: 0.2 }));
+    assert.throws(() => checkNetworkSize(50000, { topology: 'geometric', radius: 0.2 }), /trop dense/);
+    assert.throws(() => buildNetwork(randomAgents(50000, 1), { topology: 'geometric', radius: 0.2 }), /trop dense/);
+});
+
+test('réseau : le rayon ajusté à la population donne le degré moyen visé', () => {
+    const n = 20000;
+    const radius = radiusForMeanDegree(n, 8);
+    assert.doesNotThrow(() => checkNetworkSize(n, { topology: 'geometric', radius }));
+
+    const agents = randomAgents(n, 2);
+    buildNetwork(agents, { topology: 'geometric', radius });
+    const { meanDegree } = getNetworkStats(agents);
+
+    // Les agents proches du bord ont moins de voisins : degré un peu inférieur à 8
+    assert.ok(meanDegree > 7 && meanDegree < 8.5, `degré moyen ${meanDegree}`);
+});
@@ -0,0 +1,53 @@
+/**
+ * Tests des scénarios
+ * Lancement : node --experimental-default-type=module --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Simulator } from '../js/simulator.js';
+import { Scenario } from '../js/scenario.js';
+
+/**
+ * Valeurs d'une variable des agents, indexées par identifiant
+ */
+function valuesById(simulator, key) {
+    return new Map(simulator.agents.map(agent => [agent.id, agent[key]]));
+}
+
+test('scénario : la fin d\'un événement d\'agents ne touche pas les agents nés pendant l\'événement', () => {
+    const simulator = new Simulator(100, 7);
+    simulator.setTimeStep(0.1);
+    simulator.parameters.zeta1 = 0.2;
+    simulator.setScenario(new Scenario([
+        { time: 0, target: 'agents.education', operation: 'set', value: 1, duration: 2 }
+    ]));
+
+    const initial = valuesById(simulator, 'education');
+    const entry = () => simulator.scenario.applied[0];
+
+    // Avancer jusqu'au pas qui clôt l'événement, en gardant les valeurs juste avant ce pas
+    let before = null;
+    do {
+        before = valuesById(simulator, 'education');
+        simulator.step();
+    } while (!entry().reverted);
+
+    const ids = simulator.agents.map(agent => agent.id);
+    assert.equal(new Set(ids).size, ids.length, 'identifiants en double');
+
+    let survivors = 0;
+    let newborns = 0;
+    for (const agent of simulator.agents) {
+        if (!before.has(agent.id)) continue;   // Né pendant ce dernier pas
+
+        if (initial.has(agent.id)) {
+            assert.equal(agent.education, initial.get(agent.id));
+            survivors++;
+        } else {
+            assert.equal(agent.education, before.get(agent.id));
+            newborns++;
+        }
+    }
+    assert.ok(survivors > 0 && newborns > 0, `${survivors} survivants, ${newborns} nouveaux agents`);
+});
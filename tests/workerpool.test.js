@@ -0,0 +1,56 @@
+/**
+ * Tests du pool de workers (Web Workers simulés : Node n'en fournit pas)
+ * Lancement : node --experimental-default-type=module --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationWorkerPool } from '../js/workerpool.js';
+
+/**
+ * Worker simulé : le premier créé échoue à sa première tâche, les suivants renvoient
+ * le message reçu
+ */
+class FakeWorker {
+    constructor() {
+        this.listeners = { message: [], error: [] };
+        this.failing = FakeWorker.created === 0;
+        FakeWorker.created++;
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type].push(listener);
+    }
+
+    postMessage(data) {
+        setTimeout(() => {
+            if (this.failing) {
+                this.listeners.error.forEach(listener => listener({ message: 'échec simulé' }));
+            } else {
+                this.listeners.message.forEach(listener => listener({ data: { ...data, psi: data.value } }));
+            }
+        }, 0);
+    }
+
+    terminate() {}
+}
+
+test('pool : une erreur de worker rejette sa tâche et les tâches en attente continuent', async () => {
+    FakeWorker.created = 0;
+    globalThis.Worker = FakeWorker;
+    try {
+        const pool = new SimulationWorkerPool(1);
+        const progress = [];
+        pool.onProgress = (completed, submitted) => progress.push([completed, submitted]);
+
+        const failed = pool.run({ value: 1 });
+        const queued = pool.run({ value: 2 });
+
+        await assert.rejects(failed, /échec simulé/);
+        assert.equal((await queued).psi, 2);
+        assert.equal(FakeWorker.created, 2);
+        assert.deepEqual(progress[progress.length - 1], [2, 2]);
+    } finally {
+        delete globalThis.Worker;
+    }
+});